@@ -0,0 +1,252 @@
+const {NotFoundError, ServerError, TransportError, RateLimitError} = require('./errors');
+
+// cardActivation() statuses, anything else means the activation is still running
+const ACTIVE = ['active', 'activated'];
+const FAILED = ['failed', 'error', 'rejected', 'declined', 'blocked', 'canceled', 'cancelled'];
+
+const body = response => response.data || {};
+
+/**
+ * Thrown when a step of the issuance fails. The card, if there is one by then, is locked.
+ */
+class CardIssuanceError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} details {step, clientId, barcode, steps, cause, locked, lockError}
+   */
+  constructor(message, details) {
+    super(message);
+    this.name = 'CardIssuanceError';
+    this.step = details.step;
+    this.clientId = details.clientId;
+    this.barcode = details.barcode || null;
+    this.steps = details.steps;
+    this.cause = details.cause || null;
+    // Whether cardLock() went through, false also when there was no card to lock
+    this.locked = !!details.locked;
+    this.lockError = details.lockError || null;
+  }
+}
+
+/**
+ * Issues a working card: create it (or order its delivery), activate it, wait for the activation,
+ * set the PIN and read its limits and details.
+ *
+ * Steps: create or delivery, activate, activation, pin, limits, details. When a step after
+ * the card got its barcode fails, the card is locked with cardLock() so it can not be used
+ * half set up, and the workflow rejects with CardIssuanceError.
+ */
+class CardIssuer {
+
+  /**
+   * @param {Client} client
+   * @param {object|null} options {
+   *   activationTimeout: ms to wait for cardActivation() to report the card active, 60000 by default,
+   *   interval: ms between cardActivation() calls, 2000 by default,
+   *   lockReason: reason passed to cardLock(), 'issuance_failed' by default,
+   *   onProgress: ({step, status: started|done|failed|skipped, clientId, barcode, data, error}) => void
+   * }
+   */
+  constructor(client, options = null) {
+    options = options || {};
+
+    this.client = client.withModels(false);
+    this.activationTimeout = options.activationTimeout !== undefined ? options.activationTimeout : 60000;
+    this.interval = options.interval || 2000;
+    this.lockReason = options.lockReason || 'issuance_failed';
+    this.onProgress = options.onProgress || null;
+  }
+
+  /**
+   * @param {string} clientId
+   * @param {object|null} options {pin: set when given, onProgress: overrides the issuer's one}
+   * @returns {Promise<object>} {clientId, barcode, virtual: true, card, limits, steps}
+   */
+  issueVirtual(clientId, options = null) {
+    options = options || {};
+
+    return this.run(clientId, options, async state => {
+      const created = await this.step(state, 'create', () => this.client.cardActivateVirtual(clientId).then(body));
+      state.barcode = created.barcode || null;
+      if (!state.barcode) {
+        throw new TypeError('cardActivateVirtual() returned no barcode');
+      }
+
+      return this.setUpSteps(state, options);
+    });
+  }
+
+  /**
+   * Order a physical card. The workflow ends after the delivery unless `activate: true` is passed,
+   * the card can not be activated before it reaches the client: call setUp() when it arrives.
+   *
+   * @param {string} clientId
+   * @param {object} delivery cardDeliveryStore() data
+   * @param {object|null} options {pin, activate: set the card up right after the delivery is ordered, false by default, onProgress}
+   * @returns {Promise<object>} {clientId, barcode, virtual: false, delivery, card, limits, steps}
+   */
+  issuePhysical(clientId, delivery, options = null) {
+    options = options || {};
+
+    return this.run(clientId, options, async state => {
+      state.result.virtual = false;
+      state.result.delivery = await this.step(state, 'delivery', () => this.client.cardDeliveryStore(clientId, delivery).then(body));
+      state.barcode = state.result.delivery.barcode || null;
+      if (!state.barcode || options.activate !== true) {
+        return state.result;
+      }
+
+      return this.setUpSteps(state, options);
+    });
+  }
+
+  /**
+   * Set up a delivered physical card: activate it, wait for the activation, set the PIN and read its limits and details
+   *
+   * @param {string} clientId
+   * @param {string} barcode
+   * @param {object|null} options {pin: set when given, onProgress: overrides the issuer's one}
+   * @returns {Promise<object>} {clientId, barcode, virtual: false, card, limits, steps}
+   */
+  setUp(clientId, barcode, options = null) {
+    options = options || {};
+
+    return this.run(clientId, options, state => {
+      state.result.virtual = false;
+      state.barcode = barcode;
+
+      return this.setUpSteps(state, options);
+    });
+  }
+
+  /**
+   * @param {object} state
+   * @param {object} options
+   * @returns {Promise<object>}
+   */
+  async setUpSteps(state, options) {
+    const {clientId, barcode} = state;
+
+    const activated = await this.step(state, 'activate', () => this.client.cardActivate(clientId, barcode).then(body));
+    await this.step(state, 'activation', () => this.waitForActivation(clientId, barcode, activated));
+    if (options.pin !== undefined && options.pin !== null) {
+      await this.step(state, 'pin', () => this.client.setCardPin(clientId, barcode, options.pin).then(body));
+    } else {
+      this.progress(state, 'pin', 'skipped');
+    }
+    state.result.limits = await this.step(state, 'limits', () => this.client.cardLimits(clientId, barcode).then(body));
+    state.result.card = await this.step(state, 'details', () => this.client.cardDetails(clientId, barcode).then(body));
+
+    return state.result;
+  }
+
+  /**
+   * Poll cardActivation() until the card is active. Not found, 5xx, 429 and network errors mean "not yet".
+   *
+   * @param {string} clientId
+   * @param {string} barcode
+   * @param {object|null} activated cardActivate() body, polling is skipped when it already says active
+   * @returns {Promise<object>} Last cardActivation() body
+   */
+  async waitForActivation(clientId, barcode, activated = null) {
+    if (activated && ACTIVE.indexOf(String(activated.status).toLowerCase()) !== -1) {
+      return activated;
+    }
+
+    const deadline = Date.now() + this.activationTimeout;
+    for (;;) {
+      let data = null;
+      try {
+        data = body(await this.client.cardActivation(clientId, barcode));
+      } catch (error) {
+        const transient = error instanceof NotFoundError || error instanceof ServerError
+          || error instanceof TransportError || error instanceof RateLimitError;
+        if (!transient) {
+          throw error;
+        }
+      }
+
+      const status = data ? String(data.status).toLowerCase() : null;
+      if (ACTIVE.indexOf(status) !== -1) {
+        return data;
+      }
+      if (FAILED.indexOf(status) !== -1) {
+        throw new Error(`Card ${barcode} activation ${status}`);
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw new Error(`Timed out waiting for card ${barcode} to be activated`);
+      }
+      await new Promise(resolve => setTimeout(resolve, Math.min(this.interval, remaining)));
+    }
+  }
+
+  /**
+   * @param {string} clientId
+   * @param {object} options
+   * @param {function} workflow state => Promise of the result
+   * @returns {Promise<object>}
+   */
+  async run(clientId, options, workflow) {
+    const state = {
+      clientId: clientId,
+      barcode: null,
+      current: null,
+      onProgress: options.onProgress || this.onProgress,
+      result: {clientId: clientId, barcode: null, virtual: true, delivery: null, card: null, limits: null, steps: []}
+    };
+
+    try {
+      const result = await workflow(state);
+      result.barcode = state.barcode;
+      return result;
+    } catch (cause) {
+      const details = {step: state.current, clientId: clientId, barcode: state.barcode, steps: state.result.steps, cause: cause};
+      if (state.barcode) {
+        try {
+          await this.client.cardLock(clientId, state.barcode, this.lockReason);
+          details.locked = true;
+          this.progress(state, 'lock', 'done');
+        } catch (error) {
+          details.lockError = error;
+          this.progress(state, 'lock', 'failed', null, error);
+        }
+      }
+
+      throw new CardIssuanceError(`Card issuance failed at ${details.step}: ${cause.message}`, details);
+    }
+  }
+
+  /**
+   * @param {object} state
+   * @param {string} name
+   * @param {function} call () => Promise of a response body
+   * @returns {Promise<object>}
+   */
+  async step(state, name, call) {
+    state.current = name;
+    this.progress(state, name, 'started');
+    try {
+      const data = await call();
+      this.progress(state, name, 'done', data);
+      return data;
+    } catch (error) {
+      this.progress(state, name, 'failed', null, error);
+      throw error;
+    }
+  }
+
+  progress(state, step, status, data = null, error = null) {
+    if (status !== 'started') {
+      state.result.steps.push({step: step, status: status, at: new Date().toISOString()});
+    }
+    if (state.onProgress) {
+      state.onProgress({step: step, status: status, clientId: state.clientId, barcode: state.barcode, data: data, error: error});
+    }
+  }
+}
+
+CardIssuer.IssuanceError = CardIssuanceError;
+
+module.exports = CardIssuer;
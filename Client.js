@@ -1,22 +1,65 @@
-const axios = require('axios');
-const sha256 = require('js-sha256').sha256;
 const queryString = require('query-string');
 const crypto = require('crypto');
 const _ = require('lodash/core');
+const {iteratePages} = require('./pagination');
+const {fromAxiosError, AuthenticationError, ResponseError, ValidationError} = require('./errors');
+const {environmentUrl} = require('./environments');
+const RequestScheduler = require('./RequestScheduler');
+const RetryPolicy = require('./RetryPolicy');
+const Signer = require('./Signer');
+const transports = require('./transports');
+const {validateRequest} = require('./validation');
+const {waitForPaymentStatus} = require('./paymentStatus');
+const Money = require('./Money');
+const models = require('./models');
+const audit = require('./audit');
+const CardIssuer = require('./CardIssuer');
+const {syncSubscriptions} = require('./subscriptionSync');
+const {diffPerson} = require('./person');
 
 
 module.exports = class Client {
 
   /**
    * @param {string} partnerId
-   * @param {string} token
-   * @param {string} baseUrl
-   */
-  constructor(partnerId, token, baseUrl = null) {
+   * @param {string|Array<string>} token Newest first while a token is being rotated, see setToken()
+   * @param {string} baseUrl API root URL, or sandbox (the default)
+   * @param {object|null} options {
+   *   retry: true or RetryPolicy options, retries are off by default,
+   *   rateLimit: RequestScheduler or its options, shared by clients when given as an instance, off by default,
+   *   transport: axios instance or transport function, see transports.js, axios by default,
+   *   timeout: milliseconds,
+   *   middleware: array of functions, see use(),
+   *   validate: check arguments locally before signing, off by default,
+   *   amountUnit: 'major' (roubles, default) or 'minor' (kopecks), how amounts go on the wire,
+   *   currency: currency of the account, 'RUB' by default,
+   *   money: return amounts in responses as Money, off by default,
+   *   models: resolve with camelCase domain objects from models.js instead of responses, off by default,
+   *   audit: audit.js options with the sinks to write to, writes a redacted record of every request, off by default
+   * }
+   */
+  constructor(partnerId, token, baseUrl = null, options = null) {
     this.partnerId = partnerId;
-    this.token = token;
-    this.baseUrl = baseUrl ? baseUrl : `https://baas_test.talkbank.io/api/v1`;
+    this.baseUrl = environmentUrl(baseUrl);
     this.urlLocation = this.getLocation(this.baseUrl);
+    this.setToken(token);
+    this.options = options || {};
+    this.retryPolicy = this.options.retry
+      ? new RetryPolicy(this.options.retry === true ? null : this.options.retry)
+      : null;
+    this.scheduler = this.options.rateLimit instanceof RequestScheduler || !this.options.rateLimit
+      ? this.options.rateLimit || null
+      : new RequestScheduler(this.options.rateLimit === true ? null : this.options.rateLimit);
+    this.priority = null;
+    this.models = !!this.options.models;
+    this.transport = this.createTransport(this.options.transport);
+    this.amountUnit = this.options.amountUnit || 'major';
+    this.currency = this.options.currency || 'RUB';
+    this.middleware = [];
+    if (this.options.audit) {
+      this.use(audit.middleware(this.options.audit));
+    }
+    (this.options.middleware || []).forEach(middleware => this.use(middleware));
 
     this.config = {
       method: "",
@@ -30,67 +73,295 @@ module.exports = class Client {
     };
   }
 
-  // Create signature using HMAC.
+  /**
+   * Create signature using HMAC.
+   *
+   * @deprecated Use the signer property or the standalone Signer module instead
+   *
+   * @param {object} config Request config with method and headers
+   * @param {string} query
+   * @param {string} url Path relative to baseUrl
+   * @returns {string} Authorization header
+   */
   getSignature(config, query, url) {
-    // Create hmac instance from your token
-    const hmac = crypto.createHmac("sha256", this.token);
+    return this.signer.authorization({
+      method: config.method,
+      path: `${this.urlLocation.pathname}${url}`,
+      query: query,
+      headers: config.headers
+    });
+  }
 
-    // Join white list headers (date, tb-content-sha256) into a single string
-    const headers = config.headers;
-    const header = [
-      `date:${headers.date}`.trim(),
-      `tb-content-sha256:${headers['tb-content-sha256']}`.trim()
-    ];
-    const headerString = header.join('\n');
+  /**
+   * Replace the token, e.g. from a secrets provider.
+   *
+   * During a rotation pass both tokens, newest first: requests are signed with the first one,
+   * and on an authentication error they are signed again with the next one. The token that
+   * worked is used from then on.
+   *
+   * @param {string|Array<string>} token
+   * @returns {Client}
+   */
+  setToken(token) {
+    const tokens = [].concat(token).filter(Boolean);
+    if (tokens.length === 0) {
+      throw new TypeError('token is required');
+    }
 
-    // Create a string from hmac encoding
-    let string = `${config.method.toUpperCase()}\n`;
-    string = `${string}/api/v1${url.trim()}\n${query.trim()}\n${headerString.trim()}\n${headers['tb-content-sha256'].trim()}`;
+    // Shared with the views made by withPriority() and withModels()
+    if (!this.credentials) {
+      this.credentials = {};
+    }
+    this.credentials.signers = tokens.map(value => new Signer(this.partnerId, value));
+    this.credentials.current = 0;
 
-    hmac.write(string);
-    hmac.end();
+    return this;
+  }
 
-    // Return Authorization header signature
-    const signature = hmac.read().toString('hex');
-    return `TB1-HMAC-SHA256 ${this.partnerId}:${signature}`;
+  /**
+   * @returns {Signer} Signer of the token in use
+   */
+  get signer() {
+    return this.credentials.signers[this.credentials.current];
+  }
+
+  /**
+   * @returns {string} Token in use
+   */
+  get token() {
+    return this.signer.token;
+  }
+
+  /**
+   * @returns {Array<string>}
+   */
+  get tokens() {
+    return this.credentials.signers.map(signer => signer.token);
+  }
+
+  /**
+   * Add middleware around every request: `(req, next) => next(req)`.
+   *
+   * It runs before the request is signed, so changes to req.data and req.query are signed,
+   * and gets the response (or the typed error) back from next().
+   *
+   * @param {function} middleware (req, next) => Promise
+   * @returns {Client}
+   */
+  use(middleware) {
+    this.middleware.push(middleware);
+
+    return this;
+  }
+
+  /**
+   * The same client with requests queued in another lane of the rate limiter,
+   * e.g. `client.withPriority('low')` for a background sync
+   *
+   * @param {string} priority 'high', 'normal' or 'low'
+   * @returns {Client}
+   */
+  withPriority(priority) {
+    if (RequestScheduler.PRIORITIES.indexOf(priority) === -1) {
+      throw new TypeError(`Unknown priority ${priority}, use one of ${RequestScheduler.PRIORITIES.join(', ')}`);
+    }
+
+    return Object.assign(Object.create(this), {priority: priority});
+  }
+
+  /**
+   * The same client resolving with domain objects or with plain responses,
+   * helpers that read `response.data` use `client.withModels(false)`
+   *
+   * @param {boolean} enabled
+   * @returns {Client}
+   */
+  withModels(enabled = true) {
+    return this.models === !!enabled ? this : Object.assign(Object.create(this), {models: !!enabled});
   }
 
   /**
-   * Create axios request. Url = '', data = {}
+   * Create request. Url = '', data = {}
+   *
+   * Failures are rejected with one of the typed errors from errors.js.
    *
    * @param {string} url
    * @param {string} method
    * @param {object|null} data
    * @param {object|null} query
-   * @param {object|null} options
+   * @param {object|null} options {rewriteUri, name: calling method, orderSlug, recover: order lookup used before a retry}
    * @returns {Promise}
    */
   createRequest(url, method = 'GET', data = null, query = null, options = null) {
-    const config = _.clone(this.config);
+    options = options || {};
+
+    const request = {
+      name: options.name || null,
+      method: method,
+      // Path as it goes on the wire, it is what the bank signs
+      path: options.rewriteUri ? url : `${this.urlLocation.pathname}${url}`,
+      query: query,
+      data: data,
+      headers: _.clone(this.config.headers),
+      context: {
+        method: options.name || null,
+        httpMethod: method,
+        path: url,
+        orderSlug: options.orderSlug || (data && (data.order_slug || data.order_id)) || null
+      }
+    };
+
+    try {
+      request.data = this.serializeAmounts(data, request.context);
+      if (this.options.validate) {
+        validateRequest(request, {amountUnit: this.amountUnit});
+      }
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    // Every attempt goes through the middleware and gets signed anew, a retry must not be rejected for a stale date
+    const attempt = () => this.dispatch(0, Object.assign({}, request, {headers: _.clone(request.headers)}));
+    // A retry waits in the queue again, so it counts against the limits too
+    const send = this.scheduler
+      ? () => this.scheduler.schedule(attempt, {name: request.name, path: url, priority: this.priority})
+      : attempt;
+
+    const result = this.retryPolicy ? this.retryPolicy.execute(send, method, options.recover || null) : send();
+
+    return this.models ? result.then(response => models.toModel(request.name, response)) : result;
+  }
 
-    if (options && options.rewriteUri) {
-      config.url = `${this.urlLocation.protocol}//${this.urlLocation.host}${url}`;
-    } else {
-      config.url = `${this.baseUrl}${url}`;
+  /**
+   * @param {int} index
+   * @param {object} req
+   * @returns {Promise}
+   */
+  dispatch(index, req) {
+    if (index === this.middleware.length) {
+      return this.send(req);
     }
 
-    query = queryString.stringify(query);
-    if (query) {
-      config.url = `${this.url}?${query}`;
+    return new Promise(resolve => {
+      resolve(this.middleware[index](req, next => this.dispatch(index + 1, next || req)));
+    });
+  }
+
+  /**
+   * Sign the request and hand it to the transport
+   *
+   * @param {object} req
+   * @param {int} fallback How many tokens after the current one were tried already
+   * @returns {Promise}
+   */
+  send(req, fallback = 0) {
+    const signers = this.credentials.signers;
+    const index = (this.credentials.current + fallback) % signers.length;
+    const signer = signers[index];
+    const query = queryString.stringify(req.query);
+    const hasBody = req.data && Object.keys(req.data).length > 0 && (req.method === 'POST' || req.method === 'PUT');
+    const body = hasBody ? JSON.stringify(req.data) : '';
+
+    const headers = Object.assign(req.headers, signer.sign({
+      method: req.method,
+      path: req.path,
+      query: query,
+      body: body
+    }));
+
+    return this.transport({
+      method: req.method,
+      url: `${this.urlLocation.protocol}//${this.urlLocation.host}${req.path}${query ? `?${query}` : ''}`,
+      headers: headers,
+      data: hasBody ? body : undefined,
+      timeout: this.options.timeout
+    }).then(response => {
+      if (fallback > 0) {
+        this.credentials.current = index;
+      }
+      if (this.options.money) {
+        response.data = this.parseAmounts(response, req.context);
+      }
+      return response;
+    }, error => {
+      const typed = fromAxiosError(error, req.context);
+      // A rejected signature was not processed, the next token of a rotation may be the valid one
+      if (typed instanceof AuthenticationError && fallback + 1 < signers.length) {
+        return this.send(req, fallback + 1);
+      }
+      throw typed;
+    });
+  }
+
+  /**
+   * Replace Money arguments with wire amounts
+   *
+   * @param {object|null} data
+   * @param {object} context
+   * @returns {object|null}
+   * @throws {ValidationError} For an amount in another currency than the account's
+   */
+  serializeAmounts(data, context) {
+    try {
+      return Money.toRequest(data, this.amountUnit, this.currency);
+    } catch (error) {
+      throw new ValidationError(error.message, Object.assign({code: 'currency_mismatch'}, context));
     }
+  }
 
-    const hasBody = data && Object.keys(data).length > 0 && (method === 'POST' || method === 'PUT');
-    if (hasBody) {
-      data = JSON.stringify(data);
-      config.data = data;
+  /**
+   * Replace wire amounts of a response body with Money
+   *
+   * @param {object} response
+   * @param {object} context
+   * @returns {*} Response body
+   * @throws {ResponseError} For an amount that is not a number, code invalid_amount
+   */
+  parseAmounts(response, context) {
+    try {
+      return Money.fromResponse(response.data, this.amountUnit, this.currency);
+    } catch (error) {
+      throw new ResponseError(`${context.httpMethod} ${context.path} answered with an amount the client can not read: ${error.message}`, Object.assign({}, context, {
+        code: 'invalid_amount',
+        status: response.status,
+        requestId: (response.headers || {})['x-request-id'] || null,
+        response: response,
+        cause: error
+      }));
     }
+  }
 
-    config.method = method;
-    config.headers.date = new Date().toUTCString();
-    config.headers['tb-content-sha256'] = hasBody ? sha256(data) : sha256('');
-    config.headers.Authorization = this.getSignature(config, query, url);
+  /**
+   * @param {object|function|null} transport
+   * @returns {function}
+   */
+  createTransport(transport) {
+    if (!transport) {
+      return transports.axios();
+    }
+    if (typeof transport.request === 'function' && transport.defaults) {
+      return transports.axios(transport);
+    }
+    if (typeof transport !== 'function') {
+      throw new TypeError('transport must be a function or an axios instance');
+    }
 
-    return axios(config);
+    return transport;
+  }
+
+  /**
+   * Generate order_slug when retries are on, so a retried payment can be looked up
+   * instead of being sent twice
+   *
+   * @param {string|null} orderSlug
+   * @returns {string|null}
+   */
+  ensureOrderSlug(orderSlug) {
+    if (orderSlug || !this.retryPolicy) {
+      return orderSlug;
+    }
+
+    return crypto.randomBytes(16).toString('hex');
   }
 
   // Account Methods
@@ -102,7 +373,7 @@ module.exports = class Client {
    * @returns {Promise}
    */
   accountBalance() {
-    return this.createRequest('/balance', 'GET');
+    return this.createRequest('/balance', 'GET', null, null, {name: 'accountBalance'});
   }
 
   /**
@@ -121,7 +392,7 @@ module.exports = class Client {
    * @returns {Promise}
    */
   accountTransactions() {
-    return this.createRequest('/transactions', 'GET');
+    return this.createRequest('/transactions', 'GET', null, null, {name: 'accountTransactions'});
   }
 
   /**
@@ -136,12 +407,27 @@ module.exports = class Client {
    */
   getAccountHistory(dateFrom = null, dateTo = null, bank = null, limit = null, page = null) {
     const query = {};
-    if (bank) data.bank = bank;
-    if (limit) data.limit = limit;
-    if (page) data.page = page;
-    if (dateFrom) data.dateFrom = dateFrom;
-    if (dateTo) data.dateTo = dateTo;
-    return this.createRequest('/transactions', 'GET', null, query);
+    if (bank) query.bank = bank;
+    if (limit) query.limit = limit;
+    if (page) query.page = page;
+    if (dateFrom) query.dateFrom = dateFrom;
+    if (dateTo) query.dateTo = dateTo;
+    return this.createRequest('/transactions', 'GET', null, query, {name: 'getAccountHistory'});
+  }
+
+  /**
+   * Iterate account history page by page, for use with `for await`
+   *
+   * @param {object|null} options {dateFrom, dateTo, bank, limit: page size, maxItems, windowDays: 31}
+   * @returns {AsyncIterableIterator<object>}
+   */
+  iterateAccountHistory(options = null) {
+    const bank = options && options.bank ? options.bank : null;
+
+    return this.iterate(
+      (dateFrom, dateTo, page, limit) => this.withModels(false).getAccountHistory(dateFrom, dateTo, bank, limit, page),
+      options
+    );
   }
 
   /**
@@ -163,7 +449,20 @@ module.exports = class Client {
       limit: limit
     });
 
-    return this.createRequest('/cards-transactions', 'GET', null, query);
+    return this.createRequest('/cards-transactions', 'GET', null, query, {name: 'accountCardsTransactions'});
+  }
+
+  /**
+   * Iterate transactions of all partner's cards page by page, for use with `for await`
+   *
+   * @param {object|null} options {dateFrom, dateTo, limit: page size, maxItems, windowDays: 31}
+   * @returns {AsyncIterableIterator<object>}
+   */
+  iterateAccountCardsTransactions(options = null) {
+    return this.iterate(
+      (dateFrom, dateTo, page, limit) => this.withModels(false).accountCardsTransactions(dateFrom, dateTo, page, limit),
+      options
+    );
   }
 
   /**
@@ -186,7 +485,33 @@ module.exports = class Client {
       limit: limit,
       page: page,
     });
-    return this.createRequest(`/clients/${clientId}/cards/${barcode}/transactions`, 'GET', null, query);
+    return this.createRequest(`/clients/${clientId}/cards/${barcode}/transactions`, 'GET', null, query, {name: 'cardTransactions'});
+  }
+
+  /**
+   * Iterate card history page by page, for use with `for await`
+   *
+   * @param {string} clientId
+   * @param {string} barcode
+   * @param {object|null} options {dateFrom, dateTo, limit: page size, maxItems, windowDays: 31}
+   * @returns {AsyncIterableIterator<object>}
+   */
+  iterateCardTransactions(clientId, barcode, options = null) {
+    return this.iterate(
+      (dateFrom, dateTo, page, limit) => this.withModels(false).cardTransactions(clientId, barcode, dateFrom, dateTo, limit, page),
+      options
+    );
+  }
+
+  /**
+   * @param {function} fetchPage (dateFrom, dateTo, page, limit) => Promise of a response
+   * @param {object|null} options
+   * @returns {AsyncIterableIterator<object>} Records, Transaction objects when models are on
+   */
+  iterate(fetchPage, options) {
+    const records = iteratePages(fetchPage, options);
+
+    return this.models ? models.transactions(records) : records;
   }
 
   /**
@@ -205,7 +530,7 @@ module.exports = class Client {
    * @returns {Promise}
    */
   cardList(clientId) {
-    return this.createRequest(`/clients/${clientId}/cards`);
+    return this.createRequest(`/clients/${clientId}/cards`, 'GET', null, null, {name: 'cardList'});
   }
 
   /**
@@ -225,7 +550,7 @@ module.exports = class Client {
    * @return {Promise}
    */
   cardDetails(clientId, barcode) {
-    return this.createRequest(`/clients/${clientId}/cards/${barcode}`);
+    return this.createRequest(`/clients/${clientId}/cards/${barcode}`, 'GET', null, null, {name: 'cardDetails'});
   }
 
   /**
@@ -246,7 +571,7 @@ module.exports = class Client {
    * @returns {Promise}
    */
   cardOrderStatus(clientId, barcode, orderId) {
-    return this.createRequest(`/clients/${clientId}/cards/${barcode}/${orderId}`);
+    return this.createRequest(`/clients/${clientId}/cards/${barcode}/${orderId}`, 'GET', null, null, {name: 'cardOrderStatus', orderSlug: orderId});
   }
 
   // Card Methods
@@ -260,7 +585,7 @@ module.exports = class Client {
    * @returns {Promise}
    */
   cardBalance(clientId, barcode) {
-    return this.createRequest(`/clients/${clientId}/cards/${barcode}/balance`);
+    return this.createRequest(`/clients/${clientId}/cards/${barcode}/balance`, 'GET', null, null, {name: 'cardBalance'});
   }
 
   /**
@@ -279,7 +604,7 @@ module.exports = class Client {
    * @param barcode
    */
   cardLockStatus(clientId, barcode) {
-    return this.createRequest(`/clients/${clientId}/cards/${barcode}/lock`);
+    return this.createRequest(`/clients/${clientId}/cards/${barcode}/lock`, 'GET', null, null, {name: 'cardLockStatus'});
   }
 
   /**
@@ -296,7 +621,7 @@ module.exports = class Client {
       reason: reason
     });
 
-    return this.createRequest(`/clients/${clientId}/cards/${barcode}/lock`, 'POST', data);
+    return this.createRequest(`/clients/${clientId}/cards/${barcode}/lock`, 'POST', data, null, {name: 'cardLock'});
   }
 
   /**
@@ -316,7 +641,7 @@ module.exports = class Client {
    * @returns {Promise}
    */
   cardUnlock(clientId, barcode) {
-    return this.createRequest(`/clients/${clientId}/cards/${barcode}/lock`, 'DELETE');
+    return this.createRequest(`/clients/${clientId}/cards/${barcode}/lock`, 'DELETE', null, null, {name: 'cardUnlock'});
   }
 
   /**
@@ -335,7 +660,7 @@ module.exports = class Client {
    * @returns {Promise}
    */
   cardActivateVirtual(clientId) {
-    return this.createRequest(`/clients/${clientId}/virtual-cards`, 'POST');
+    return this.createRequest(`/clients/${clientId}/virtual-cards`, 'POST', null, null, {name: 'cardActivateVirtual'});
   }
 
   /**
@@ -355,7 +680,7 @@ module.exports = class Client {
    * @returns {Promise}
    */
   cardActivate(clientId, barcode) {
-    return this.createRequest(`/clients/${clientId}/cards/${barcode}/activate`, 'POST');
+    return this.createRequest(`/clients/${clientId}/cards/${barcode}/activate`, 'POST', null, null, {name: 'cardActivate'});
   }
 
   /**
@@ -375,7 +700,7 @@ module.exports = class Client {
    * @returns {Promise}
    */
   cardActivation(clientId, barcode) {
-    return this.createRequest(`/clients/${clientId}/cards/${barcode}/activation`);
+    return this.createRequest(`/clients/${clientId}/cards/${barcode}/activation`, 'GET', null, null, {name: 'cardActivation'});
   }
 
   /**
@@ -395,7 +720,7 @@ module.exports = class Client {
    * @return {Promise}
    */
   cardCvv(clientId, barcode) {
-    return this.createRequest(`/clients/${clientId}/cards/${barcode}/security-code`);
+    return this.createRequest(`/clients/${clientId}/cards/${barcode}/security-code`, 'GET', null, null, {name: 'cardCvv'});
   }
 
   /**
@@ -415,7 +740,7 @@ module.exports = class Client {
    * @returns {Promise}
    */
   cardCardholderData(clientId, barcode) {
-    return this.createRequest(`/clients/${clientId}/cards/${barcode}/cardholder/data`);
+    return this.createRequest(`/clients/${clientId}/cards/${barcode}/cardholder/data`, 'GET', null, null, {name: 'cardCardholderData'});
   }
 
   /**
@@ -428,7 +753,7 @@ module.exports = class Client {
    * @return {Promise}
    */
   cardLimits(clientId, barcode) {
-    return this.createRequest(`/clients/${clientId}/cards/${barcode}/limits`);
+    return this.createRequest(`/clients/${clientId}/cards/${barcode}/limits`, 'GET', null, null, {name: 'cardLimits'});
   }
 
   /**
@@ -438,17 +763,21 @@ module.exports = class Client {
    *
    * @param {string} clientId
    * @param {string} barcode
-   * @param {float} amount
+   * @param {float|Money} amount
    * @param {string|null} orderId
    * @return {Promise}
    */
   cardRefill(clientId, barcode, amount, orderId = null) {
+    orderId = this.ensureOrderSlug(orderId);
     const data = this.filterData({
       amount: amount,
       order_id: orderId,
     });
 
-    return this.createRequest(`/clients/${clientId}/cards/${barcode}/refill`, 'POST', data);
+    return this.createRequest(`/clients/${clientId}/cards/${barcode}/refill`, 'POST', data, null, {
+      name: 'cardRefill',
+      recover: orderId ? () => this.cardOrderStatus(clientId, barcode, orderId) : null
+    });
   }
 
   /**
@@ -465,17 +794,21 @@ module.exports = class Client {
    *
    * @param {string} clientId
    * @param {string} barcode
-   * @param {float} amount
+   * @param {float|Money} amount
    * @param {string|null} orderId
    * @return {Promise}
    */
   cardWithdrawal(clientId, barcode, amount, orderId = null) {
+    orderId = this.ensureOrderSlug(orderId);
     const data = this.filterData({
       amount: amount,
       order_id: orderId,
     });
 
-    return this.createRequest(`/clients/${clientId}/cards/${barcode}/withdrawal`, 'POST', data);
+    return this.createRequest(`/clients/${clientId}/cards/${barcode}/withdrawal`, 'POST', data, null, {
+      name: 'cardWithdrawal',
+      recover: orderId ? () => this.cardOrderStatus(clientId, barcode, orderId) : null
+    });
   }
 
   /**
@@ -500,7 +833,7 @@ module.exports = class Client {
       pin: pinCode,
     });
 
-    return this.createRequest(`/clients/${clientId}/cards/${barcode}/set/pin`, 'POST', data);
+    return this.createRequest(`/clients/${clientId}/cards/${barcode}/set/pin`, 'POST', data, null, {name: 'setCardPin'});
   }
 
   /**
@@ -513,18 +846,18 @@ module.exports = class Client {
    * @return {Promise}
    */
   cardPdf(clientId, barcode) {
-    return this.createRequest(`/clients/${clientId}/cards/${barcode}/pdf`);
+    return this.createRequest(`/clients/${clientId}/cards/${barcode}/pdf`, 'GET', null, null, {name: 'cardPdf'});
   }
 
   // Card2card Methods
   // Create payment link
   createPaymentLink(clientId) {
-    return this.createRequest(`/clients/${clientId}/card2card`, 'POST');
+    return this.createRequest(`/clients/${clientId}/card2card`, 'POST', null, null, {name: 'createPaymentLink'});
   }
 
   // Get payment link status
   getPaymentLinkStatus(clientId, paymentId) {
-    return this.createRequest(`/clients/${clientId}/card2card/${paymentId}`, 'GET');
+    return this.createRequest(`/clients/${clientId}/card2card/${paymentId}`, 'GET', null, null, {name: 'getPaymentLinkStatus'});
   }
 
   // Event subscription methods
@@ -536,7 +869,7 @@ module.exports = class Client {
    * @return {Promise}
    */
   eventSubscriptionList() {
-    return this.createRequest('/event-subscriptions');
+    return this.createRequest('/event-subscriptions', 'GET', null, null, {name: 'eventSubscriptionList'});
   }
 
   /**
@@ -561,7 +894,7 @@ module.exports = class Client {
       events: events
     });
 
-    return this.createRequest('/event-subscriptions', 'POST', data);
+    return this.createRequest('/event-subscriptions', 'POST', data, null, {name: 'eventSubscriptionStore'});
   }
 
   /**
@@ -578,7 +911,7 @@ module.exports = class Client {
   subscribeToEvent(clientId, limit = 50, skip = 500, alpha = '') {
     const data = {client_id: clientId};
     const query = {limit: limit, skip: skip, alpha: alpha};
-    return this.createRequest('/event-subscriptions', 'POST', data, query)
+    return this.createRequest('/event-subscriptions', 'POST', data, query, {name: 'subscribeToEvent'})
   }
 
   /**
@@ -590,7 +923,7 @@ module.exports = class Client {
    * @return {Promise}
    */
   eventSubscriptionRemove(subscriptionId) {
-    return this.createRequest(`/event-subscriptions/${subscriptionId}`, 'DELETE');
+    return this.createRequest(`/event-subscriptions/${subscriptionId}`, 'DELETE', null, null, {name: 'eventSubscriptionRemove'});
   }
 
   /**
@@ -600,6 +933,17 @@ module.exports = class Client {
     return this.eventSubscriptionRemove(subscriptionId);
   }
 
+  /**
+   * Create and remove event subscriptions until the bank has the desired ones, see subscriptionSync.js
+   *
+   * @param {Array<object>} desired {url, events}
+   * @param {object|null} options {dryRun: only plan the changes, prune: remove subscriptions to other URLs, true by default}
+   * @return {Promise} Resolves with {dryRun, plan: {create, remove, keep}, created, removed, failed, ok}
+   */
+  syncSubscriptions(desired, options = null) {
+    return syncSubscriptions(this.withModels(false), desired, options);
+  }
+
   // Card Delivery Methods
 
   /**
@@ -612,7 +956,7 @@ module.exports = class Client {
    * @return {Promise}
    */
   cardDeliveryStore(clientId, data) {
-    return this.createRequest(`/clients/${clientId}/card-deliveries`, 'POST', data);
+    return this.createRequest(`/clients/${clientId}/card-deliveries`, 'POST', data, null, {name: 'cardDeliveryStore'});
   }
 
   /**
@@ -632,7 +976,7 @@ module.exports = class Client {
    * @return {Promise}
    */
   cardDeliveryShow(clientId, deliveryId) {
-    return this.createRequest(`/clients/${clientId}/card-deliveries/${deliveryId}`);
+    return this.createRequest(`/clients/${clientId}/card-deliveries/${deliveryId}`, 'GET', null, null, {name: 'cardDeliveryShow'});
   }
 
   /**
@@ -642,6 +986,42 @@ module.exports = class Client {
     return this.cardDeliveryShow(clientId, deliveryId);
   }
 
+  /**
+   * Create a virtual card, activate it, wait for the activation, set the PIN and read its limits and details.
+   * A card left half set up by a failed step is locked.
+   *
+   * @param {string} clientId
+   * @param {object|null} options {pin, activationTimeout, interval, lockReason, onProgress}, see CardIssuer.js
+   * @return {Promise} Resolves with {clientId, barcode, card, limits, steps}, rejects with CardIssuanceError
+   */
+  issueVirtualCard(clientId, options = null) {
+    return new CardIssuer(this, options).issueVirtual(clientId, options);
+  }
+
+  /**
+   * Order the delivery of a physical card, set it up with setUpDeliveredCard() when it arrives
+   *
+   * @param {string} clientId
+   * @param {object} delivery cardDeliveryStore() data
+   * @param {object|null} options Same as issueVirtualCard() plus {activate: true to set the card up before it arrives}
+   * @return {Promise} Resolves with {clientId, barcode, delivery, card, limits, steps}, rejects with CardIssuanceError
+   */
+  issuePhysicalCard(clientId, delivery, options = null) {
+    return new CardIssuer(this, options).issuePhysical(clientId, delivery, options);
+  }
+
+  /**
+   * Set up a physical card once it is delivered, the same steps as issueVirtualCard() after the card is created
+   *
+   * @param {string} clientId
+   * @param {string} barcode
+   * @param {object|null} options Same as issueVirtualCard()
+   * @return {Promise} Resolves with {clientId, barcode, card, limits, steps}, rejects with CardIssuanceError
+   */
+  setUpDeliveredCard(clientId, barcode, options = null) {
+    return new CardIssuer(this, options).setUp(clientId, barcode, options);
+  }
+
   // Client Methods
   /**
    * Create the client
@@ -656,7 +1036,7 @@ module.exports = class Client {
     return this.createRequest('/clients', 'POST', {
       client_id: clientId,
       person: person
-    });
+    }, null, {name: 'clientStore'});
   }
 
   /**
@@ -678,10 +1058,10 @@ module.exports = class Client {
    * @return {Promise}
    */
   clientEdit(clientId, person) {
-    return this.createRequest('/clients', 'PUT', {
+    return this.createRequest(`/clients/${clientId}`, 'PUT', {
       client_id: clientId,
       person: person
-    });
+    }, null, {name: 'clientEdit'});
   }
 
   /**
@@ -693,7 +1073,7 @@ module.exports = class Client {
    * @return {Promise}
    */
   clientShow(clientId) {
-    return this.createRequest(`/clients/${clientId}`);
+    return this.createRequest(`/clients/${clientId}`, 'GET', null, null, {name: 'clientShow'});
   }
 
   /**
@@ -703,12 +1083,31 @@ module.exports = class Client {
     return this.clientShow(clientId);
   }
 
+  /**
+   * Send clientEdit() with only the fields that differ from clientShow(), nothing when none does
+   *
+   * @param {string} clientId
+   * @param {object} person New data, fields left out stay as they are
+   * @param {object|null} options {reveal: unmasked document numbers, INN and SNILS in the log}, see person.js
+   * @return {Promise} Resolves with {changed, person: the data sent, changes: [{field, from, to}], log: [lines], response}
+   */
+  clientUpdate(clientId, person, options = null) {
+    return this.withModels(false).clientShow(clientId).then(current => {
+      const diff = diffPerson(current, person, options);
+      if (!diff.person) {
+        return Object.assign(diff, {changed: false, response: null});
+      }
+
+      return this.clientEdit(clientId, diff.person).then(response => Object.assign(diff, {changed: true, response: response}));
+    });
+  }
+
   /**
    * Hold money from registered or unregistered card
    *
    * POST /api/v1/hold
    *
-   * @param {int|null} amount
+   * @param {int|Money|null} amount
    * @param {string|null} orderSlug
    * @param {object|null} cardInfo
    * @param {string|null} cardRefId
@@ -716,6 +1115,7 @@ module.exports = class Client {
    * @return {Promise}
    */
   hold(amount = null, orderSlug = null, cardInfo = null, cardRefId = null, redirectUrl = null) {
+    orderSlug = this.ensureOrderSlug(orderSlug);
     const data = this.filterData({
       amount: amount,
       order_slug: orderSlug,
@@ -724,7 +1124,10 @@ module.exports = class Client {
       redirect_url: redirectUrl
     });
 
-    return this.createRequest(`/hold`, 'POST', data);
+    return this.createRequest(`/hold`, 'POST', data, null, {
+      name: 'hold',
+      recover: orderSlug ? () => this.paymentStatus(orderSlug) : null
+    });
   }
 
   /**
@@ -734,12 +1137,13 @@ module.exports = class Client {
    *
    * @param {string} clientId
    * @param {string} redirectUrl
-   * @param {int} amount
+   * @param {int|Money} amount
    * @param {string|null} orderSlug
    * @param {string|null} cardToken
    * @return {Promise}
    */
   holdWithForm(clientId, redirectUrl, amount, orderSlug = null, cardToken = null) {
+    orderSlug = this.ensureOrderSlug(orderSlug);
     const data = this.filterData({
       redirect_url: redirectUrl,
       amount: amount,
@@ -747,7 +1151,10 @@ module.exports = class Client {
       card_token: cardToken
     });
 
-    return this.createRequest(`/hold/${clientId}/with/form`, 'POST', data);
+    return this.createRequest(`/hold/${clientId}/with/form`, 'POST', data, null, {
+      name: 'holdWithForm',
+      recover: orderSlug ? () => this.paymentStatus(orderSlug) : null
+    });
   }
 
   /**
@@ -756,7 +1163,7 @@ module.exports = class Client {
    * POST /api/v1/hold/confirm/{order_slug}
    *
    * @param {string} orderSlug
-   * @param {int|null} amount
+   * @param {int|Money|null} amount
    * @return {Promise}
    */
   holdConfirm(orderSlug, amount = null) {
@@ -764,7 +1171,7 @@ module.exports = class Client {
       amount: amount
     });
 
-    return this.createRequest(`/hold/confirm/${orderSlug}`, 'POST', data);
+    return this.createRequest(`/hold/confirm/${orderSlug}`, 'POST', data, null, {name: 'holdConfirm', orderSlug: orderSlug});
   }
 
   /**
@@ -773,7 +1180,7 @@ module.exports = class Client {
    * POST /api/v1/hold/reverse/{order_slug}
    *
    * @param {string} orderSlug
-   * @param {int|null} amount
+   * @param {int|Money|null} amount
    * @return {Promise}
    */
   holdReverse(orderSlug, amount = null) {
@@ -781,7 +1188,7 @@ module.exports = class Client {
       amount: amount
     });
 
-    return this.createRequest(`/hold/reverse/${orderSlug}`, 'POST', data);
+    return this.createRequest(`/hold/reverse/${orderSlug}`, 'POST', data, null, {name: 'holdReverse', orderSlug: orderSlug});
   }
 
   /**
@@ -790,13 +1197,14 @@ module.exports = class Client {
    * POST /api/v1/charge/{client_id}/unregistered/card
    *
    * @param {string} clientId
-   * @param {int} amount
+   * @param {int|Money} amount
    * @param {object} cardInfo
    * @param {string|null} redirectUrl
    * @param {string|null} orderSlug
    * @return {Promise}
    */
   paymentFromUnregisteredCard(clientId, amount, cardInfo, redirectUrl = null, orderSlug = null) {
+    orderSlug = this.ensureOrderSlug(orderSlug);
     const data = this.filterData({
       amount: amount,
       card_info: cardInfo,
@@ -804,7 +1212,10 @@ module.exports = class Client {
       order_slug: orderSlug
     });
 
-    return this.createRequest(`/charge/${clientId}/unregistered/card`, 'POST', data);
+    return this.createRequest(`/charge/${clientId}/unregistered/card`, 'POST', data, null, {
+      name: 'paymentFromUnregisteredCard',
+      recover: orderSlug ? () => this.paymentStatus(orderSlug) : null
+    });
   }
 
   /**
@@ -814,7 +1225,7 @@ module.exports = class Client {
    *
    * @param {string} clientId
    * @param {string} redirectUrl
-   * @param {int} amount
+   * @param {int|Money} amount
    * @return {Promise}
    */
   paymentFromUnregisteredCardToken(clientId, redirectUrl, amount) {
@@ -823,43 +1234,51 @@ module.exports = class Client {
       amount: amount
     });
 
-    return this.createRequest(`/charge/${clientId}/token`, 'POST', data);
+    return this.createRequest(`/charge/${clientId}/token`, 'POST', data, null, {name: 'paymentFromUnregisteredCardToken'});
   }
 
   /**
    * POST /api/v1/refill/{client_id}/token
    *
    * @param {string} clientId
-   * @param {int} amount
+   * @param {int|Money} amount
    * @param {string|null} orderSlug
    * @return {Promise}
    */
   paymentToUnregisteredCardToken(clientId, amount, orderSlug = null) {
+    orderSlug = this.ensureOrderSlug(orderSlug);
     const data = this.filterData({
       amount: amount,
       order_slug: orderSlug
     });
 
-    return this.createRequest(`/refill/${clientId}/token`, 'POST', data);
+    return this.createRequest(`/refill/${clientId}/token`, 'POST', data, null, {
+      name: 'paymentToUnregisteredCardToken',
+      recover: orderSlug ? () => this.paymentStatus(orderSlug) : null
+    });
   }
 
   /**
    * POST /api/v1/charge/{client_id}/unregistered/card/with/form
    *
    * @param {string} clientId
-   * @param {int} amount
+   * @param {int|Money} amount
    * @param {string|null} orderSlug
    * @param {string|null} redirectUrl
    * @return {Promise}
    */
   paymentFromUnregisteredCardWithForm(clientId, amount, orderSlug = null, redirectUrl = null) {
+    orderSlug = this.ensureOrderSlug(orderSlug);
     const data = this.filterData({
       amount: amount,
       order_slug: orderSlug,
       redirect_url: redirectUrl
     });
 
-    return this.createRequest(`/charge/${clientId}/unregistered/card/with/form`, 'POST', data);
+    return this.createRequest(`/charge/${clientId}/unregistered/card/with/form`, 'POST', data, null, {
+      name: 'paymentFromUnregisteredCardWithForm',
+      recover: orderSlug ? () => this.paymentStatus(orderSlug) : null
+    });
   }
 
   /**
@@ -868,19 +1287,23 @@ module.exports = class Client {
    * POST /api/v1/payment/from/{client_id}/registered/card
    *
    * @param {string} clientId
-   * @param {int} amount
+   * @param {int|Money} amount
    * @param {string} cardToken
    * @param {string|null} orderSlug
    * @return {Promise}
    */
   paymentFromRegisteredCard(clientId, amount, cardToken, orderSlug = null) {
+    orderSlug = this.ensureOrderSlug(orderSlug);
     const data = this.filterData({
       amount: amount,
       card_token: cardToken,
       order_slug: orderSlug
     });
 
-    return this.createRequest(`/payment/from/${clientId}/registered/card`, 'POST', data);
+    return this.createRequest(`/payment/from/${clientId}/registered/card`, 'POST', data, null, {
+      name: 'paymentFromRegisteredCard',
+      recover: orderSlug ? () => this.paymentStatus(orderSlug) : null
+    });
   }
 
   /**
@@ -899,7 +1322,7 @@ module.exports = class Client {
       redirect_url: redirectUrl
     });
 
-    return this.createRequest(`/authorize/card/${clientId}`, 'POST', data);
+    return this.createRequest(`/authorize/card/${clientId}`, 'POST', data, null, {name: 'paymentAuthorization'});
   }
 
   /**
@@ -916,7 +1339,7 @@ module.exports = class Client {
       redirect_url: redirectUrl
     });
 
-    return this.createRequest(`/authorize/card/${clientId}/token`, 'POST', data);
+    return this.createRequest(`/authorize/card/${clientId}/token`, 'POST', data, null, {name: 'paymentAuthorizationToken'});
   }
 
   /**
@@ -928,12 +1351,16 @@ module.exports = class Client {
    * @return {Promise}
    */
   paymentAuthorizationWithForm(clientId, redirectUrl = null, orderSlug = null) {
+    orderSlug = this.ensureOrderSlug(orderSlug);
     const data = this.filterData({
       redirect_url: redirectUrl,
       order_slug: orderSlug
     });
 
-    return this.createRequest(`/authorize/card/${clientId}/with/form`, 'POST', data);
+    return this.createRequest(`/authorize/card/${clientId}/with/form`, 'POST', data, null, {
+      name: 'paymentAuthorizationWithForm',
+      recover: orderSlug ? () => this.paymentStatus(orderSlug) : null
+    });
   }
 
   /**
@@ -941,24 +1368,28 @@ module.exports = class Client {
    *
    * @param {string} clientId
    * @param {string} cardToken
-   * @param {int} amount
+   * @param {int|Money} amount
    * @param {string|null} orderSlug
    * @return {Promise}
    */
   paymentToRegisteredCard(clientId, cardToken, amount, orderSlug = null) {
+    orderSlug = this.ensureOrderSlug(orderSlug);
     const data = this.filterData({
       card_token: cardToken,
       amount: amount,
       order_slug: orderSlug
     });
 
-    return this.createRequest(`/payment/to/${clientId}/registered/card`, 'POST', data);
+    return this.createRequest(`/payment/to/${clientId}/registered/card`, 'POST', data, null, {
+      name: 'paymentToRegisteredCard',
+      recover: orderSlug ? () => this.paymentStatus(orderSlug) : null
+    });
   }
 
   /**
    * POST /api/v1/account/transfer
    *
-   * @param {int} amount
+   * @param {int|Money} amount
    * @param {string} account
    * @param {string} bik
    * @param {string} name
@@ -968,6 +1399,7 @@ module.exports = class Client {
    * @return {Promise}
    */
   paymentToAccount(amount, account, bik, name, inn = null, description = null, orderSlug = null) {
+    orderSlug = this.ensureOrderSlug(orderSlug);
     const data = this.filterData({
       amount: amount,
       account: account,
@@ -978,7 +1410,10 @@ module.exports = class Client {
       order_slug: orderSlug
     });
 
-    return this.createRequest(`/account/transfer`, 'POST', data);
+    return this.createRequest(`/account/transfer`, 'POST', data, null, {
+      name: 'paymentToAccount',
+      recover: orderSlug ? () => this.paymentStatus(orderSlug) : null
+    });
   }
 
   /**
@@ -987,37 +1422,45 @@ module.exports = class Client {
    * POST /api/v1/refill/unregistered/card
    *
    * @param {string} cardNumber
-   * @param {int|null} amount
+   * @param {int|Money|null} amount
    * @param {string|null} orderSlug
    * @return {Promise}
    */
   paymentToUnregisteredCard(cardNumber, amount = null, orderSlug = null) {
+    orderSlug = this.ensureOrderSlug(orderSlug);
     const data = this.filterData({
       card_number: cardNumber,
       amount: amount,
       order_slug: orderSlug
     });
 
-    return this.createRequest(`/refill/unregistered/card`, 'POST', data);
+    return this.createRequest(`/refill/unregistered/card`, 'POST', data, null, {
+      name: 'paymentToUnregisteredCard',
+      recover: orderSlug ? () => this.paymentStatus(orderSlug) : null
+    });
   }
 
   /**
    * POST /api/v1/refill/{client_id}/unregistered/card/with/form
    *
    * @param {string} clientId
-   * @param {int} amount
+   * @param {int|Money} amount
    * @param {string|null} orderSlug
    * @param {string|null} redirectUrl
    * @return {Promise}
    */
   paymentToUnregisteredCardWithForm(clientId, amount, orderSlug = null, redirectUrl = null) {
+    orderSlug = this.ensureOrderSlug(orderSlug);
     const data = this.filterData({
       amount: amount,
       order_slug: orderSlug,
       redirect_url: redirectUrl
     });
 
-    return this.createRequest(`/refill/${clientId}/unregistered/card/with/form`, 'POST', data);
+    return this.createRequest(`/refill/${clientId}/unregistered/card/with/form`, 'POST', data, null, {
+      name: 'paymentToUnregisteredCardWithForm',
+      recover: orderSlug ? () => this.paymentStatus(orderSlug) : null
+    });
   }
 
   /**
@@ -1029,7 +1472,19 @@ module.exports = class Client {
    * @return {Promise}
    */
   paymentStatus(orderSlug) {
-    return this.createRequest(`/payment/${orderSlug}`);
+    return this.createRequest(`/payment/${orderSlug}`, 'GET', null, null, {name: 'paymentStatus', orderSlug: orderSlug});
+  }
+
+  /**
+   * Poll paymentStatus() until the payment succeeds, fails or is reversed,
+   * e.g. while the customer passes 3-D Secure on the payment form
+   *
+   * @param {string} orderSlug
+   * @param {object|null} options {timeout, interval, maxInterval, factor, terminal, signal, onStatus}, see paymentStatus.js
+   * @return {Promise} Resolves with {status, rawStatus, orderSlug, data, response}, rejects with PaymentTimeoutError
+   */
+  waitForPayment(orderSlug, options = null) {
+    return waitForPaymentStatus(() => this.withModels(false).paymentStatus(orderSlug), {orderSlug: orderSlug}, options);
   }
 
   /**
@@ -1039,7 +1494,7 @@ module.exports = class Client {
    * @return {Promise}
    */
   selfemploymentsRegistrationStatus(clientId) {
-    return this.createRequest(`/selfemployments/${clientId}`);
+    return this.createRequest(`/selfemployments/${clientId}`, 'GET', null, null, {name: 'selfemploymentsRegistrationStatus'});
   }
 
   /**
@@ -1048,7 +1503,7 @@ module.exports = class Client {
    * POST /client/v1/charge
    *
    * @param {string} token
-   * @param {int} amount
+   * @param {int|Money} amount
    * @param {object} cardInfo
    * @return {Promise}
    */
@@ -1059,7 +1514,7 @@ module.exports = class Client {
       card_info: cardInfo
     });
 
-    return this.createRequest(`/client/v1/charge`, 'POST', data, null, {rewriteUri: true});
+    return this.createRequest(`/client/v1/charge`, 'POST', data, null, {rewriteUri: true, name: 'unsignedPaymentFromUnregisteredCard'});
   }
 
   /**
@@ -1078,7 +1533,7 @@ module.exports = class Client {
       card_number: cardNumber
     });
 
-    return this.createRequest(`/client/v1/refill`, 'POST', data, null, {rewriteUri: true});
+    return this.createRequest(`/client/v1/refill`, 'POST', data, null, {rewriteUri: true, name: 'unsignedPaymentToUnregisteredCard'});
   }
 
   /**
@@ -1094,7 +1549,7 @@ module.exports = class Client {
       card_info: cardInfo
     });
 
-    return this.createRequest(`/client/v1/authorize`, 'POST', data, null, {rewriteUri: true});
+    return this.createRequest(`/client/v1/authorize`, 'POST', data, null, {rewriteUri: true, name: 'unsignedPaymentAuthorization'});
   }
 
   /**
@@ -1112,7 +1567,7 @@ module.exports = class Client {
       card_info: cardInfo
     });
 
-    return this.createRequest(`/client/v1/hold`, 'POST', data, null, {rewriteUri: true});
+    return this.createRequest(`/client/v1/hold`, 'POST', data, null, {rewriteUri: true, name: 'unsignedHold'});
   }
 
   /**
@@ -1124,7 +1579,18 @@ module.exports = class Client {
    * @return {Promise}
    */
   unsignedPaymentStatusByHash(hash) {
-    return this.createRequest(`/client/v1/status/${hash}`, 'GET', null, null, {rewriteUri: true});
+    return this.createRequest(`/client/v1/status/${hash}`, 'GET', null, null, {rewriteUri: true, name: 'unsignedPaymentStatusByHash'});
+  }
+
+  /**
+   * Same as waitForPayment() for the client-side flow, polls unsignedPaymentStatusByHash()
+   *
+   * @param {string} hash
+   * @param {object|null} options See waitForPayment()
+   * @return {Promise}
+   */
+  waitForPaymentByHash(hash, options = null) {
+    return waitForPaymentStatus(() => this.withModels(false).unsignedPaymentStatusByHash(hash), {hash: hash}, options);
   }
 
   /**
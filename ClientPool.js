@@ -0,0 +1,169 @@
+const Client = require('./Client');
+const {environmentUrl, credentialsFromEnv} = require('./environments');
+
+/**
+ * Hands out one Client per partner account, created on first use.
+ *
+ * Credentials of a partner are merged from three places, later ones win:
+ * the `partners` config, TALKBANK_<NAME>_* env variables (see environments.js) and the `secrets` provider.
+ */
+class ClientPool {
+
+  /**
+   * @param {object|null} options {
+   *   partners: {name: {environment: 'sandbox' or an API root URL, partnerId, token or tokens (newest first), options}},
+   *   secrets: async (name, partner) => {partnerId, token or tokens}, asked on first use and on refresh(),
+   *   env: variables to read credentials from, process.env by default, false to skip them,
+   *   tenants: {tenantId: partner name} or tenantId => partner name, see forTenant(),
+   *   defaults: Client options for every partner, a partner's own options are merged over them,
+   *   refreshInterval: ms after which get() asks the secrets provider again, off by default
+   * }
+   */
+  constructor(options = null) {
+    options = options || {};
+
+    this.partners = options.partners || {};
+    this.secrets = options.secrets || null;
+    this.env = options.env === false ? null : options.env || process.env;
+    this.tenants = options.tenants || {};
+    this.defaults = options.defaults || {};
+    this.refreshInterval = options.refreshInterval || null;
+    this.entries = {};
+  }
+
+  /**
+   * @param {string} name Partner name
+   * @returns {Promise<Client>}
+   */
+  get(name) {
+    const entry = this.entries[name];
+    if (!entry) {
+      return this.create(name);
+    }
+    if (this.refreshInterval && Date.now() - entry.loadedAt >= this.refreshInterval) {
+      return this.refresh(name);
+    }
+
+    return entry.promise;
+  }
+
+  /**
+   * @param {string} tenantId
+   * @returns {Promise<Client>} Client of the partner serving the tenant
+   */
+  forTenant(tenantId) {
+    const name = typeof this.tenants === 'function' ? this.tenants(tenantId) : this.tenants[tenantId];
+    if (!name) {
+      return Promise.reject(new TypeError(`No partner for tenant ${tenantId}`));
+    }
+
+    return this.get(name);
+  }
+
+  /**
+   * Load the credentials again and hand them to the existing client, e.g. after a token was rotated
+   *
+   * @param {string} name
+   * @returns {Promise<Client>}
+   */
+  refresh(name) {
+    const entry = this.entries[name];
+    if (!entry) {
+      return this.create(name);
+    }
+
+    const previous = entry.promise;
+    entry.loadedAt = Date.now();
+    entry.promise = Promise.all([previous, this.credentials(name)]).then(([client, credentials]) => {
+      if (credentials.partnerId !== client.partnerId) {
+        throw new TypeError(`Partner ${name} changed its partnerId, remove() it instead`);
+      }
+      return client.setToken(credentials.tokens);
+    });
+    // A failed refresh keeps the client with the tokens it had
+    const refreshed = entry.promise;
+    refreshed.catch(() => {
+      if (entry.promise === refreshed) {
+        entry.promise = previous;
+      }
+    });
+
+    return refreshed;
+  }
+
+  /**
+   * Set the tokens of a partner without asking the secrets provider
+   *
+   * @param {string} name
+   * @param {string|Array<string>} tokens Newest first
+   * @returns {Promise<Client>}
+   */
+  rotate(name, tokens) {
+    return this.get(name).then(client => client.setToken(tokens));
+  }
+
+  /**
+   * Forget the client of a partner, the next get() creates a new one
+   *
+   * @param {string} name
+   */
+  remove(name) {
+    delete this.entries[name];
+  }
+
+  /**
+   * @returns {Array<string>} Partners with a client created
+   */
+  names() {
+    return Object.keys(this.entries);
+  }
+
+  forgetOnFailure(name, entry) {
+    entry.promise.catch(() => {
+      if (this.entries[name] === entry) {
+        delete this.entries[name];
+      }
+    });
+  }
+
+  create(name) {
+    const entry = {loadedAt: Date.now(), promise: null};
+    entry.promise = this.credentials(name).then(credentials => {
+      const partner = this.partners[name] || {};
+      const options = Object.assign({}, this.defaults, partner.options || {});
+
+      return new Client(credentials.partnerId, credentials.tokens, credentials.baseUrl, options);
+    });
+    // A failed lookup is not cached, the next get() tries again
+    this.forgetOnFailure(name, entry);
+    this.entries[name] = entry;
+
+    return entry.promise;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<object>} {partnerId, tokens, baseUrl}
+   */
+  async credentials(name) {
+    const partner = this.partners[name] || {};
+    const fromEnv = this.env ? credentialsFromEnv(name, this.env) : null;
+    const fromSecrets = this.secrets ? await this.secrets(name, partner) : null;
+    // The secrets provider wins over env variables, they win over the config
+    const pick = field => [fromSecrets, fromEnv, partner].map(source => source && source[field]).find(Boolean) || null;
+
+    const partnerId = pick('partnerId');
+    const tokens = [].concat([fromSecrets, fromEnv, partner].map(source => source && (source.tokens || source.token)).find(Boolean) || []);
+    if (!partnerId || tokens.length === 0) {
+      throw new TypeError(`No credentials for partner ${name}`);
+    }
+
+    return {
+      partnerId: partnerId,
+      tokens: tokens,
+      baseUrl: pick('baseUrl') || environmentUrl(pick('environment'))
+    };
+  }
+}
+
+module.exports = ClientPool;
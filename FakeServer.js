@@ -0,0 +1,913 @@
+const http = require('http');
+const crypto = require('crypto');
+const queryString = require('query-string');
+const Signer = require('./Signer');
+
+/**
+ * Error response sent by a route handler
+ */
+class FakeServerError extends Error {
+  /**
+   * @param {int} statusCode
+   * @param {string} code
+   * @param {string} message
+   * @param {object|null} errors Per-field messages
+   */
+  constructor(statusCode, code, message, errors = null) {
+    super(message);
+    this.statusCode = statusCode;
+    this.code = code;
+    this.errors = errors;
+  }
+}
+
+/**
+ * In-process stand-in for the TalkBank BaaS API.
+ *
+ * Implements every route of the README against in-memory state and checks
+ * signatures the way the bank does, so `new Client(partnerId, token, server.url)`
+ * runs without network access.
+ */
+class FakeServer {
+
+  /**
+   * @param {string} partnerId
+   * @param {string} token
+   * @param {object|null} options {port: 0, host: '127.0.0.1', balance: 1000000}
+   */
+  constructor(partnerId, token, options = null) {
+    options = options || {};
+
+    this.partnerId = partnerId;
+    this.token = token;
+    this.port = options.port || 0;
+    this.host = options.host || '127.0.0.1';
+    this.initialBalance = options.balance !== undefined ? options.balance : 1000000;
+    this.signer = new Signer(partnerId, token);
+    this.server = null;
+    this.url = null;
+    this.routes = [];
+
+    this.reset();
+    this.registerRoutes();
+  }
+
+  /**
+   * @returns {Promise<FakeServer>}
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.onRequest(req, res));
+      this.server.on('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        this.url = `http://${this.host}:${this.port}/api/v1`;
+        resolve(this);
+      });
+    });
+  }
+
+  /**
+   * @returns {Promise}
+   */
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) {
+        return resolve();
+      }
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * Drop all state, injected failures and recorded requests
+   */
+  reset() {
+    this.state = {
+      balance: this.initialBalance,
+      transactions: [],
+      clients: {},
+      cards: {},
+      cardTransactions: [],
+      payments: {},
+      tokens: {},
+      cardTokens: {},
+      subscriptions: {},
+      deliveries: {}
+    };
+    this.failures = [];
+    this.requests = [];
+    this.sequence = 0;
+  }
+
+  /**
+   * Make the next matching request(s) fail.
+   *
+   * With `processed: true` the request is handled first and only its answer fails,
+   * the way a timeout after the bank moved the money looks to a client.
+   *
+   * @param {object} failure {method, path: string prefix or RegExp, status: 500, body, network: false, processed: false, times: 1}
+   * @returns {FakeServer}
+   */
+  failNext(failure) {
+    this.failures.push(Object.assign({status: 500, times: 1, network: false, processed: false}, failure));
+
+    return this;
+  }
+
+  /**
+   * POST a signed event to every subscription listening to it
+   *
+   * @param {string} event
+   * @param {object} payload
+   * @returns {Promise<Array>} [{url, status}]
+   */
+  fireEvent(event, payload = {}) {
+    const subscriptions = Object.keys(this.state.subscriptions)
+      .map(id => this.state.subscriptions[id])
+      .filter(subscription => !subscription.events || subscription.events.length === 0 || subscription.events.includes(event));
+
+    const body = JSON.stringify(Object.assign({event: event}, payload));
+
+    return Promise.all(subscriptions.map(subscription => this.sendSigned(subscription.url, body)
+      .then(status => ({url: subscription.url, status: status}))));
+  }
+
+  /**
+   * Add a card transaction, the way the processing centre would
+   *
+   * @param {string} clientId
+   * @param {string} barcode
+   * @param {object} transaction {amount, description, date}
+   * @returns {object}
+   */
+  addCardTransaction(clientId, barcode, transaction) {
+    const card = this.findCard(clientId, barcode);
+    const record = Object.assign({
+      id: this.nextId('trx'),
+      client_id: String(clientId),
+      barcode: barcode,
+      date: new Date().toISOString()
+    }, transaction);
+
+    card.balance += record.amount || 0;
+    this.state.cardTransactions.push(record);
+
+    return record;
+  }
+
+  /**
+   * Move a payment to another status, e.g. after the customer passed the payment form
+   *
+   * @param {string} orderSlug
+   * @param {string} status
+   * @returns {object}
+   */
+  setPaymentStatus(orderSlug, status) {
+    const payment = this.findPayment(orderSlug);
+    if (status === 'success' && payment.status !== 'success' && payment.type === 'charge') {
+      this.completePayment(payment);
+    }
+    payment.status = status;
+
+    return this.paymentView(payment);
+  }
+
+  // Routing
+
+  registerRoutes() {
+    // Account
+    this.route('GET', '/api/v1/balance', () => ({balance: this.state.balance}));
+    this.route('GET', '/api/v1/transactions', (params, query) => this.paginate(
+      this.filterByDate(this.state.transactions, query.dateFrom, query.dateTo), query
+    ));
+    this.route('GET', '/api/v1/cards-transactions', (params, query) => this.paginate(
+      this.filterByDate(this.state.cardTransactions, query.fromDate, query.toDate), query
+    ));
+
+    // Cards
+    this.route('GET', '/api/v1/clients/:client_id/cards', params => {
+      this.findClient(params.client_id);
+      return {cards: this.clientCards(params.client_id).map(card => this.cardView(card))};
+    });
+    this.route('POST', '/api/v1/clients/:client_id/virtual-cards', params => {
+      this.findClient(params.client_id);
+      const card = this.createCard(params.client_id, true);
+      return {barcode: card.barcode};
+    });
+    this.route('GET', '/api/v1/clients/:client_id/cards/:barcode/transactions', (params, query) => {
+      this.findCard(params.client_id, params.barcode);
+      const transactions = this.state.cardTransactions
+        .filter(transaction => transaction.client_id === params.client_id && transaction.barcode === params.barcode);
+      return this.paginate(this.filterByDate(transactions, query.dateFrom, query.dateTo), query);
+    });
+    this.route('GET', '/api/v1/clients/:client_id/cards/:barcode/balance', params => {
+      const card = this.findCard(params.client_id, params.barcode);
+      return {balance: card.balance, currency: 'RUB'};
+    });
+    this.route('GET', '/api/v1/clients/:client_id/cards/:barcode/lock', params => {
+      const card = this.findCard(params.client_id, params.barcode);
+      return {locked: card.locked, reason: card.lockReason};
+    });
+    this.route('POST', '/api/v1/clients/:client_id/cards/:barcode/lock', (params, query, body) => {
+      const card = this.findCard(params.client_id, params.barcode);
+      card.locked = true;
+      card.lockReason = body.reason || null;
+      return {locked: true};
+    });
+    this.route('DELETE', '/api/v1/clients/:client_id/cards/:barcode/lock', params => {
+      const card = this.findCard(params.client_id, params.barcode);
+      card.locked = false;
+      card.lockReason = null;
+      return {locked: false};
+    });
+    this.route('POST', '/api/v1/clients/:client_id/cards/:barcode/activate', params => {
+      const card = this.findCard(params.client_id, params.barcode);
+      card.status = 'active';
+      return {status: card.status};
+    });
+    this.route('GET', '/api/v1/clients/:client_id/cards/:barcode/activation', params => {
+      const card = this.findCard(params.client_id, params.barcode);
+      return {status: card.status};
+    });
+    this.route('GET', '/api/v1/clients/:client_id/cards/:barcode/security-code', params => {
+      this.findCard(params.client_id, params.barcode);
+      return {status: 'sent'};
+    });
+    this.route('GET', '/api/v1/clients/:client_id/cards/:barcode/cardholder/data', params => {
+      this.findCard(params.client_id, params.barcode);
+      return {person: this.findClient(params.client_id).person};
+    });
+    this.route('GET', '/api/v1/clients/:client_id/cards/:barcode/limits', params => {
+      this.findCard(params.client_id, params.barcode);
+      return {limits: {day: 100000, month: 600000}};
+    });
+    this.route('POST', '/api/v1/clients/:client_id/cards/:barcode/refill', (params, query, body) => {
+      const card = this.findCard(params.client_id, params.barcode);
+      this.requireAmount(body.amount);
+      return this.cardOrder(card, body.amount, body.order_id);
+    });
+    this.route('POST', '/api/v1/clients/:client_id/cards/:barcode/withdrawal', (params, query, body) => {
+      const card = this.findCard(params.client_id, params.barcode);
+      this.requireAmount(body.amount);
+      return this.cardOrder(card, -body.amount, body.order_id);
+    });
+    this.route('POST', '/api/v1/clients/:client_id/cards/:barcode/set/pin', (params, query, body) => {
+      const card = this.findCard(params.client_id, params.barcode);
+      if (!/^\d{4}$/.test(String(body.pin))) {
+        throw new FakeServerError(422, 'validation_error', 'Invalid PIN', {pin: ['PIN must be 4 digits']});
+      }
+      card.pinSet = true;
+      return {status: 'ok'};
+    });
+    this.route('GET', '/api/v1/clients/:client_id/cards/:barcode/pdf', params => {
+      this.findCard(params.client_id, params.barcode);
+      return {pdf: Buffer.from(`%PDF-1.4 ${params.barcode}`).toString('base64')};
+    });
+    this.route('GET', '/api/v1/clients/:client_id/cards/:barcode/:order_id', params => {
+      this.findCard(params.client_id, params.barcode);
+      return this.paymentView(this.findPayment(params.order_id));
+    });
+    this.route('GET', '/api/v1/clients/:client_id/cards/:barcode', params => {
+      return this.cardView(this.findCard(params.client_id, params.barcode));
+    });
+
+    // Event subscriptions
+    this.route('GET', '/api/v1/event-subscriptions', () => ({
+      subscriptions: Object.keys(this.state.subscriptions).map(id => this.state.subscriptions[id])
+    }));
+    this.route('POST', '/api/v1/event-subscriptions', (params, query, body) => {
+      if (!body.url) {
+        throw new FakeServerError(422, 'validation_error', 'The url field is required', {url: ['required']});
+      }
+      const subscription = {id: this.nextId('sub'), url: body.url, events: body.events || []};
+      this.state.subscriptions[subscription.id] = subscription;
+      return subscription;
+    });
+    this.route('DELETE', '/api/v1/event-subscriptions/:subscription_id', params => {
+      if (!this.state.subscriptions[params.subscription_id]) {
+        throw new FakeServerError(404, 'not_found', 'Subscription not found');
+      }
+      delete this.state.subscriptions[params.subscription_id];
+      return {status: 'ok'};
+    });
+
+    // Deliveries
+    this.route('POST', '/api/v1/clients/:client_id/card-deliveries', (params, query, body) => {
+      this.findClient(params.client_id);
+      const card = this.createCard(params.client_id, false);
+      const delivery = Object.assign({}, body, {
+        id: this.nextId('dlv'),
+        client_id: params.client_id,
+        barcode: card.barcode,
+        status: 'new'
+      });
+      this.state.deliveries[delivery.id] = delivery;
+      return delivery;
+    });
+    this.route('GET', '/api/v1/clients/:client_id/card-deliveries/:delivery_id', params => {
+      const delivery = this.state.deliveries[params.delivery_id];
+      if (!delivery || delivery.client_id !== params.client_id) {
+        throw new FakeServerError(404, 'not_found', 'Delivery not found');
+      }
+      return delivery;
+    });
+
+    // Clients
+    this.route('POST', '/api/v1/clients', (params, query, body) => {
+      if (!body.client_id || !body.person) {
+        throw new FakeServerError(422, 'validation_error', 'client_id and person are required', {
+          client_id: body.client_id ? [] : ['required'],
+          person: body.person ? [] : ['required']
+        });
+      }
+      if (this.state.clients[body.client_id]) {
+        throw new FakeServerError(409, 'client_exists', 'Client already exists');
+      }
+      this.state.clients[body.client_id] = {client_id: String(body.client_id), status: 'active', person: body.person};
+      return this.state.clients[body.client_id];
+    });
+    this.route('PUT', '/api/v1/clients/:client_id', (params, query, body) => {
+      const client = this.findClient(params.client_id);
+      client.person = Object.assign({}, client.person, body.person);
+      return client;
+    });
+    this.route('GET', '/api/v1/clients/:client_id', params => this.findClient(params.client_id));
+
+    // Hold
+    this.route('POST', '/api/v1/hold', (params, query, body) => {
+      this.requireAmount(body.amount);
+      this.requireCard(body.card_info, body.card_ref_id);
+      return this.paymentView(this.createPayment('hold', body.amount, body.order_slug, {status: 'hold'}));
+    });
+    this.route('POST', '/api/v1/hold/:client_id/with/form', (params, query, body) => {
+      this.requireAmount(body.amount);
+      return this.withForm(this.createPayment('hold', body.amount, body.order_slug, {client_id: params.client_id}));
+    });
+    this.route('POST', '/api/v1/hold/confirm/:order_slug', (params, query, body) => {
+      const payment = this.findHold(params.order_slug);
+      const amount = body.amount !== undefined ? body.amount : payment.amount - payment.confirmed - payment.reversed;
+      this.requireHoldAmount(payment, amount);
+      payment.confirmed += amount;
+      this.state.balance += amount;
+      this.settleHold(payment);
+      return this.paymentView(payment);
+    });
+    this.route('POST', '/api/v1/hold/reverse/:order_slug', (params, query, body) => {
+      const payment = this.findHold(params.order_slug);
+      const amount = body.amount !== undefined ? body.amount : payment.amount - payment.confirmed - payment.reversed;
+      this.requireHoldAmount(payment, amount);
+      payment.reversed += amount;
+      this.settleHold(payment);
+      return this.paymentView(payment);
+    });
+
+    // Payment
+    this.route('POST', '/api/v1/charge/:client_id/unregistered/card', (params, query, body) => {
+      this.requireAmount(body.amount);
+      this.requireCard(body.card_info, null);
+      const payment = this.createPayment('charge', body.amount, body.order_slug, {client_id: params.client_id});
+      this.completePayment(payment);
+      return this.paymentView(payment);
+    });
+    this.route('POST', '/api/v1/charge/:client_id/token', (params, query, body) => {
+      this.requireAmount(body.amount);
+      return this.issueToken('charge', params.client_id, body.amount, null);
+    });
+    this.route('POST', '/api/v1/refill/:client_id/token', (params, query, body) => {
+      this.requireAmount(body.amount);
+      return this.issueToken('refill', params.client_id, body.amount, body.order_slug);
+    });
+    this.route('POST', '/api/v1/charge/:client_id/unregistered/card/with/form', (params, query, body) => {
+      this.requireAmount(body.amount);
+      return this.withForm(this.createPayment('charge', body.amount, body.order_slug, {client_id: params.client_id}));
+    });
+    this.route('POST', '/api/v1/payment/from/:client_id/registered/card', (params, query, body) => {
+      this.requireAmount(body.amount);
+      this.findCardToken(body.card_token);
+      const payment = this.createPayment('charge', body.amount, body.order_slug, {client_id: params.client_id});
+      this.completePayment(payment);
+      return this.paymentView(payment);
+    });
+    this.route('POST', '/api/v1/authorize/card/:client_id', (params, query, body) => {
+      this.requireCard(body.card_info, null);
+      return {card_token: this.registerCard(params.client_id, body.card_info.pan)};
+    });
+    this.route('POST', '/api/v1/authorize/card/:client_id/token', params => {
+      return this.issueToken('authorize', params.client_id, null, null);
+    });
+    this.route('POST', '/api/v1/authorize/card/:client_id/with/form', (params, query, body) => {
+      const payment = this.createPayment('authorize', 0, body.order_slug, {client_id: params.client_id});
+      return this.withForm(payment);
+    });
+    this.route('POST', '/api/v1/payment/to/:client_id/registered/card', (params, query, body) => {
+      this.requireAmount(body.amount);
+      this.findCardToken(body.card_token);
+      this.requireNewOrder(body.order_slug);
+      this.debitAccount(body.amount);
+      const payment = this.createPayment('refill', body.amount, body.order_slug, {client_id: params.client_id});
+      payment.status = 'success';
+      return this.paymentView(payment);
+    });
+    this.route('POST', '/api/v1/account/transfer', (params, query, body) => {
+      this.requireAmount(body.amount);
+      const errors = {};
+      if (!/^\d{20}$/.test(String(body.account || ''))) errors.account = ['Account must be 20 digits'];
+      if (!/^\d{9}$/.test(String(body.bik || ''))) errors.bik = ['BIK must be 9 digits'];
+      if (!body.name) errors.name = ['required'];
+      if (Object.keys(errors).length > 0) {
+        throw new FakeServerError(422, 'validation_error', 'Invalid requisites', errors);
+      }
+      this.requireNewOrder(body.order_slug);
+      this.debitAccount(body.amount);
+      const payment = this.createPayment('transfer', body.amount, body.order_slug, {account: body.account, bik: body.bik});
+      payment.status = 'success';
+      return this.paymentView(payment);
+    });
+    this.route('POST', '/api/v1/refill/unregistered/card', (params, query, body) => {
+      this.requireAmount(body.amount);
+      if (!body.card_number) {
+        throw new FakeServerError(422, 'validation_error', 'card_number is required', {card_number: ['required']});
+      }
+      this.requireNewOrder(body.order_slug);
+      this.debitAccount(body.amount);
+      const payment = this.createPayment('refill', body.amount, body.order_slug, {});
+      payment.status = 'success';
+      return this.paymentView(payment);
+    });
+    this.route('POST', '/api/v1/refill/:client_id/unregistered/card/with/form', (params, query, body) => {
+      this.requireAmount(body.amount);
+      return this.withForm(this.createPayment('refill', body.amount, body.order_slug, {client_id: params.client_id}));
+    });
+    this.route('GET', '/api/v1/payment/:order_slug', params => this.paymentView(this.findPayment(params.order_slug)));
+
+    // Self-employment
+    this.route('GET', '/api/v1/selfemployments/:client_id', params => {
+      this.findClient(params.client_id);
+      return {client_id: params.client_id, status: 'registered'};
+    });
+
+    // Client side, authorized by a temporary token instead of a signature
+    this.route('POST', '/client/v1/charge', (params, query, body) => {
+      const token = this.findToken(body.token, 'charge');
+      this.requireCard(body.card_info, null);
+      const payment = this.createPayment('charge', body.amount || token.amount, null, {client_id: token.client_id});
+      token.order_slug = payment.order_slug;
+      this.completePayment(payment);
+      return this.paymentView(payment);
+    }, false);
+    this.route('POST', '/client/v1/refill', (params, query, body) => {
+      const token = this.findToken(body.token, 'refill');
+      if (!body.card_number) {
+        throw new FakeServerError(422, 'validation_error', 'card_number is required', {card_number: ['required']});
+      }
+      this.requireNewOrder(token.order_slug);
+      this.debitAccount(token.amount);
+      const payment = this.createPayment('refill', token.amount, token.order_slug, {client_id: token.client_id});
+      token.order_slug = payment.order_slug;
+      payment.status = 'success';
+      return this.paymentView(payment);
+    }, false);
+    this.route('POST', '/client/v1/authorize', (params, query, body) => {
+      const token = this.findToken(body.token, 'authorize');
+      this.requireCard(body.card_info, null);
+      return {card_token: this.registerCard(token.client_id, body.card_info.pan)};
+    }, false);
+    this.route('POST', '/client/v1/hold', (params, query, body) => {
+      const token = this.findToken(body.token, null);
+      this.requireCard(body.card_info, null);
+      const payment = this.createPayment('hold', token.amount, token.order_slug, {client_id: token.client_id, status: 'hold'});
+      token.order_slug = payment.order_slug;
+      return this.paymentView(payment);
+    }, false);
+    this.route('GET', '/client/v1/status/:hash', params => {
+      const token = this.state.tokens[params.hash];
+      if (!token) {
+        throw new FakeServerError(404, 'not_found', 'Unknown hash');
+      }
+      if (!token.order_slug) {
+        return {status: 'new'};
+      }
+      return this.paymentView(this.findPayment(token.order_slug));
+    }, false);
+  }
+
+  /**
+   * @param {string} method
+   * @param {string} pattern Path with `:param` placeholders
+   * @param {function} handler (params, query, body) => object
+   * @param {boolean} signed
+   */
+  route(method, pattern, handler, signed = true) {
+    const names = [];
+    const source = pattern.replace(/:([a-z_]+)/g, (match, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+
+    this.routes.push({method: method, regexp: new RegExp(`^${source}$`), names: names, handler: handler, signed: signed});
+  }
+
+  onRequest(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString();
+      const queryIndex = req.url.indexOf('?');
+      const path = queryIndex === -1 ? req.url : req.url.slice(0, queryIndex);
+      const query = queryIndex === -1 ? '' : req.url.slice(queryIndex + 1);
+      const requestId = crypto.randomBytes(8).toString('hex');
+
+      res.setHeader('x-request-id', requestId);
+      this.requests.push({method: req.method, path: path, query: query, headers: req.headers, body: body});
+
+      const failure = this.takeFailure(req.method, path);
+      if (failure && !failure.processed) {
+        return this.fail(req, res, failure);
+      }
+
+      let status = 200;
+      let result;
+      try {
+        result = this.dispatch(req, path, query, body);
+      } catch (error) {
+        status = error instanceof FakeServerError ? error.statusCode : 500;
+        result = error instanceof FakeServerError
+          ? this.filterData({code: error.code, message: error.message, errors: error.errors})
+          : {code: 'internal_error', message: error.message};
+      }
+
+      if (failure) {
+        return this.fail(req, res, failure);
+      }
+      this.send(res, status, result);
+    });
+  }
+
+  fail(req, res, failure) {
+    if (failure.network) {
+      return req.socket.destroy();
+    }
+    this.send(res, failure.status, failure.body || {code: 'injected_failure', message: 'Injected failure'});
+  }
+
+  dispatch(req, path, query, body) {
+    const candidates = this.routes.filter(route => route.regexp.test(path));
+    const route = candidates.find(candidate => candidate.method === req.method);
+    if (!route) {
+      throw candidates.length > 0
+        ? new FakeServerError(405, 'method_not_allowed', `${req.method} is not allowed on ${path}`)
+        : new FakeServerError(404, 'not_found', `No route for ${path}`);
+    }
+
+    if (route.signed) {
+      try {
+        this.signer.verify({method: req.method, url: req.url, headers: req.headers, body: body});
+      } catch (error) {
+        throw new FakeServerError(401, 'invalid_signature', error.message);
+      }
+    }
+
+    let data = {};
+    if (body) {
+      try {
+        data = JSON.parse(body);
+      } catch (e) {
+        throw new FakeServerError(400, 'invalid_json', 'Body is not valid JSON');
+      }
+    }
+
+    const match = path.match(route.regexp);
+    const params = {};
+    route.names.forEach((name, index) => params[name] = decodeURIComponent(match[index + 1]));
+
+    return route.handler(params, Object.assign({}, queryString.parse(query)), data);
+  }
+
+  takeFailure(method, path) {
+    const relative = path.replace(/^\/api\/v1/, '');
+    const index = this.failures.findIndex(failure => {
+      if (failure.method && failure.method !== method) return false;
+      if (!failure.path) return true;
+      return failure.path instanceof RegExp
+        ? failure.path.test(relative)
+        : relative.indexOf(failure.path) === 0;
+    });
+    if (index === -1) {
+      return null;
+    }
+
+    const failure = this.failures[index];
+    failure.times--;
+    if (failure.times <= 0) {
+      this.failures.splice(index, 1);
+    }
+
+    return failure;
+  }
+
+  send(res, status, body) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+  }
+
+  sendSigned(url, body) {
+    return new Promise(resolve => {
+      const target = new URL(url);
+      const signed = this.signer.sign({
+        method: 'POST',
+        path: target.pathname,
+        query: target.search,
+        body: body
+      });
+
+      const req = http.request({
+        hostname: target.hostname,
+        port: target.port,
+        path: `${target.pathname}${target.search}`,
+        method: 'POST',
+        headers: Object.assign(signed, {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body)
+        })
+      }, res => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      });
+      req.on('error', () => resolve(null));
+      req.end(body);
+    });
+  }
+
+  // State helpers
+
+  nextId(prefix) {
+    this.sequence++;
+    return `${prefix}_${this.sequence}`;
+  }
+
+  findClient(clientId) {
+    const client = this.state.clients[clientId];
+    if (!client) {
+      throw new FakeServerError(404, 'client_not_found', `Client ${clientId} not found`);
+    }
+    return client;
+  }
+
+  clientCards(clientId) {
+    return Object.keys(this.state.cards)
+      .map(barcode => this.state.cards[barcode])
+      .filter(card => card.client_id === String(clientId));
+  }
+
+  createCard(clientId, virtual) {
+    let barcode;
+    do {
+      barcode = String(Math.floor(1e12 + Math.random() * 9e12));
+    } while (this.state.cards[barcode]);
+
+    const card = {
+      barcode: barcode,
+      client_id: String(clientId),
+      virtual: virtual,
+      status: 'inactive',
+      balance: 0,
+      locked: false,
+      lockReason: null,
+      pinSet: false,
+      pan: `220000******${barcode.slice(-4)}`
+    };
+    this.state.cards[barcode] = card;
+
+    return card;
+  }
+
+  findCard(clientId, barcode) {
+    this.findClient(clientId);
+    const card = this.state.cards[barcode];
+    if (!card || card.client_id !== String(clientId)) {
+      throw new FakeServerError(404, 'card_not_found', `Card ${barcode} not found`);
+    }
+    return card;
+  }
+
+  cardView(card) {
+    return {
+      barcode: card.barcode,
+      client_id: card.client_id,
+      pan: card.pan,
+      status: card.status,
+      virtual: card.virtual,
+      locked: card.locked,
+      balance: card.balance
+    };
+  }
+
+  /**
+   * Refill (positive amount) or withdrawal (negative) of a card, every check runs before money moves
+   */
+  cardOrder(card, amount, orderId) {
+    if (card.locked) {
+      throw new FakeServerError(422, 'card_locked', 'Card is locked');
+    }
+    this.requireNewOrder(orderId);
+    if (amount > 0) {
+      this.debitAccount(amount);
+    } else if (card.balance < -amount) {
+      throw new FakeServerError(422, 'insufficient_funds', 'Not enough money on the card');
+    } else {
+      this.state.balance -= amount;
+    }
+    card.balance += amount;
+
+    const payment = this.createPayment(amount > 0 ? 'card_refill' : 'card_withdrawal', Math.abs(amount), orderId, {
+      client_id: card.client_id,
+      barcode: card.barcode
+    });
+    payment.status = 'success';
+    this.state.cardTransactions.push({
+      id: this.nextId('trx'),
+      client_id: card.client_id,
+      barcode: card.barcode,
+      order_id: payment.order_slug,
+      amount: amount,
+      date: payment.created_at
+    });
+
+    return {order_id: payment.order_slug, status: payment.status, balance: card.balance};
+  }
+
+  requireNewOrder(orderSlug) {
+    if (orderSlug && this.state.payments[orderSlug]) {
+      throw new FakeServerError(409, 'duplicate_order', `Order ${orderSlug} already exists`);
+    }
+  }
+
+  requireAmount(amount) {
+    if (typeof amount !== 'number' || !(amount > 0)) {
+      throw new FakeServerError(422, 'validation_error', 'Amount must be a positive number', {amount: ['must be positive']});
+    }
+  }
+
+  requireCard(cardInfo, cardRefId) {
+    if (cardRefId) {
+      return this.findCardToken(cardRefId);
+    }
+    if (!cardInfo || !cardInfo.pan) {
+      throw new FakeServerError(422, 'validation_error', 'card_info is required', {card_info: ['required']});
+    }
+  }
+
+  registerCard(clientId, pan) {
+    const cardToken = crypto.randomBytes(12).toString('hex');
+    this.state.cardTokens[cardToken] = {client_id: String(clientId), pan: pan};
+    return cardToken;
+  }
+
+  findCardToken(cardToken) {
+    if (!this.state.cardTokens[cardToken]) {
+      throw new FakeServerError(404, 'card_token_not_found', 'Card token not found');
+    }
+    return this.state.cardTokens[cardToken];
+  }
+
+  debitAccount(amount) {
+    if (this.state.balance < amount) {
+      throw new FakeServerError(422, 'insufficient_funds', 'Not enough money on the account');
+    }
+    this.state.balance -= amount;
+    this.state.transactions.push({
+      id: this.nextId('trx'),
+      amount: -amount,
+      date: new Date().toISOString()
+    });
+  }
+
+  createPayment(type, amount, orderSlug, extra) {
+    this.requireNewOrder(orderSlug);
+    orderSlug = orderSlug || this.nextId('order');
+
+    const payment = Object.assign({
+      order_slug: orderSlug,
+      type: type,
+      amount: amount,
+      confirmed: 0,
+      reversed: 0,
+      status: 'new',
+      created_at: new Date().toISOString()
+    }, extra);
+    this.state.payments[orderSlug] = payment;
+
+    return payment;
+  }
+
+  completePayment(payment) {
+    payment.status = 'success';
+    this.state.balance += payment.amount;
+    this.state.transactions.push({
+      id: this.nextId('trx'),
+      order_slug: payment.order_slug,
+      amount: payment.amount,
+      date: new Date().toISOString()
+    });
+  }
+
+  findPayment(orderSlug) {
+    const payment = this.state.payments[orderSlug];
+    if (!payment) {
+      throw new FakeServerError(404, 'payment_not_found', `Payment ${orderSlug} not found`);
+    }
+    return payment;
+  }
+
+  findHold(orderSlug) {
+    const payment = this.findPayment(orderSlug);
+    if (payment.type !== 'hold' || payment.status !== 'hold') {
+      throw new FakeServerError(422, 'invalid_state', `Payment ${orderSlug} is not an active hold`);
+    }
+    return payment;
+  }
+
+  requireHoldAmount(payment, amount) {
+    this.requireAmount(amount);
+    if (amount > payment.amount - payment.confirmed - payment.reversed) {
+      throw new FakeServerError(422, 'validation_error', 'Amount exceeds the remaining hold', {amount: ['exceeds hold']});
+    }
+  }
+
+  settleHold(payment) {
+    if (payment.confirmed + payment.reversed < payment.amount) {
+      return;
+    }
+    payment.status = payment.confirmed > 0 ? 'success' : 'reversed';
+  }
+
+  paymentView(payment) {
+    return this.filterData({
+      order_slug: payment.order_slug,
+      status: payment.status,
+      amount: payment.amount,
+      confirmed: payment.type === 'hold' ? payment.confirmed : undefined,
+      reversed: payment.type === 'hold' ? payment.reversed : undefined
+    });
+  }
+
+  withForm(payment) {
+    // Simulate the customer passing 3-D Secure on the payment form
+    payment.status = payment.type === 'hold' ? 'hold' : 'pending';
+    return {
+      order_slug: payment.order_slug,
+      form_url: `http://${this.host}:${this.port}/form/${payment.order_slug}`
+    };
+  }
+
+  issueToken(type, clientId, amount, orderSlug) {
+    const token = crypto.randomBytes(16).toString('hex');
+    this.state.tokens[token] = {type: type, client_id: String(clientId), amount: amount, order_slug: orderSlug || null};
+    return {token: token};
+  }
+
+  findToken(token, type) {
+    const record = this.state.tokens[token];
+    if (!record || (type && record.type !== type)) {
+      throw new FakeServerError(401, 'invalid_token', 'Unknown or expired token');
+    }
+    return record;
+  }
+
+  filterByDate(records, from, to) {
+    const fromTime = from ? Date.parse(from) : -Infinity;
+    const toTime = to ? Date.parse(to) : Infinity;
+    return records.filter(record => {
+      const time = Date.parse(record.date);
+      return time >= fromTime && time <= toTime;
+    });
+  }
+
+  paginate(records, query) {
+    const limit = parseInt(query.limit, 10) || 1000;
+    const page = parseInt(query.page, 10) || 1;
+    return {
+      page: page,
+      limit: limit,
+      total: records.length,
+      pages: Math.max(1, Math.ceil(records.length / limit)),
+      transactions: records.slice((page - 1) * limit, page * limit)
+    };
+  }
+
+  filterData(data) {
+    for (const propName in data) {
+      if (data[propName] === null || data[propName] === undefined) {
+        delete data[propName];
+      }
+    }
+    return data;
+  }
+}
+
+FakeServer.Error = FakeServerError;
+
+module.exports = FakeServer;
@@ -0,0 +1,356 @@
+const crypto = require('crypto');
+const Money = require('./Money');
+const {ValidationError} = require('./errors');
+
+/**
+ * Thrown for a confirm or reverse the hold can not take in its current state
+ */
+class HoldStateError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} orderSlug
+   */
+  constructor(message, orderSlug) {
+    super(message);
+    this.name = 'HoldStateError';
+    this.orderSlug = orderSlug;
+  }
+}
+
+/**
+ * Keeps hold records in memory. Any object with the same async get/set/list methods
+ * can be passed to HoldManager instead, e.g. backed by a database table.
+ */
+class MemoryHoldStorage {
+  constructor() {
+    this.records = {};
+  }
+
+  /**
+   * @param {string} orderSlug
+   * @returns {Promise<object|null>}
+   */
+  get(orderSlug) {
+    const record = this.records[orderSlug];
+    return Promise.resolve(record ? JSON.parse(JSON.stringify(record)) : null);
+  }
+
+  /**
+   * @param {string} orderSlug
+   * @param {object} record
+   * @returns {Promise}
+   */
+  set(orderSlug, record) {
+    this.records[orderSlug] = JSON.parse(JSON.stringify(record));
+    return Promise.resolve();
+  }
+
+  /**
+   * @returns {Promise<Array<object>>}
+   */
+  list() {
+    return Promise.resolve(Object.keys(this.records).map(orderSlug => JSON.parse(JSON.stringify(this.records[orderSlug]))));
+  }
+}
+
+/**
+ * Tracks holds made through Client.hold()/holdWithForm() and the partial
+ * confirms and reverses made against them.
+ *
+ * Amounts are Money or plain numbers in the client's amountUnit. Records keep them as integer
+ * minor units of one currency, hold states give them back as Money.
+ *
+ * Hold status: pending (payment form not passed yet), authorized, partially_captured,
+ * captured (nothing remains, something was captured), reversed (released in full).
+ */
+class HoldManager {
+
+  /**
+   * @param {Client} client
+   * @param {object|null} options {storage: MemoryHoldStorage by default, expiry: ms after which a hold is stale, default 7 days}
+   */
+  constructor(client, options = null) {
+    options = options || {};
+
+    this.client = client.withModels(false);
+    this.storage = options.storage || new MemoryHoldStorage();
+    this.expiry = options.expiry !== undefined ? options.expiry : 7 * 24 * 60 * 60 * 1000;
+    this.locks = {};
+    this.timer = null;
+  }
+
+  /**
+   * Hold money from registered or unregistered card
+   *
+   * @param {number|Money} amount
+   * @param {object|null} options {orderSlug: generated when empty, cardInfo, cardRefId, redirectUrl}
+   * @returns {Promise<object>} Hold state
+   */
+  create(amount, options = null) {
+    options = options || {};
+
+    return new Promise(resolve => {
+      const money = this.toMoney(amount);
+      const orderSlug = options.orderSlug || newOrderSlug();
+
+      resolve(this.client.hold(money, orderSlug, options.cardInfo || null, options.cardRefId || null, options.redirectUrl || null)
+        .then(response => this.remember(response, orderSlug, money, 'authorized')));
+    });
+  }
+
+  /**
+   * Hold money with the payment form, the hold stays pending until refresh() sees the bank hold it
+   *
+   * @param {string} clientId
+   * @param {string} redirectUrl
+   * @param {number|Money} amount
+   * @param {object|null} options {orderSlug: generated when empty, cardToken}
+   * @returns {Promise<object>} Hold state
+   */
+  createWithForm(clientId, redirectUrl, amount, options = null) {
+    options = options || {};
+
+    return new Promise(resolve => {
+      const money = this.toMoney(amount);
+      const orderSlug = options.orderSlug || newOrderSlug();
+
+      resolve(this.client.holdWithForm(clientId, redirectUrl, money, orderSlug, options.cardToken || null)
+        .then(response => this.remember(response, orderSlug, money, 'pending')));
+    });
+  }
+
+  /**
+   * Capture the whole remaining amount or a part of it, may be called several times
+   *
+   * @param {string} orderSlug
+   * @param {number|Money|null} amount Remaining amount by default
+   * @returns {Promise<object>} Hold state
+   */
+  confirm(orderSlug, amount = null) {
+    return this.transition(orderSlug, amount, 'confirm', (record, value) => {
+      return this.client.holdConfirm(orderSlug, value).then(() => {
+        record.captured += value.minor;
+        record.captures.push({amount: value.minor, at: new Date().toISOString()});
+      });
+    });
+  }
+
+  /**
+   * Release the whole remaining amount or a part of it
+   *
+   * @param {string} orderSlug
+   * @param {number|Money|null} amount Remaining amount by default
+   * @returns {Promise<object>} Hold state
+   */
+  reverse(orderSlug, amount = null) {
+    return this.transition(orderSlug, amount, 'reverse', (record, value) => {
+      return this.client.holdReverse(orderSlug, value).then(() => {
+        record.released += value.minor;
+        record.reversals.push({amount: value.minor, at: new Date().toISOString()});
+      });
+    });
+  }
+
+  /**
+   * Move a pending hold to authorized (or reversed) by its payment status at the bank
+   *
+   * @param {string} orderSlug
+   * @returns {Promise<object>} Hold state
+   */
+  refresh(orderSlug) {
+    return this.locked(orderSlug, () => this.load(orderSlug).then(record => {
+      if (record.status !== 'pending') {
+        return this.view(record);
+      }
+
+      return this.client.paymentStatus(orderSlug).then(response => {
+        const status = response.data && response.data.status;
+        if (status === 'hold') {
+          record.status = 'authorized';
+        } else if (['failed', 'reversed', 'declined', 'canceled', 'cancelled'].indexOf(status) !== -1) {
+          record.released = record.amount;
+          record.status = 'reversed';
+        }
+
+        return this.save(record);
+      });
+    }));
+  }
+
+  /**
+   * @param {string} orderSlug
+   * @returns {Promise<object|null>} Hold state, null for an unknown hold
+   */
+  state(orderSlug) {
+    return this.storage.get(orderSlug).then(record => record ? this.view(record) : null);
+  }
+
+  /**
+   * @returns {Promise<Array<object>>} All known holds
+   */
+  list() {
+    return this.storage.list().then(records => records.map(record => this.view(record)));
+  }
+
+  /**
+   * Reverse what remains of every authorized hold older than the expiry. A pending one is refreshed first,
+   * so an abandoned payment form ends up reversed once the bank fails it or is reversed if the bank holds it.
+   *
+   * @returns {Promise<Array<object>>} States of the stale holds, failed refreshes and reverses are reported with an `error`
+   */
+  reverseExpired() {
+    const deadline = Date.now() - this.expiry;
+
+    return this.storage.list().then(records => {
+      const stale = records.filter(record =>
+        ['pending', 'authorized', 'partially_captured'].indexOf(record.status) !== -1 && Date.parse(record.createdAt) < deadline
+      );
+
+      return Promise.all(stale.map(record => {
+        const settled = record.status !== 'pending'
+          ? this.reverse(record.orderSlug)
+          : this.refresh(record.orderSlug).then(state => state.status === 'authorized' ? this.reverse(record.orderSlug) : state);
+
+        return settled.catch(error => Object.assign(this.view(record), {error: error}));
+      }));
+    });
+  }
+
+  /**
+   * Run reverseExpired() periodically
+   *
+   * @param {int} interval Milliseconds, one minute by default
+   * @returns {HoldManager}
+   */
+  start(interval = 60000) {
+    this.stop();
+    this.timer = setInterval(() => this.reverseExpired().catch(() => null), interval);
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+
+    return this;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  remember(response, orderSlug, amount, status) {
+    return this.save({
+      orderSlug: (response.data && response.data.order_slug) || orderSlug,
+      currency: amount.currency,
+      amount: amount.minor,
+      captured: 0,
+      released: 0,
+      status: status,
+      captures: [],
+      reversals: [],
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  transition(orderSlug, amount, action, apply) {
+    return this.locked(orderSlug, () => this.load(orderSlug).then(record => {
+      const remaining = new Money(record.amount - record.captured - record.released, record.currency);
+      const value = amount === null || amount === undefined ? remaining : this.toMoney(amount, record.currency);
+
+      if (record.status === 'pending') {
+        throw new HoldStateError(`Hold ${orderSlug} is still pending, can not ${action} it`, orderSlug);
+      }
+      if (!remaining.isPositive()) {
+        throw new HoldStateError(`Hold ${orderSlug} is already ${record.status}, can not ${action} it`, orderSlug);
+      }
+      if (!value.isPositive() || value.greaterThan(remaining)) {
+        throw new HoldStateError(`Can not ${action} ${value} of hold ${orderSlug}, ${remaining} remains`, orderSlug);
+      }
+
+      return apply(record, value).then(() => this.save(record));
+    }));
+  }
+
+  /**
+   * @param {number|Money} amount A plain number is in the client's amountUnit
+   * @param {string|null} currency Currency of the hold, the client's by default
+   * @returns {Money}
+   * @throws {ValidationError} For an amount in another currency
+   */
+  toMoney(amount, currency = null) {
+    currency = currency || this.client.currency || 'RUB';
+    if (!(amount instanceof Money)) {
+      return Money.fromWire(amount, this.client.amountUnit, currency);
+    }
+    if (amount.currency !== currency) {
+      throw new ValidationError(`Amount is in ${amount.currency}, the hold is in ${currency}`, {code: 'currency_mismatch'});
+    }
+
+    return amount;
+  }
+
+  load(orderSlug) {
+    return this.storage.get(orderSlug).then(record => {
+      if (!record) {
+        throw new HoldStateError(`Unknown hold ${orderSlug}`, orderSlug);
+      }
+      return record;
+    });
+  }
+
+  save(record) {
+    const remaining = record.amount - record.captured - record.released;
+    if (record.status !== 'pending') {
+      if (remaining > 0) {
+        record.status = record.captured > 0 ? 'partially_captured' : 'authorized';
+      } else {
+        record.status = record.captured > 0 ? 'captured' : 'reversed';
+      }
+    }
+    record.updatedAt = new Date().toISOString();
+
+    return this.storage.set(record.orderSlug, record).then(() => this.view(record));
+  }
+
+  view(record) {
+    const money = minor => new Money(minor, record.currency);
+    const entry = item => ({amount: money(item.amount), at: item.at});
+
+    return Object.assign({}, record, {
+      amount: money(record.amount),
+      captured: money(record.captured),
+      released: money(record.released),
+      remaining: money(record.amount - record.captured - record.released),
+      captures: record.captures.map(entry),
+      reversals: record.reversals.map(entry)
+    });
+  }
+
+  /**
+   * Run changes of one hold one after another, so two partial confirms can not both pass the check
+   */
+  locked(orderSlug, task) {
+    const previous = this.locks[orderSlug] || Promise.resolve();
+    const current = previous.then(task, task);
+    const tail = current.catch(() => null);
+
+    this.locks[orderSlug] = tail;
+    tail.then(() => {
+      if (this.locks[orderSlug] === tail) {
+        delete this.locks[orderSlug];
+      }
+    });
+
+    return current;
+  }
+}
+
+function newOrderSlug() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+HoldManager.MemoryStorage = MemoryHoldStorage;
+HoldManager.StateError = HoldStateError;
+
+module.exports = HoldManager;
@@ -0,0 +1,302 @@
+// Digits after the decimal point, ISO 4217
+const EXPONENTS = {
+  RUB: 2,
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  CNY: 2,
+  KZT: 2,
+  BYN: 2,
+  JPY: 0
+};
+
+// Response fields holding amounts, see Money.fromResponse()
+const AMOUNT_FIELDS = ['amount', 'balance', 'confirmed', 'reversed', 'fee', 'commission'];
+
+/**
+ * Immutable amount of money: integer minor units (kopecks, cents) and a currency.
+ */
+class Money {
+
+  /**
+   * @param {int} minor
+   * @param {string} currency ISO 4217 code
+   */
+  constructor(minor, currency = 'RUB') {
+    if (!Number.isSafeInteger(minor)) {
+      throw new TypeError(`Money needs integer minor units, got ${minor}`);
+    }
+
+    this.minor = minor;
+    this.currency = String(currency).toUpperCase();
+    Object.freeze(this);
+  }
+
+  /**
+   * Parse a decimal amount in major units: 1234.5, '1234.50', '1 234,50'
+   *
+   * @param {string|number} value
+   * @param {string} currency
+   * @returns {Money}
+   */
+  static parse(value, currency = 'RUB') {
+    const exponent = Money.exponent(currency);
+    const text = String(value).replace(/[\s ]/g, '').replace(',', '.');
+    const match = text.match(/^([+-])?(\d+)(?:\.(\d+))?$/);
+    if (!match) {
+      throw new TypeError(`Can not parse "${value}" as an amount`);
+    }
+
+    const fraction = match[3] || '';
+    if (fraction.length > exponent && /[1-9]/.test(fraction.slice(exponent))) {
+      throw new TypeError(`${value} has more than ${exponent} decimal places for ${currency}`);
+    }
+
+    const minor = parseInt(match[2] + fraction.padEnd(exponent, '0').slice(0, exponent), 10);
+    return new Money(match[1] === '-' ? -minor : minor, currency);
+  }
+
+  /**
+   * @param {int} minor
+   * @param {string} currency
+   * @returns {Money}
+   */
+  static fromMinor(minor, currency = 'RUB') {
+    return new Money(minor, currency);
+  }
+
+  /**
+   * @param {number|string} amount As sent on the wire, a number or a decimal string
+   * @param {string} unit 'major' (roubles, as the bank documents its amounts) or 'minor'
+   * @param {string} currency
+   * @returns {Money}
+   * @throws {TypeError} For an amount that is not a number, or not whole minor units: 10.005 is refused, not rounded
+   */
+  static fromWire(amount, unit = 'major', currency = 'RUB') {
+    if (unit !== 'minor' && typeof amount === 'number') {
+      const exponent = Money.exponent(currency);
+      const scale = Math.pow(10, exponent);
+      if (!Number.isFinite(amount) || Math.round(amount * scale) / scale !== amount) {
+        throw new TypeError(`${amount} has more than ${exponent} decimal places for ${currency}`);
+      }
+      return Money.parse(amount.toFixed(exponent), currency);
+    }
+    if (unit !== 'minor') {
+      return Money.parse(amount, currency);
+    }
+
+    const minor = typeof amount === 'string' && /^\s*[+-]?\d+\s*$/.test(amount) ? Number(amount) : amount;
+    return new Money(minor, currency);
+  }
+
+  /**
+   * @param {string} currency
+   * @returns {int}
+   */
+  static exponent(currency) {
+    const exponent = EXPONENTS[String(currency).toUpperCase()];
+    return exponent === undefined ? 2 : exponent;
+  }
+
+  /**
+   * @param {*} value
+   * @returns {boolean}
+   */
+  static isMoney(value) {
+    return value instanceof Money;
+  }
+
+  /**
+   * Replace Money values of a request body with wire amounts
+   *
+   * @param {object|null} data
+   * @param {string} unit 'major' or 'minor'
+   * @param {string} currency The only currency the account accepts
+   * @returns {object|null}
+   */
+  static toRequest(data, unit = 'major', currency = 'RUB') {
+    if (!data || typeof data !== 'object') {
+      return data;
+    }
+
+    const result = {};
+    Object.keys(data).forEach(key => {
+      const value = data[key];
+      if (value instanceof Money) {
+        if (value.currency !== currency) {
+          throw new TypeError(`${key} is in ${value.currency}, the account works in ${currency}`);
+        }
+        result[key] = value.toWire(unit);
+      } else {
+        result[key] = value;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Turn known amount fields of a response body into Money, nested objects and lists included.
+   * Amounts may come as numbers or as decimal strings.
+   *
+   * @param {*} data
+   * @param {string} unit 'major' or 'minor'
+   * @param {string} currency Used when the record has no `currency` of its own, nested records inherit the one of their parent
+   * @returns {*}
+   * @throws {TypeError} For an amount fromWire() can not read
+   */
+  static fromResponse(data, unit = 'major', currency = 'RUB') {
+    if (Array.isArray(data)) {
+      return data.map(item => Money.fromResponse(item, unit, currency));
+    }
+    if (!data || typeof data !== 'object' || data instanceof Money) {
+      return data;
+    }
+
+    const recordCurrency = typeof data.currency === 'string' ? data.currency : currency;
+    const result = {};
+    Object.keys(data).forEach(key => {
+      const value = data[key];
+      const isAmount = typeof value === 'number' || (typeof value === 'string' && value !== '');
+      result[key] = AMOUNT_FIELDS.indexOf(key) !== -1 && isAmount
+        ? Money.fromWire(value, unit, recordCurrency)
+        : Money.fromResponse(value, unit, recordCurrency);
+    });
+
+    return result;
+  }
+
+  /**
+   * @param {string} unit 'major' for roubles, 'minor' for integer kopecks
+   * @returns {number}
+   */
+  toWire(unit = 'major') {
+    return unit === 'minor' ? this.minor : this.toMajor();
+  }
+
+  /**
+   * @returns {number} Floating major units, for display and wire only
+   */
+  toMajor() {
+    return this.minor / Math.pow(10, Money.exponent(this.currency));
+  }
+
+  /**
+   * @param {Money} other
+   * @returns {Money}
+   */
+  add(other) {
+    this.assertSameCurrency(other);
+    return new Money(this.minor + other.minor, this.currency);
+  }
+
+  /**
+   * @param {Money} other
+   * @returns {Money}
+   */
+  subtract(other) {
+    this.assertSameCurrency(other);
+    return new Money(this.minor - other.minor, this.currency);
+  }
+
+  /**
+   * @param {number} factor
+   * @returns {Money} Rounded half away from zero to minor units
+   */
+  multiply(factor) {
+    const value = this.minor * factor;
+    return new Money(Math.sign(value) * Math.round(Math.abs(value)), this.currency);
+  }
+
+  /**
+   * Split into parts proportional to ratios without losing a kopeck, the remainder goes to the first parts
+   *
+   * @param {Array<number>} ratios
+   * @returns {Array<Money>}
+   */
+  allocate(ratios) {
+    const total = ratios.reduce((sum, ratio) => sum + ratio, 0);
+    const parts = ratios.map(ratio => Math.floor(this.minor * ratio / total));
+    let remainder = this.minor - parts.reduce((sum, part) => sum + part, 0);
+    for (let i = 0; remainder > 0; i = (i + 1) % parts.length, remainder--) {
+      parts[i]++;
+    }
+
+    return parts.map(part => new Money(part, this.currency));
+  }
+
+  /**
+   * @param {Money} other
+   * @returns {int} -1, 0 or 1
+   */
+  compare(other) {
+    this.assertSameCurrency(other);
+    return Math.sign(this.minor - other.minor);
+  }
+
+  equals(other) {
+    return other instanceof Money && other.currency === this.currency && other.minor === this.minor;
+  }
+
+  greaterThan(other) {
+    return this.compare(other) > 0;
+  }
+
+  lessThan(other) {
+    return this.compare(other) < 0;
+  }
+
+  isZero() {
+    return this.minor === 0;
+  }
+
+  isPositive() {
+    return this.minor > 0;
+  }
+
+  isNegative() {
+    return this.minor < 0;
+  }
+
+  /**
+   * @param {string} locale
+   * @returns {string} E.g. "1 234,50 ₽" for ru-RU
+   */
+  format(locale = 'ru-RU') {
+    const exponent = Money.exponent(this.currency);
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: this.currency,
+      minimumFractionDigits: exponent,
+      maximumFractionDigits: exponent
+    }).format(this.toMajor());
+  }
+
+  /**
+   * @returns {string} E.g. "1234.50 RUB"
+   */
+  toString() {
+    const exponent = Money.exponent(this.currency);
+    const digits = String(Math.abs(this.minor)).padStart(exponent + 1, '0');
+    const major = exponent > 0 ? `${digits.slice(0, -exponent)}.${digits.slice(-exponent)}` : digits;
+
+    return `${this.minor < 0 ? '-' : ''}${major} ${this.currency}`;
+  }
+
+  toJSON() {
+    return {minor: this.minor, currency: this.currency};
+  }
+
+  assertSameCurrency(other) {
+    if (!(other instanceof Money)) {
+      throw new TypeError('Money can only be combined with Money');
+    }
+    if (other.currency !== this.currency) {
+      throw new TypeError(`Can not combine ${this.currency} with ${other.currency}`);
+    }
+  }
+}
+
+Money.AMOUNT_FIELDS = AMOUNT_FIELDS;
+
+module.exports = Money;
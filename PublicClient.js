@@ -0,0 +1,216 @@
+const {fromAxiosError, ResponseError, ValidationError} = require('./errors');
+const {validateRequest} = require('./validation');
+const {waitForPaymentStatus} = require('./paymentStatus');
+const Money = require('./Money');
+
+/**
+ * Browser-safe client for the unsigned /client/v1 methods.
+ *
+ * Works with the temporary token handed out by the partner's backend, needs no partner
+ * token, signs nothing and pulls in no Node built-ins, only `fetch`.
+ */
+module.exports = class PublicClient {
+
+  /**
+   * @param {string} baseUrl Bank host, e.g. https://baas_test.talkbank.io, a path is ignored
+   * @param {object|null} options {fetch: fetch implementation, timeout: ms, validate, amountUnit: 'major', currency: 'RUB', money}
+   */
+  constructor(baseUrl = null, options = null) {
+    this.options = options || {};
+    this.origin = this.getOrigin(baseUrl || 'https://baas_test.talkbank.io');
+    this.fetch = this.options.fetch || (typeof fetch === 'function' ? (url, init) => fetch(url, init) : null);
+    this.amountUnit = this.options.amountUnit || 'major';
+    this.currency = this.options.currency || 'RUB';
+
+    if (!this.fetch) {
+      throw new TypeError('fetch is not available, pass an implementation in options.fetch');
+    }
+  }
+
+  /**
+   * Charge method for Client (w/o signature!)
+   *
+   * POST /client/v1/charge
+   *
+   * @param {string} token
+   * @param {int|Money} amount
+   * @param {object} cardInfo
+   * @return {Promise}
+   */
+  unsignedPaymentFromUnregisteredCard(token, amount, cardInfo) {
+    return this.createRequest('/client/v1/charge', 'POST', this.filterData({
+      token: token,
+      amount: amount,
+      card_info: cardInfo
+    }), 'unsignedPaymentFromUnregisteredCard');
+  }
+
+  /**
+   * Refill a card on the client-side using a temp token
+   *
+   * POST /client/v1/refill
+   *
+   * @param {string} token
+   * @param {string} cardNumber
+   * @return {Promise}
+   */
+  unsignedPaymentToUnregisteredCard(token, cardNumber) {
+    return this.createRequest('/client/v1/refill', 'POST', this.filterData({
+      token: token,
+      card_number: cardNumber
+    }), 'unsignedPaymentToUnregisteredCard');
+  }
+
+  /**
+   * POST /client/v1/authorize
+   *
+   * @param {string} token
+   * @param {object} cardInfo
+   * @return {Promise}
+   */
+  unsignedPaymentAuthorization(token, cardInfo) {
+    return this.createRequest('/client/v1/authorize', 'POST', this.filterData({
+      token: token,
+      card_info: cardInfo
+    }), 'unsignedPaymentAuthorization');
+  }
+
+  /**
+   * Hold card on the client-side
+   *
+   * POST /client/v1/hold
+   *
+   * @param {string} token
+   * @param {object} cardInfo
+   * @return {Promise}
+   */
+  unsignedHold(token, cardInfo) {
+    return this.createRequest('/client/v1/hold', 'POST', this.filterData({
+      token: token,
+      card_info: cardInfo
+    }), 'unsignedHold');
+  }
+
+  /**
+   * Get status by token
+   *
+   * GET /client/v1/status/{hash}
+   *
+   * @param {string} hash
+   * @return {Promise}
+   */
+  unsignedPaymentStatusByHash(hash) {
+    return this.createRequest(`/client/v1/status/${hash}`, 'GET', null, 'unsignedPaymentStatusByHash');
+  }
+
+  /**
+   * Poll unsignedPaymentStatusByHash() until the payment reaches a terminal status
+   *
+   * @param {string} hash
+   * @param {object|null} options See Client.waitForPayment()
+   * @return {Promise}
+   */
+  waitForPaymentByHash(hash, options = null) {
+    return waitForPaymentStatus(() => this.unsignedPaymentStatusByHash(hash), {hash: hash}, options);
+  }
+
+  /**
+   * @param {string} path
+   * @param {string} method
+   * @param {object|null} data
+   * @param {string} name Calling method
+   * @returns {Promise} Resolves with {status, statusText, headers, data}
+   */
+  createRequest(path, method, data, name) {
+    const context = {method: name, httpMethod: method, path: path, orderSlug: null};
+
+    try {
+      data = Money.toRequest(data, this.amountUnit, this.currency);
+    } catch (error) {
+      return Promise.reject(new ValidationError(error.message, Object.assign({code: 'currency_mismatch'}, context)));
+    }
+
+    if (this.options.validate) {
+      try {
+        validateRequest({name: name, method: method, path: path, data: data}, {amountUnit: this.amountUnit});
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+
+    const controller = this.options.timeout && typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), this.options.timeout) : null;
+
+    return this.fetch(`${this.origin}${path}`, {
+      method: method,
+      headers: {'Content-Type': 'application/json', Accept: 'application/json'},
+      body: data ? JSON.stringify(data) : undefined,
+      signal: controller ? controller.signal : undefined
+    })
+      .then(res => res.text().then(text => {
+        const headers = {};
+        res.headers.forEach((value, key) => headers[key] = value);
+
+        const response = {status: res.status, statusText: res.statusText, headers: headers, data: this.parseBody(text)};
+        if (res.status < 200 || res.status >= 300) {
+          const error = new Error(`Request failed with status code ${res.status}`);
+          error.response = response;
+          throw error;
+        }
+        return response;
+      }))
+      .then(response => {
+        clearTimeout(timer);
+        if (this.options.money) {
+          try {
+            response.data = Money.fromResponse(response.data, this.amountUnit, this.currency);
+          } catch (error) {
+            throw new ResponseError(`${method} ${path} answered with an amount the client can not read: ${error.message}`, Object.assign({}, context, {
+              code: 'invalid_amount',
+              status: response.status,
+              requestId: response.headers['x-request-id'] || null,
+              response: response,
+              cause: error
+            }));
+          }
+        }
+        return response;
+      }, error => {
+        clearTimeout(timer);
+        if (!error.response) {
+          error.code = error.name === 'AbortError' ? 'ECONNABORTED' : error.code || (error.cause && error.cause.code);
+        }
+        throw fromAxiosError(error, context);
+      });
+  }
+
+  /**
+   * @param {object} data
+   * @returns {object}
+   */
+  filterData(data) {
+    for (const propName in data) {
+      if (data[propName] === null || data[propName] === undefined) {
+        delete data[propName];
+      }
+    }
+
+    return data;
+  }
+
+  parseBody(text) {
+    try {
+      return text ? JSON.parse(text) : '';
+    } catch (e) {
+      return text;
+    }
+  }
+
+  getOrigin(href) {
+    const match = href.match(/^(https?:\/\/[^\/?#]+)/);
+    if (!match) {
+      throw new TypeError(`${href} is not an absolute http(s) URL`);
+    }
+    return match[1];
+  }
+};
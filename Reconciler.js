@@ -0,0 +1,304 @@
+const Money = require('./Money');
+const {NotFoundError} = require('./errors');
+const {normalizePaymentStatus} = require('./paymentStatus');
+
+// Bank history sources by name, each walks every page of the date range
+const SOURCES = {
+  transactions: (client, options) => client.iterateAccountHistory(options),
+  'cards-transactions': (client, options) => client.iterateAccountCardsTransactions(options)
+};
+
+/**
+ * Matches our expected orders against the bank: account and card history first,
+ * then paymentStatus() for the orders not found in the history.
+ *
+ * The account and the card history can show the same order from both sides, so the amount of
+ * an order comes from the first of `sources` that has it. A record seen twice in one source
+ * (same id, e.g. on overlapping pages) counts once.
+ *
+ * An order whose records in that source are in more than one currency can not be summed:
+ * it gets `mixedCurrencies: true` and goes to amountMismatch.
+ *
+ * Every order ends up in one of the report lists:
+ *   matched         the bank has it with the same amount
+ *   amountMismatch  the bank has it with another amount
+ *   missingAtBank   the bank does not know it, or the payment failed or was reversed
+ *   pending         the payment is still in progress or held
+ *   errors          paymentStatus() failed for it, with the `error`; one failed lookup does not lose the report
+ * and every bank order we did not expect goes to unknownAtBank.
+ */
+class Reconciler {
+
+  /**
+   * @param {Client} client
+   * @param {object|null} options {
+   *   sources: ['transactions', 'cards-transactions'],
+   *   lookupStatus: ask paymentStatus() for orders missing from the history, true by default,
+   *   concurrency: parallel paymentStatus() calls, 4 by default
+   * }
+   */
+  constructor(client, options = null) {
+    options = options || {};
+
+    this.client = client.withModels(false);
+    this.sources = options.sources || Object.keys(SOURCES);
+    this.lookupStatus = options.lookupStatus !== undefined ? options.lookupStatus : true;
+    this.concurrency = options.concurrency || 4;
+    this.currency = client.currency || 'RUB';
+    this.amountUnit = client.amountUnit || 'major';
+
+    const unknown = this.sources.find(source => !SOURCES[source]);
+    if (unknown) {
+      throw new TypeError(`Unknown source ${unknown}, use ${Object.keys(SOURCES).join(' or ')}`);
+    }
+  }
+
+  /**
+   * @param {Iterable<object>|AsyncIterable<object>} orders {orderSlug (or order_slug), amount: Money or a number in the client's amountUnit, currency}, any other field is kept
+   * @param {object|null} options {dateFrom, dateTo, limit: page size, windowDays}
+   * @returns {Promise<object>} {matched, amountMismatch, missingAtBank, pending, errors, unknownAtBank, summary, dateFrom, dateTo, generatedAt}
+   */
+  async reconcile(orders, options = null) {
+    options = options || {};
+
+    const expected = await this.loadExpected(orders);
+    const bank = await this.loadBankHistory(options);
+    const report = {
+      matched: [],
+      amountMismatch: [],
+      missingAtBank: [],
+      pending: [],
+      errors: [],
+      unknownAtBank: [],
+      summary: null,
+      dateFrom: options.dateFrom || null,
+      dateTo: options.dateTo || null,
+      generatedAt: new Date().toISOString()
+    };
+
+    const unresolved = [];
+    expected.forEach((item, orderSlug) => {
+      const found = bank.orders.get(orderSlug);
+      if (found) {
+        this.compare(report, item, found.amount, {
+          source: found.sources.join(','),
+          status: null,
+          rawStatus: null,
+          mixedCurrencies: found.mixedCurrencies,
+          transactions: found.transactions
+        });
+      } else {
+        unresolved.push(item);
+      }
+    });
+
+    await this.each(unresolved, item => this.resolve(report, item));
+
+    bank.orders.forEach((found, orderSlug) => {
+      if (!expected.has(orderSlug)) {
+        report.unknownAtBank.push({
+          orderSlug: orderSlug,
+          expected: null,
+          actual: found.amount,
+          source: found.sources.join(','),
+          status: null,
+          rawStatus: null,
+          mixedCurrencies: found.mixedCurrencies,
+          transactions: found.transactions
+        });
+      }
+    });
+
+    report.summary = {
+      expected: expected.size,
+      bankTransactions: bank.count,
+      withoutOrderSlug: bank.withoutOrderSlug,
+      matched: report.matched.length,
+      amountMismatch: report.amountMismatch.length,
+      missingAtBank: report.missingAtBank.length,
+      pending: report.pending.length,
+      errors: report.errors.length,
+      unknownAtBank: report.unknownAtBank.length
+    };
+
+    return report;
+  }
+
+  /**
+   * @param {Iterable<object>|AsyncIterable<object>} orders
+   * @returns {Promise<Map<string, object>>} Repeated slugs are summed up
+   */
+  async loadExpected(orders) {
+    const expected = new Map();
+
+    for await (const order of orders) {
+      const orderSlug = order.orderSlug || order.order_slug;
+      if (!orderSlug) {
+        throw new TypeError('Every expected order needs an orderSlug');
+      }
+
+      const amount = this.toMoney(order.amount, order.currency);
+      const item = expected.get(orderSlug);
+      if (item) {
+        item.amount = item.amount.add(amount);
+        item.orders.push(order);
+      } else {
+        expected.set(orderSlug, {orderSlug: orderSlug, amount: amount, orders: [order]});
+      }
+    }
+
+    return expected;
+  }
+
+  /**
+   * @param {object} options {dateFrom, dateTo, limit, windowDays}
+   * @returns {Promise<object>} {orders: Map of slug to {amount, mixedCurrencies, transactions, sources}, count, withoutOrderSlug}
+   */
+  async loadBankHistory(options) {
+    const orders = new Map();
+    let count = 0;
+    let withoutOrderSlug = 0;
+
+    for (const source of this.sources) {
+      const seen = new Set();
+      const records = SOURCES[source](this.client, {
+        dateFrom: options.dateFrom,
+        dateTo: options.dateTo,
+        limit: options.limit,
+        windowDays: options.windowDays
+      });
+
+      for await (const record of records) {
+        if (record.id !== undefined && record.id !== null) {
+          if (seen.has(record.id)) {
+            continue;
+          }
+          seen.add(record.id);
+        }
+
+        count++;
+        const orderSlug = record.order_slug || record.order_id;
+        if (!orderSlug) {
+          withoutOrderSlug++;
+          continue;
+        }
+
+        const amount = this.toMoney(record.amount || 0, record.currency);
+        const found = orders.get(orderSlug) || {amount: null, sums: {}, mixed: {}, transactions: [], sources: []};
+        const sum = found.sums[source];
+        if (sum && sum.currency !== amount.currency) {
+          found.mixed[source] = true;
+        } else {
+          found.sums[source] = sum ? sum.add(amount) : amount;
+        }
+        found.transactions.push(record);
+        if (found.sources.indexOf(source) === -1) {
+          found.sources.push(source);
+        }
+        orders.set(orderSlug, found);
+      }
+    }
+
+    // Only the first source counts, the others show the same money from the other side
+    orders.forEach(found => {
+      found.amount = found.sums[found.sources[0]];
+      found.mixedCurrencies = !!found.mixed[found.sources[0]];
+      delete found.sums;
+      delete found.mixed;
+    });
+
+    return {orders, count, withoutOrderSlug};
+  }
+
+  /**
+   * Settle an order missing from the history by its payment status
+   *
+   * @param {object} report
+   * @param {object} item
+   * @returns {Promise}
+   */
+  async resolve(report, item) {
+    if (!this.lookupStatus) {
+      report.missingAtBank.push(this.entry(item, null, {source: null, status: null, rawStatus: null}));
+      return;
+    }
+
+    let response;
+    try {
+      response = await this.client.paymentStatus(item.orderSlug);
+    } catch (error) {
+      const details = {source: 'paymentStatus', status: null, rawStatus: null};
+      if (error instanceof NotFoundError) {
+        report.missingAtBank.push(this.entry(item, null, details));
+      } else {
+        report.errors.push(this.entry(item, null, Object.assign(details, {error: error})));
+      }
+      return;
+    }
+
+    const data = response.data || {};
+    const status = normalizePaymentStatus(data.status);
+    const details = {source: 'paymentStatus', status: status, rawStatus: data.status || null};
+    const actual = data.amount !== undefined && data.amount !== null ? this.toMoney(data.amount, data.currency) : null;
+
+    if (status === 'success') {
+      this.compare(report, item, actual, details);
+    } else if (status === 'pending' || status === 'hold') {
+      report.pending.push(this.entry(item, actual, details));
+    } else {
+      report.missingAtBank.push(this.entry(item, actual, details));
+    }
+  }
+
+  /**
+   * @param {object} report
+   * @param {object} item
+   * @param {Money|null} actual Signed sum as the bank has it, compared by absolute value
+   * @param {object} details
+   */
+  compare(report, item, actual, details) {
+    const same = actual !== null && !details.mixedCurrencies && actual.currency === item.amount.currency
+      && Math.abs(actual.minor) === Math.abs(item.amount.minor);
+
+    (same ? report.matched : report.amountMismatch).push(this.entry(item, actual, details));
+  }
+
+  entry(item, actual, details) {
+    return Object.assign({
+      orderSlug: item.orderSlug,
+      expected: item.amount,
+      actual: actual,
+      orders: item.orders
+    }, details);
+  }
+
+  toMoney(amount, currency = null) {
+    return amount instanceof Money ? amount : Money.fromWire(amount, this.amountUnit, currency || this.currency);
+  }
+
+  /**
+   * Run the callback over the items, at most `concurrency` at a time
+   *
+   * @param {Array} items
+   * @param {function} callback item => Promise
+   * @returns {Promise}
+   */
+  async each(items, callback) {
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        await callback(items[next++]);
+      }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(this.concurrency, items.length); i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+  }
+}
+
+Reconciler.SOURCES = SOURCES;
+
+module.exports = Reconciler;
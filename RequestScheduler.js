@@ -0,0 +1,226 @@
+const {RateLimitError} = require('./errors');
+
+// Lanes from the first served to the last
+const PRIORITIES = ['high', 'normal', 'low'];
+
+// Calls someone is waiting for, they skip ahead of batch jobs by default
+const HIGH_PRIORITY_METHODS = ['cardLock', 'cardUnlock', 'cardLockStatus', 'blockCard', 'unblockCard'];
+
+/**
+ * Token bucket: `rate` requests per second on average, up to `burst` at once.
+ */
+class Bucket {
+  constructor(rate, burst) {
+    this.rate = rate;
+    this.burst = burst || Math.max(1, Math.ceil(rate));
+    this.tokens = this.burst;
+    this.last = Date.now();
+  }
+
+  /**
+   * @returns {int} Milliseconds until a token is there, 0 when one is there now
+   */
+  wait() {
+    this.refill();
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) * 1000 / this.rate);
+  }
+
+  take() {
+    this.refill();
+    this.tokens -= 1;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.last) * this.rate / 1000);
+    this.last = now;
+  }
+}
+
+/**
+ * Limit of the whole client or of a group of endpoints
+ */
+class Limit {
+  constructor(options) {
+    this.bucket = options.rate ? new Bucket(options.rate, options.burst) : null;
+    this.concurrency = options.concurrency || Infinity;
+    this.active = 0;
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * @returns {int} Milliseconds until a request may start, 0 when it may start now, -1 when waiting for a slot
+   */
+  wait() {
+    if (this.active >= this.concurrency) {
+      return -1;
+    }
+
+    const paused = this.pausedUntil - Date.now();
+    if (paused > 0) {
+      return paused;
+    }
+
+    return this.bucket ? this.bucket.wait() : 0;
+  }
+}
+
+/**
+ * Queues the requests of Client.createRequest() so they stay within a requests per second rate
+ * and a number of requests in flight, for the whole client and for groups of endpoints.
+ *
+ * Higher priority lanes are served first, a group at its limit does not hold back the other groups.
+ * A 429 answer pauses the requests of its group, or all of them outside a group, for Retry-After seconds.
+ */
+class RequestScheduler {
+
+  /**
+   * @param {object|null} options {
+   *   rate: requests per second, unlimited by default,
+   *   burst: requests allowed at once before the rate applies, rate by default,
+   *   concurrency: requests in flight, unlimited by default,
+   *   groups: {name: {methods: ['cardBalance', ...] or match: RegExp of the path, rate, burst, concurrency}},
+   *   priorities: {methodName: 'high'|'normal'|'low'}, card locks are 'high' by default,
+   *   retryAfter: seconds to pause on a 429 without Retry-After, 1 by default
+   * }
+   */
+  constructor(options = null) {
+    options = options || {};
+
+    this.limit = new Limit(options);
+    this.groups = {};
+    Object.keys(options.groups || {}).forEach(name => {
+      const group = options.groups[name];
+      this.groups[name] = Object.assign(new Limit(group), {methods: group.methods || null, match: group.match || null});
+    });
+    this.priorities = Object.assign({}, ...HIGH_PRIORITY_METHODS.map(method => ({[method]: 'high'})), options.priorities || {});
+    this.retryAfter = options.retryAfter !== undefined ? options.retryAfter : 1;
+    this.queues = {};
+    PRIORITIES.forEach(priority => {
+      this.queues[priority] = [];
+    });
+    this.timer = null;
+  }
+
+  /**
+   * Run the task when the limits allow
+   *
+   * @param {function} task () => Promise
+   * @param {object} request {name: client method, path, priority}
+   * @returns {Promise}
+   */
+  schedule(task, request = {}) {
+    const priority = request.priority || this.priorities[request.name] || 'normal';
+    if (!this.queues[priority]) {
+      return Promise.reject(new TypeError(`Unknown priority ${priority}, use one of ${PRIORITIES.join(', ')}`));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queues[priority].push({task, group: this.groupOf(request), resolve, reject});
+      this.pump();
+    });
+  }
+
+  /**
+   * @param {object} request {name, path}
+   * @returns {Limit|null}
+   */
+  groupOf(request) {
+    const name = Object.keys(this.groups).find(key => {
+      const group = this.groups[key];
+      return (group.methods && group.methods.indexOf(request.name) !== -1) || (group.match && group.match.test(request.path || ''));
+    });
+
+    return name ? this.groups[name] : null;
+  }
+
+  /**
+   * @returns {int} Requests waiting in every lane
+   */
+  get pending() {
+    return PRIORITIES.reduce((sum, priority) => sum + this.queues[priority].length, 0);
+  }
+
+  /**
+   * Start every request the limits allow now and wake up when the next one may go
+   */
+  pump() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    let next = Infinity;
+    for (const priority of PRIORITIES) {
+      const queue = this.queues[priority];
+      // A group at its limit blocks its own later requests only, so the order within a group is kept
+      const blocked = new Set();
+
+      for (let i = 0; i < queue.length; i++) {
+        const item = queue[i];
+        if (item.group && blocked.has(item.group)) {
+          continue;
+        }
+
+        const wait = this.limit.wait();
+        if (wait !== 0) {
+          // Nothing else may start either
+          return this.wake(wait > 0 ? Math.min(next, wait) : next);
+        }
+
+        const groupWait = item.group ? item.group.wait() : 0;
+        if (groupWait !== 0) {
+          if (groupWait > 0) {
+            next = Math.min(next, groupWait);
+          }
+          blocked.add(item.group);
+          continue;
+        }
+
+        queue.splice(i--, 1);
+        this.start(item);
+      }
+    }
+
+    this.wake(next);
+  }
+
+  start(item) {
+    const limits = item.group ? [this.limit, item.group] : [this.limit];
+    limits.forEach(limit => {
+      limit.active++;
+      if (limit.bucket) {
+        limit.bucket.take();
+      }
+    });
+
+    let result;
+    try {
+      result = Promise.resolve(item.task());
+    } catch (error) {
+      result = Promise.reject(error);
+    }
+
+    result
+      .then(item.resolve, error => {
+        if (error instanceof RateLimitError) {
+          const seconds = error.retryAfter !== null ? error.retryAfter : this.retryAfter;
+          const limit = item.group || this.limit;
+          limit.pausedUntil = Math.max(limit.pausedUntil, Date.now() + seconds * 1000);
+        }
+        item.reject(error);
+      })
+      .then(() => {
+        limits.forEach(limit => limit.active--);
+        this.pump();
+      });
+  }
+
+  wake(delay) {
+    if (delay !== Infinity && this.pending > 0) {
+      this.timer = setTimeout(() => this.pump(), delay);
+    }
+  }
+}
+
+RequestScheduler.PRIORITIES = PRIORITIES;
+
+module.exports = RequestScheduler;
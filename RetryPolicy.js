@@ -0,0 +1,139 @@
+const {NotFoundError, RateLimitError, ServerError, TransportError} = require('./errors');
+const {normalizePaymentStatus} = require('./paymentStatus');
+
+// The connection was never established, so the bank cannot have seen the request
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Normalized statuses of an order the bank took, see paymentStatus.js
+const ACCEPTED_STATUSES = ['success', 'hold', 'pending'];
+
+/**
+ * Exponential backoff with jitter for Client.createRequest().
+ *
+ * GET requests are retried on 5xx, 429 and network errors. POST/PUT/DELETE are only
+ * resent when the bank surely did not process them; when the outcome is unknown the
+ * `recover` callback (usually a status lookup by order_slug) decides instead: the call resolves
+ * with the lookup when the bank accepted the order, and rejects with the original error when
+ * the bank reports it failed.
+ */
+class RetryPolicy {
+
+  /**
+   * @param {object|null} options {retries: 3, minDelay: 200, maxDelay: 5000, factor: 2, jitter: true}
+   */
+  constructor(options = null) {
+    options = options || {};
+
+    this.retries = options.retries !== undefined ? options.retries : 3;
+    this.minDelay = options.minDelay !== undefined ? options.minDelay : 200;
+    this.maxDelay = options.maxDelay !== undefined ? options.maxDelay : 5000;
+    this.factor = options.factor || 2;
+    this.jitter = options.jitter !== false;
+  }
+
+  /**
+   * @param {function} send () => Promise, performs one attempt
+   * @param {string} httpMethod
+   * @param {function|null} recover () => Promise of the order status, rejects with NotFoundError for an order the bank has not seen
+   * @returns {Promise}
+   */
+  async execute(send, httpMethod, recover = null) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await send();
+      } catch (error) {
+        if (attempt >= this.retries || !this.isRetryable(error)) {
+          throw error;
+        }
+
+        const outcomeUnknown = httpMethod !== 'GET' && !this.wasNotSent(error);
+        if (outcomeUnknown && !recover) {
+          throw error;
+        }
+
+        await this.sleep(this.delay(attempt, error));
+
+        if (outcomeUnknown) {
+          const existing = await this.recover(recover, error);
+          if (existing) {
+            return existing;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isRetryable(error) {
+    return error instanceof TransportError || error instanceof ServerError || error instanceof RateLimitError;
+  }
+
+  /**
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  wasNotSent(error) {
+    return error instanceof RateLimitError
+      || (error instanceof TransportError && NOT_SENT_CODES.indexOf(error.code) !== -1);
+  }
+
+  /**
+   * @param {int} attempt Zero based
+   * @param {Error} error
+   * @returns {int} Milliseconds
+   */
+  delay(attempt, error) {
+    if (error instanceof RateLimitError && error.retryAfter !== null) {
+      return error.retryAfter * 1000;
+    }
+
+    const delay = Math.min(this.maxDelay, this.minDelay * Math.pow(this.factor, attempt));
+    return this.jitter ? Math.round(delay / 2 + Math.random() * delay / 2) : delay;
+  }
+
+  /**
+   * Look the order up, resolves with null when it is safe to resend
+   *
+   * @param {function} recover
+   * @param {Error} error The error of the failed attempt
+   * @returns {Promise} The lookup when the bank accepted the order, rejects with `error` otherwise
+   */
+  async recover(recover, error) {
+    let existing;
+    try {
+      existing = await recover();
+    } catch (lookupError) {
+      if (lookupError instanceof NotFoundError) {
+        return null;
+      }
+      throw error;
+    }
+
+    // A failed or declined order must not pass for a payment made, and can not be resent under its order_slug
+    if (!this.isAccepted(existing)) {
+      throw error;
+    }
+
+    return existing;
+  }
+
+  /**
+   * @param {object} lookup Status response, or its model with the `models` option
+   * @returns {boolean}
+   */
+  isAccepted(lookup) {
+    const data = lookup && (lookup.raw || lookup.data);
+    const status = data && data.status;
+
+    return !!status && ACCEPTED_STATUSES.indexOf(normalizePaymentStatus(status)) !== -1;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = RetryPolicy;
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const sha256 = require('js-sha256').sha256;
+
+const ALGORITHM = 'TB1-HMAC-SHA256';
+
+/**
+ * Thrown by Signer.verify() for a request that is not signed correctly
+ */
+class SignatureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SignatureError';
+  }
+}
+
+/**
+ * Signs and verifies requests with the TB1-HMAC-SHA256 scheme, independently of Client.
+ *
+ * A request is a plain object {method, path, query, headers, body}, `url` may be given
+ * instead of path and query. The path is the full path as sent on the wire, e.g.
+ * `/api/v1/balance`.
+ */
+class Signer {
+
+  /**
+   * @param {string} partnerId
+   * @param {string} token
+   * @param {object|null} options {headers: whitelisted headers, tolerance: seconds a `date` may drift in verify(), default 300}
+   */
+  constructor(partnerId, token, options = null) {
+    options = options || {};
+
+    this.partnerId = partnerId;
+    this.token = token;
+    this.headers = options.headers || ['date', 'tb-content-sha256'];
+    this.tolerance = options.tolerance !== undefined ? options.tolerance : 300;
+  }
+
+  /**
+   * Add date, tb-content-sha256 and Authorization headers
+   *
+   * @param {object} request
+   * @returns {object} Headers to send, the request's own headers are not changed
+   */
+  sign(request) {
+    const headers = Object.assign({}, lowerCaseKeys(request.headers));
+    if (!headers.date) {
+      headers.date = new Date().toUTCString();
+    }
+    if (!headers['tb-content-sha256']) {
+      headers['tb-content-sha256'] = sha256(request.body || '');
+    }
+
+    const signed = Object.assign({}, request, {headers: headers});
+
+    return {
+      date: headers.date,
+      'tb-content-sha256': headers['tb-content-sha256'],
+      Authorization: this.authorization(signed)
+    };
+  }
+
+  /**
+   * @param {object} request
+   * @returns {string} `TB1-HMAC-SHA256 {partnerId}:{signature}`
+   */
+  authorization(request) {
+    return `${ALGORITHM} ${this.partnerId}:${this.signature(request)}`;
+  }
+
+  /**
+   * @param {object} request
+   * @returns {string} Hex encoded HMAC of the canonical string
+   */
+  signature(request) {
+    return crypto.createHmac('sha256', this.token).update(this.canonicalString(request)).digest('hex');
+  }
+
+  /**
+   * The string that gets signed, exposed for debugging signature mismatches
+   *
+   * @param {object} request
+   * @returns {string}
+   */
+  canonicalString(request) {
+    const target = splitUrl(request);
+    const headers = lowerCaseKeys(request.headers);
+    const contentHash = headers['tb-content-sha256'] || sha256(request.body || '');
+
+    const headerString = this.headers
+      .map(name => `${name}:${name === 'tb-content-sha256' ? contentHash : (headers[name] || '')}`.trim())
+      .join('\n');
+
+    return [
+      request.method.toUpperCase(),
+      target.path.trim(),
+      canonicalQuery(target.query),
+      headerString.trim(),
+      contentHash.trim()
+    ].join('\n');
+  }
+
+  /**
+   * Check partner, body hash, date freshness and signature
+   *
+   * @param {object} request
+   * @throws {SignatureError}
+   */
+  verify(request) {
+    const headers = lowerCaseKeys(request.headers);
+    const authorization = headers.authorization || '';
+    const contentHash = headers['tb-content-sha256'] || '';
+
+    const match = authorization.match(/^TB1-HMAC-SHA256 ([^:]+):([0-9a-f]+)$/i);
+    if (!match) {
+      throw new SignatureError('Missing or malformed Authorization header');
+    }
+    if (match[1] !== String(this.partnerId)) {
+      throw new SignatureError('Unknown partner in Authorization header');
+    }
+
+    if (sha256(request.body || '') !== contentHash) {
+      throw new SignatureError('Body does not match tb-content-sha256 header');
+    }
+
+    const timestamp = Date.parse(headers.date || '');
+    if (isNaN(timestamp)) {
+      throw new SignatureError('Missing or malformed date header');
+    }
+    if (Math.abs(Date.now() - timestamp) > this.tolerance * 1000) {
+      throw new SignatureError('Stale date header');
+    }
+
+    const expected = Buffer.from(this.signature(request));
+    const actual = Buffer.from(match[2].toLowerCase());
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new SignatureError('Invalid signature');
+    }
+  }
+}
+
+/**
+ * @param {object} request
+ * @returns {{path: string, query: string}}
+ */
+function splitUrl(request) {
+  if (request.path !== undefined) {
+    return {path: request.path, query: request.query || ''};
+  }
+
+  const url = request.url || '';
+  const index = url.indexOf('?');
+  return index === -1
+    ? {path: url, query: ''}
+    : {path: url.slice(0, index), query: url.slice(index + 1)};
+}
+
+/**
+ * Order query parameters by name, keeping their encoding as is
+ *
+ * @param {string} query
+ * @returns {string}
+ */
+function canonicalQuery(query) {
+  if (!query) {
+    return '';
+  }
+
+  return query.replace(/^\?/, '').trim()
+    .split('&')
+    .filter(pair => pair !== '')
+    .map((pair, index) => ({pair: pair, key: decodeURIComponent(pair.split('=')[0]), index: index}))
+    .sort((a, b) => a.key < b.key ? -1 : a.key > b.key ? 1 : a.index - b.index)
+    .map(item => item.pair)
+    .join('&');
+}
+
+/**
+ * @param {object|null} headers
+ * @returns {object}
+ */
+function lowerCaseKeys(headers) {
+  const result = {};
+  Object.keys(headers || {}).forEach(name => result[name.toLowerCase()] = headers[name]);
+  return result;
+}
+
+Signer.ALGORITHM = ALGORITHM;
+Signer.SignatureError = SignatureError;
+
+module.exports = Signer;
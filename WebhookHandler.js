@@ -0,0 +1,183 @@
+const Signer = require('./Signer');
+
+/**
+ * Thrown when an incoming callback fails signature, body hash or date checks
+ */
+class WebhookVerificationError extends Error {
+  /**
+   * @param {string} message
+   * @param {int} statusCode
+   */
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'WebhookVerificationError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Receives callbacks registered through Client.eventSubscriptionStore(),
+ * verifies them and dispatches parsed events to handlers.
+ *
+ * Works as a plain `http.createServer()` listener and as Express-style middleware.
+ */
+class WebhookHandler {
+
+  /**
+   * @param {string} partnerId
+   * @param {string|Array<string>} token Callbacks signed with any of the tokens pass, for a rotation
+   * @param {object|null} options {tolerance: seconds a `date` header may drift, default 300}
+   */
+  constructor(partnerId, token, options = null) {
+    const tokens = [].concat(token).filter(Boolean);
+    if (tokens.length === 0) {
+      throw new TypeError('token is required');
+    }
+
+    this.signers = tokens.map(value => new Signer(partnerId, value, {
+      tolerance: options && options.tolerance !== undefined ? options.tolerance : 300
+    }));
+    this.signer = this.signers[0];
+    this.handlers = {};
+  }
+
+  /**
+   * Register handler for the event type, use '*' to receive every event
+   *
+   * @param {string} event
+   * @param {function} handler (payload, event) => Promise|void
+   * @returns {WebhookHandler}
+   */
+  on(event, handler) {
+    if (!this.handlers[event]) {
+      this.handlers[event] = [];
+    }
+    this.handlers[event].push(handler);
+
+    return this;
+  }
+
+  /**
+   * Check signature, body hash and freshness of the callback
+   *
+   * @param {string} method
+   * @param {string} url Request path with optional query string
+   * @param {object} headers Lower-cased header names as Node provides them
+   * @param {string} body Raw request body
+   * @throws {WebhookVerificationError}
+   */
+  verify(method, url, headers, body) {
+    let failure = null;
+    for (const signer of this.signers) {
+      try {
+        signer.verify({method: method, url: url, headers: headers, body: body || ''});
+        return;
+      } catch (error) {
+        if (!(error instanceof Signer.SignatureError)) {
+          throw error;
+        }
+        failure = failure || error;
+      }
+    }
+
+    throw new WebhookVerificationError(failure.message);
+  }
+
+  /**
+   * Verify the callback, parse it and run registered handlers
+   *
+   * @param {string} method
+   * @param {string} url
+   * @param {object} headers
+   * @param {string} body
+   * @returns {Promise<object>} Parsed event payload
+   */
+  handle(method, url, headers, body) {
+    return new Promise(resolve => {
+      this.verify(method, url, headers, body);
+
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (e) {
+        throw new WebhookVerificationError('Body is not valid JSON', 400);
+      }
+
+      resolve(this.dispatch(payload).then(() => payload));
+    });
+  }
+
+  /**
+   * Run handlers registered for the payload's event type
+   *
+   * @param {object} payload
+   * @returns {Promise}
+   */
+  dispatch(payload) {
+    const event = payload.event || payload.type;
+    const handlers = (this.handlers[event] || []).concat(this.handlers['*'] || []);
+
+    return handlers.reduce(
+      (promise, handler) => promise.then(() => handler(payload, event)),
+      Promise.resolve()
+    );
+  }
+
+  /**
+   * Listener for `http.createServer()` or Express-style middleware.
+   *
+   * Under Express the raw body is needed for the hash check: mount it behind
+   * `express.raw({type: '*\/*'})` or keep the unparsed body in `req.rawBody`.
+   *
+   * @returns {function} (req, res, next) => void
+   */
+  middleware() {
+    return (req, res, next) => {
+      this.readBody(req)
+        .then(body => this.handle(req.method, req.originalUrl || req.url, req.headers, body))
+        .then(() => {
+          res.statusCode = 200;
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({status: 'ok'}));
+        })
+        .catch(error => {
+          if (!(error instanceof WebhookVerificationError) && next) {
+            return next(error);
+          }
+
+          res.statusCode = error.statusCode || 500;
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({status: 'error', message: error.message}));
+        });
+    };
+  }
+
+  /**
+   * @param {object} req
+   * @returns {Promise<string>}
+   */
+  readBody(req) {
+    const raw = req.rawBody !== undefined ? req.rawBody : req.body;
+    if (typeof raw === 'string' || Buffer.isBuffer(raw)) {
+      return Promise.resolve(raw.toString());
+    }
+    if (raw !== undefined && raw !== null && typeof raw === 'object' && req.complete) {
+      return Promise.reject(new Error('Request body was already parsed, the raw body is required to verify the signature'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(Buffer.from(chunk)));
+      req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+      req.on('error', reject);
+    });
+  }
+}
+
+WebhookHandler.EVENT_CARD_TRANSACTION = 'card_transaction';
+WebhookHandler.EVENT_PAYMENT_STATUS = 'payment_status';
+WebhookHandler.EVENT_DELIVERY_STATUS = 'delivery_status';
+WebhookHandler.EVENT_CLIENT_STATUS = 'client_status';
+WebhookHandler.VerificationError = WebhookVerificationError;
+
+module.exports = WebhookHandler;
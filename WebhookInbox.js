@@ -0,0 +1,534 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const WebhookHandler = require('./WebhookHandler');
+
+/**
+ * Keeps inbox records in memory. Any object with the same async add/update/list methods
+ * can be passed to WebhookInbox instead, e.g. backed by a database table.
+ */
+class MemoryInboxStorage {
+  constructor() {
+    this.records = {};
+    this.keys = {};
+    this.seq = 0;
+  }
+
+  /**
+   * @param {object} record Gets its `seq` here
+   * @returns {Promise<boolean>} false when a record with the same key is stored already
+   */
+  add(record) {
+    if (this.keys[record.key]) {
+      return Promise.resolve(false);
+    }
+
+    record.seq = ++this.seq;
+    this.keys[record.key] = record.id;
+    this.records[record.id] = copy(record);
+    return Promise.resolve(true);
+  }
+
+  /**
+   * @param {object} record
+   * @returns {Promise}
+   */
+  update(record) {
+    this.records[record.id] = copy(record);
+    return Promise.resolve();
+  }
+
+  /**
+   * @param {object|null} query {statuses, from, to: receivedAt range, ISO strings}
+   * @returns {Promise<Array<object>>} In the order of arrival
+   */
+  list(query = null) {
+    const records = Object.keys(this.records).map(id => this.records[id]);
+    return Promise.resolve(filterRecords(records, query).map(copy));
+  }
+}
+
+/**
+ * Keeps inbox records in a JSON lines file. Every change appends the whole record,
+ * the last line of a record wins when the file is read back. compact() drops the old lines.
+ *
+ * A change is written to the file before it is kept in memory, so a failed write can be retried.
+ * A last line cut short by a crash is dropped from the file when it is read back, a corrupt line
+ * before it is moved to `{path}.corrupt` and reported, the other records load as usual.
+ */
+class FileInboxStorage {
+
+  /**
+   * @param {string} path
+   * @param {object|null} options {onCorrupt: (error, line) => void for a line that is not JSON, a process warning by default}
+   */
+  constructor(path, options = null) {
+    options = options || {};
+
+    this.path = path;
+    this.onCorrupt = options.onCorrupt || (error => process.emitWarning(error));
+    this.memory = null;
+    this.writing = Promise.resolve();
+  }
+
+  add(record) {
+    return this.load().then(memory => this.queue(() => {
+      if (memory.keys[record.key]) {
+        return false;
+      }
+
+      return fs.promises.appendFile(this.path, line(Object.assign({}, record, {seq: memory.seq + 1})))
+        .then(() => memory.add(record));
+    }));
+  }
+
+  update(record) {
+    return this.load()
+      .then(memory => this.append(record).then(() => memory.update(record)));
+  }
+
+  list(query = null) {
+    return this.load().then(memory => memory.list(query));
+  }
+
+  /**
+   * Rewrite the file with the latest version of every record
+   *
+   * @returns {Promise}
+   */
+  compact() {
+    return this.load().then(memory => this.queue(() => {
+      const lines = Object.keys(memory.records).map(id => line(memory.records[id])).join('');
+      return fs.promises.writeFile(`${this.path}.tmp`, lines)
+        .then(() => fs.promises.rename(`${this.path}.tmp`, this.path));
+    }));
+  }
+
+  /**
+   * Read the file once, a failed read is tried again on the next call
+   *
+   * @returns {Promise<MemoryInboxStorage>}
+   */
+  load() {
+    if (!this.memory) {
+      this.memory = fs.promises.readFile(this.path, 'utf8')
+        .catch(error => {
+          if (error.code === 'ENOENT') {
+            return '';
+          }
+          throw error;
+        })
+        .then(text => {
+          const memory = new MemoryInboxStorage();
+          const lines = text.split('\n');
+          const kept = [];
+          const corrupt = [];
+          let length = 0;
+          let torn = false;
+
+          for (let i = 0; i < lines.length && !torn; i++) {
+            let record;
+            try {
+              record = lines[i] ? JSON.parse(lines[i]) : null;
+            } catch (error) {
+              // Cut short by a crash when it is the last line, appending after it would break the next line too
+              torn = !lines.slice(i + 1).some(Boolean);
+              if (!torn) {
+                corrupt.push({line: lines[i], error: new Error(`${this.path}:${i + 1} is not valid JSON: ${error.message}`)});
+              }
+              continue;
+            }
+
+            length += Buffer.byteLength(lines[i]) + (i < lines.length - 1 ? 1 : 0);
+            if (record) {
+              kept.push(lines[i]);
+              memory.records[record.id] = record;
+              memory.keys[record.key] = record.id;
+              memory.seq = Math.max(memory.seq, record.seq);
+            }
+          }
+
+          if (corrupt.length > 0) {
+            return this.moveAside(corrupt, kept).then(() => memory);
+          }
+
+          return torn ? fs.promises.truncate(this.path, length).then(() => memory) : memory;
+        })
+        .catch(error => {
+          this.memory = null;
+          throw error;
+        });
+    }
+
+    return this.memory;
+  }
+
+  /**
+   * Keep corrupt lines in `{path}.corrupt` for a look by hand, the file goes on with the readable ones
+   *
+   * @param {Array<object>} corrupt [{line, error}]
+   * @param {Array<string>} kept Readable lines
+   * @returns {Promise}
+   */
+  moveAside(corrupt, kept) {
+    return fs.promises.appendFile(`${this.path}.corrupt`, corrupt.map(item => `${item.line}\n`).join(''))
+      .then(() => fs.promises.writeFile(`${this.path}.tmp`, kept.map(text => `${text}\n`).join('')))
+      .then(() => fs.promises.rename(`${this.path}.tmp`, this.path))
+      .then(() => corrupt.forEach(item => this.onCorrupt(item.error, item.line)));
+  }
+
+  append(record) {
+    return this.queue(() => fs.promises.appendFile(this.path, line(record)));
+  }
+
+  queue(write) {
+    const result = this.writing.then(write);
+    this.writing = result.catch(() => null);
+    return result;
+  }
+}
+
+/**
+ * Durable inbox in front of a WebhookHandler.
+ *
+ * A verified callback is stored before the bank gets its 200, so a crash in a handler loses nothing:
+ * stored events are processed by the handler's `on()` handlers, failed ones are retried with backoff.
+ *
+ * Deduplication: by event_id, else by order_slug plus status, else by the body.
+ * Ordering: events of one card (barcode) or one order (order_slug) are processed one at a time
+ * in the order they arrived, an event waiting for a retry holds back the later ones.
+ * Record status: pending, done, failed (waiting for a retry) or dead (out of attempts).
+ */
+class WebhookInbox {
+
+  /**
+   * @param {WebhookHandler} handler Verifies callbacks and holds the handlers
+   * @param {object|null} options {
+   *   storage: MemoryInboxStorage by default, see FileInboxStorage,
+   *   attempts: handler runs before an event is dead, 5 by default,
+   *   delay: ms before the first retry, 1000 by default, doubled on every next one up to maxDelay,
+   *   maxDelay: 300000 by default,
+   *   concurrency: cards and orders processed at once, 4 by default,
+   *   onError: (error, record) => void for every failed run
+   * }
+   */
+  constructor(handler, options = null) {
+    options = options || {};
+
+    this.handler = handler;
+    this.storage = options.storage || new MemoryInboxStorage();
+    this.attempts = options.attempts || 5;
+    this.delay = options.delay !== undefined ? options.delay : 1000;
+    this.maxDelay = options.maxDelay || 300000;
+    this.concurrency = options.concurrency || 4;
+    this.onError = options.onError || null;
+    this.stopped = false;
+    this.draining = null;
+    this.again = false;
+    this.timer = null;
+  }
+
+  /**
+   * Verify a callback and store it, processing starts in the background
+   *
+   * @param {string} method
+   * @param {string} url
+   * @param {object} headers
+   * @param {string} body
+   * @returns {Promise<object>} {record, duplicate}, see store()
+   */
+  receive(method, url, headers, body) {
+    return new Promise(resolve => {
+      this.handler.verify(method, url, headers, body);
+
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (e) {
+        throw new WebhookHandler.VerificationError('Body is not valid JSON', 400);
+      }
+
+      resolve(this.store(payload, body));
+    });
+  }
+
+  /**
+   * Store an event that was verified elsewhere
+   *
+   * @param {object} payload
+   * @param {string|null} body Raw body, the deduplication key of events without event_id or order_slug
+   * @returns {Promise<object>} {record, duplicate}, record is null for a duplicate
+   */
+  store(payload, body = null) {
+    const record = {
+      id: crypto.randomBytes(12).toString('hex'),
+      key: eventKey(payload, body),
+      partition: partitionKey(payload),
+      seq: null,
+      event: payload.event || payload.type || null,
+      payload: payload,
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      receivedAt: new Date().toISOString(),
+      nextAttemptAt: null,
+      processedAt: null
+    };
+
+    return this.storage.add(record).then(added => {
+      if (added) {
+        this.drain();
+      }
+      return {record: added ? record : null, duplicate: !added};
+    });
+  }
+
+  /**
+   * Process the events stored as pending or failed, e.g. after a restart
+   *
+   * @returns {WebhookInbox}
+   */
+  start() {
+    this.stopped = false;
+    this.drain();
+
+    return this;
+  }
+
+  /**
+   * Stop processing, events are still stored
+   *
+   * @returns {Promise} Resolves when the running handlers are done
+   */
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    return this.draining || Promise.resolve();
+  }
+
+  /**
+   * Process stored events again, whatever their status
+   *
+   * @param {object|null} query {from, to: Date or ISO string of arrival, event: event type, statuses}
+   * @returns {Promise<int>} Number of events queued
+   */
+  replay(query = null) {
+    query = query || {};
+
+    return this.list(query)
+      .then(records => records.filter(record => !query.event || record.event === query.event))
+      .then(records => records.reduce((promise, record) => promise.then(() => this.storage.update(Object.assign(record, {
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: null,
+        replayedAt: new Date().toISOString()
+      }))), Promise.resolve()).then(() => {
+        this.drain();
+        return records.length;
+      }));
+  }
+
+  /**
+   * @param {object|null} query {statuses, from, to}
+   * @returns {Promise<Array<object>>}
+   */
+  list(query = null) {
+    query = Object.assign({}, query || {});
+    ['from', 'to'].forEach(name => {
+      if (query[name] instanceof Date) {
+        query[name] = query[name].toISOString();
+      }
+    });
+
+    return this.storage.list(query);
+  }
+
+  /**
+   * Listener for `http.createServer()` or Express-style middleware, answers 200 once the event is stored
+   *
+   * @returns {function} (req, res, next) => void
+   */
+  middleware() {
+    return (req, res, next) => {
+      this.handler.readBody(req)
+        .then(body => this.receive(req.method, req.originalUrl || req.url, req.headers, body))
+        .then(() => {
+          res.statusCode = 200;
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({status: 'ok'}));
+        })
+        .catch(error => {
+          if (!(error instanceof WebhookHandler.VerificationError) && next) {
+            return next(error);
+          }
+
+          res.statusCode = error.statusCode || 500;
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({status: 'error', message: error.message}));
+        });
+    };
+  }
+
+  /**
+   * Run the ready events until none is left, one drain at a time
+   *
+   * @returns {Promise}
+   */
+  drain() {
+    if (this.stopped) {
+      return Promise.resolve();
+    }
+    if (this.draining) {
+      this.again = true;
+      return this.draining;
+    }
+
+    this.draining = this.drainOnce()
+      .catch(error => this.onError && this.onError(error, null))
+      .then(() => {
+        this.draining = null;
+        if (this.again) {
+          this.again = false;
+          return this.drain();
+        }
+      });
+
+    return this.draining;
+  }
+
+  async drainOnce() {
+    for (;;) {
+      const records = await this.storage.list({statuses: ['pending', 'failed']});
+      const now = Date.now();
+      const heads = {};
+      records.forEach(record => {
+        const partition = record.partition || record.id;
+        if (!heads[partition]) {
+          heads[partition] = record;
+        }
+      });
+
+      const waiting = Object.keys(heads).map(partition => heads[partition]);
+      const ready = waiting.filter(record => !record.nextAttemptAt || Date.parse(record.nextAttemptAt) <= now);
+      if (ready.length === 0 || this.stopped) {
+        return this.schedule(waiting);
+      }
+
+      for (let i = 0; i < ready.length && !this.stopped; i += this.concurrency) {
+        await Promise.all(ready.slice(i, i + this.concurrency).map(record => this.process(record)));
+      }
+    }
+  }
+
+  /**
+   * @param {object} record
+   * @returns {Promise}
+   */
+  process(record) {
+    record.attempts++;
+
+    return Promise.resolve()
+      .then(() => this.handler.dispatch(record.payload))
+      .then(() => {
+        record.status = 'done';
+        record.lastError = null;
+        record.nextAttemptAt = null;
+        record.processedAt = new Date().toISOString();
+      }, error => {
+        const delay = Math.min(this.maxDelay, this.delay * Math.pow(2, record.attempts - 1));
+        record.status = record.attempts >= this.attempts ? 'dead' : 'failed';
+        record.lastError = error && error.message ? error.message : String(error);
+        record.nextAttemptAt = record.status === 'failed' ? new Date(Date.now() + delay).toISOString() : null;
+        if (this.onError) {
+          this.onError(error, record);
+        }
+      })
+      .then(() => this.storage.update(record));
+  }
+
+  /**
+   * Wake up for the earliest retry
+   *
+   * @param {Array<object>} waiting
+   */
+  schedule(waiting) {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const times = waiting.filter(record => record.nextAttemptAt).map(record => Date.parse(record.nextAttemptAt));
+    if (times.length === 0 || this.stopped) {
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain();
+    }, Math.max(0, Math.min.apply(null, times) - Date.now()));
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+}
+
+/**
+ * @param {object} payload
+ * @param {string|null} body
+ * @returns {string}
+ */
+function eventKey(payload, body) {
+  const event = payload.event || payload.type || '';
+  const id = payload.event_id;
+  if (id) {
+    return `${event}:id:${id}`;
+  }
+
+  const orderSlug = payload.order_slug || payload.order_id;
+  if (orderSlug && payload.status) {
+    return `${event}:order:${orderSlug}:${payload.status}`;
+  }
+
+  const hash = crypto.createHash('sha256').update(body !== null ? body : JSON.stringify(payload)).digest('hex');
+  return `${event}:body:${hash}`;
+}
+
+/**
+ * @param {object} payload
+ * @returns {string|null} Events with the same key are processed in order
+ */
+function partitionKey(payload) {
+  const barcode = payload.barcode || payload.ean;
+  if (barcode) {
+    return `card:${barcode}`;
+  }
+  const orderSlug = payload.order_slug || payload.order_id;
+  if (orderSlug) {
+    return `order:${orderSlug}`;
+  }
+  const deliveryId = payload.delivery_id;
+
+  return deliveryId ? `delivery:${deliveryId}` : null;
+}
+
+function filterRecords(records, query) {
+  query = query || {};
+
+  return records
+    .filter(record => !query.statuses || query.statuses.indexOf(record.status) !== -1)
+    .filter(record => !query.from || record.receivedAt >= query.from)
+    .filter(record => !query.to || record.receivedAt <= query.to)
+    .sort((a, b) => a.seq - b.seq);
+}
+
+function line(record) {
+  return `${JSON.stringify(record)}\n`;
+}
+
+function copy(record) {
+  return JSON.parse(JSON.stringify(record));
+}
+
+WebhookInbox.MemoryStorage = MemoryInboxStorage;
+WebhookInbox.FileStorage = FileInboxStorage;
+
+module.exports = WebhookInbox;
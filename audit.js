@@ -0,0 +1,169 @@
+const fs = require('fs');
+const {maskPan} = require('./cards');
+
+/**
+ * Audit trail of the calls made through Client.createRequest().
+ *
+ * Every attempt, retries included, is written as one record:
+ * {time, method, httpMethod, path, orderSlug, status, ok, latency, error, context, request, response}.
+ * Payloads are redacted first: card numbers keep the BIN and the last 4 digits,
+ * CVV and PIN are dropped, passport data (`document`) inside `person` is replaced.
+ */
+
+// Dropped from payloads wherever they are
+const SECRET_KEYS = ['cvv', 'cvv2', 'cvc', 'cvc2', 'pin', 'pin_code', 'security_code'];
+
+// Masked down to BIN plus last 4
+const PAN_KEYS = ['pan', 'card_number'];
+
+// Replaced inside `person`
+const PASSPORT_KEY = /^(document|passport)/;
+
+// Responses that are secret as a whole
+const SECRET_RESPONSES = ['cardCvv'];
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Copy of a payload safe to log
+ *
+ * @param {*} value
+ * @param {object|null} options {keys: more keys to drop}
+ * @returns {*}
+ */
+function redact(value, options = null) {
+  const drop = SECRET_KEYS.concat((options && options.keys) || []);
+
+  const walk = (item, inPerson) => {
+    if (Array.isArray(item)) {
+      return item.map(element => walk(element, inPerson));
+    }
+    if (!item || typeof item !== 'object' || Object.getPrototypeOf(item) !== Object.prototype) {
+      return item;
+    }
+
+    const result = {};
+    Object.keys(item).forEach(key => {
+      const name = key.toLowerCase();
+      if (drop.indexOf(name) !== -1) {
+        return;
+      }
+      if (PAN_KEYS.indexOf(name) !== -1 && item[key] !== null && item[key] !== undefined) {
+        result[key] = maskPan(item[key]);
+      } else if (inPerson && PASSPORT_KEY.test(name)) {
+        result[key] = REDACTED;
+      } else {
+        result[key] = walk(item[key], inPerson || name === 'person');
+      }
+    });
+
+    return result;
+  };
+
+  return walk(value, false);
+}
+
+/**
+ * Middleware writing an audit record per request, see Client.use() and the `audit` client option
+ *
+ * @param {object|null} options {
+ *   sinks: functions or {write(record)} objects, required, e.g. sinks.file(path),
+ *   context: object or req => object describing the caller, e.g. from AsyncLocalStorage,
+ *   bodies: log redacted request and response bodies, true by default,
+ *   keys: more keys to drop from bodies,
+ *   onError: (error, record) => void for a failing sink, a process warning by default
+ * }
+ * @returns {function} (req, next) => Promise
+ * @throws {TypeError} Without sinks, payment traffic is never logged anywhere the caller did not choose
+ */
+function auditMiddleware(options = null) {
+  options = options || {};
+
+  const sinks = [].concat(options.sinks || []).map(sink => typeof sink === 'function' ? sink : record => sink.write(record));
+  if (sinks.length === 0) {
+    throw new TypeError('audit needs sinks, e.g. audit.sinks.file(path) or audit.sinks.console()');
+  }
+  const bodies = options.bodies !== false;
+  const onError = options.onError || (error => process.emitWarning(`Audit sink failed: ${error.message}`));
+
+  const write = record => sinks.forEach(sink => {
+    // A broken sink must not fail the payment
+    try {
+      Promise.resolve(sink(record)).catch(error => onError(error, record));
+    } catch (error) {
+      onError(error, record);
+    }
+  });
+
+  return (req, next) => {
+    const started = Date.now();
+    const record = {
+      time: new Date(started).toISOString(),
+      method: req.context.method,
+      httpMethod: req.method,
+      path: req.context.path,
+      orderSlug: req.context.orderSlug,
+      status: null,
+      ok: false,
+      latency: null,
+      error: null,
+      context: typeof options.context === 'function' ? options.context(req) : options.context || null
+    };
+    if (bodies) {
+      record.request = redact({query: req.query || null, data: req.data || null}, options);
+    }
+
+    return next(req).then(response => {
+      record.status = response.status;
+      record.ok = true;
+      record.latency = Date.now() - started;
+      if (bodies) {
+        record.response = SECRET_RESPONSES.indexOf(req.name) === -1 ? redact(response.data, options) : REDACTED;
+      }
+      write(record);
+      return response;
+    }, error => {
+      record.status = error.status || null;
+      record.latency = Date.now() - started;
+      record.error = {name: error.name, code: error.code || null, message: error.message};
+      write(record);
+      throw error;
+    });
+  };
+}
+
+/**
+ * @param {object|null} logger Anything with info() and warn(), console by default
+ * @returns {function}
+ */
+function consoleSink(logger = console) {
+  return record => (record.ok ? logger.info : logger.warn).call(logger, JSON.stringify(record));
+}
+
+/**
+ * Append records as JSON lines
+ *
+ * @param {string} path
+ * @returns {function} Sink with close(): Promise
+ */
+function fileSink(path) {
+  const stream = fs.createWriteStream(path, {flags: 'a'});
+  // Failed writes reject the sink call, see onError
+  stream.on('error', () => {});
+  const sink = record => new Promise((resolve, reject) => {
+    stream.write(`${JSON.stringify(record)}\n`, error => error ? reject(error) : resolve());
+  });
+  sink.close = () => new Promise(resolve => stream.end(resolve));
+
+  return sink;
+}
+
+module.exports = {
+  middleware: auditMiddleware,
+  redact,
+  maskPan,
+  sinks: {
+    console: consoleSink,
+    file: fileSink
+  }
+};
@@ -0,0 +1,13 @@
+// Entry point for bundlers targeting the browser: no partner token, no signing, no Node built-ins
+const PublicClient = require('./PublicClient');
+const Money = require('./Money');
+const errors = require('./errors');
+const {normalizePaymentStatus} = require('./paymentStatus');
+const cards = require('./cards');
+
+module.exports = Object.assign({
+  PublicClient,
+  Money,
+  normalizePaymentStatus,
+  cards
+}, errors);
@@ -0,0 +1,191 @@
+const {ValidationError} = require('./errors');
+
+/**
+ * Card data: the `cardInfo` {pan, expiry: 'MM/YY', cvv} of payments from a card and holds,
+ * and the `cardNumber` of payments to a card.
+ *
+ * Every check returns a list of messages, empty when the value is fine.
+ */
+
+// Schemes by BIN range, [from, to] over the first digits of the PAN, with the PAN and CVV lengths they allow
+const SCHEMES = {
+  mir: {ranges: [[2200, 2204]], lengths: [16, 17, 18, 19], cvv: [3]},
+  visa: {ranges: [[4, 4]], lengths: [13, 16, 19], cvv: [3]},
+  mastercard: {ranges: [[51, 55], [2221, 2720]], lengths: [16], cvv: [3]},
+  amex: {ranges: [[34, 34], [37, 37]], lengths: [15], cvv: [4]}
+};
+
+// CVV lengths of a card whose scheme is not known
+const CVV_LENGTHS = [3, 4];
+
+/**
+ * @param {string|number} pan
+ * @returns {string|null} mir, visa, mastercard, amex or null for another scheme
+ */
+function detectScheme(pan) {
+  const digits = String(pan).replace(/[\s-]/g, '');
+
+  return Object.keys(SCHEMES).find(scheme => SCHEMES[scheme].ranges.some(([from, to]) => {
+    const prefix = Number(digits.slice(0, String(from).length));
+    return prefix >= from && prefix <= to;
+  })) || null;
+}
+
+/**
+ * @param {string|number} pan
+ * @returns {boolean} Whether the Luhn check digit is right
+ */
+function isValidLuhn(pan) {
+  const digits = String(pan);
+  if (!/^\d+$/.test(digits)) {
+    return false;
+  }
+
+  const sum = digits.split('').reverse().reduce((total, digit, index) => {
+    const value = Number(digit) * (index % 2 === 1 ? 2 : 1);
+    return total + (value > 9 ? value - 9 : value);
+  }, 0);
+
+  return sum % 10 === 0;
+}
+
+/**
+ * @param {string|number} pan Spaces and hyphens are allowed
+ * @returns {Array<string>}
+ */
+function checkPan(pan) {
+  const digits = String(pan).replace(/[\s-]/g, '');
+  if (!/^\d{13,19}$/.test(digits)) {
+    return ['must be 13 to 19 digits'];
+  }
+
+  const scheme = detectScheme(digits);
+  if (scheme && SCHEMES[scheme].lengths.indexOf(digits.length) === -1) {
+    return [`must be ${SCHEMES[scheme].lengths.join(', ')} digits for ${scheme}`];
+  }
+
+  return isValidLuhn(digits) ? [] : ['fails the Luhn check, check the number for a typo'];
+}
+
+/**
+ * @param {string} expiry MM/YY
+ * @param {Date} now
+ * @returns {Array<string>}
+ */
+function checkExpiry(expiry, now = new Date()) {
+  const match = String(expiry).match(/^(0[1-9]|1[0-2])\/(\d{2})$/);
+  if (!match) {
+    return ['must be MM/YY'];
+  }
+
+  // A card is good through the last day of its month
+  const year = 2000 + Number(match[2]);
+  const month = Number(match[1]);
+  const current = now.getFullYear() * 12 + now.getMonth() + 1;
+
+  return year * 12 + month < current ? ['is in the past, the card has expired'] : [];
+}
+
+/**
+ * @param {string} cvv
+ * @param {string|null} scheme detectScheme() of the PAN, 3 or 4 digits are allowed for an unknown one
+ * @returns {Array<string>}
+ */
+function checkCvv(cvv, scheme = null) {
+  const known = Boolean(scheme && SCHEMES[scheme]);
+  const lengths = known ? SCHEMES[scheme].cvv : CVV_LENGTHS;
+  if (/^\d+$/.test(String(cvv)) && lengths.indexOf(String(cvv).length) !== -1) {
+    return [];
+  }
+
+  return [`must be ${lengths.join(' or ')} digits${known ? ` for ${scheme}` : ''}`];
+}
+
+/**
+ * @param {object} cardInfo {pan, expiry, cvv}
+ * @param {object|null} options {now: Date the expiry is checked against}
+ * @returns {Array<string>} Messages prefixed with the key: "pan fails the Luhn check"
+ */
+function validateCardInfo(cardInfo, options = null) {
+  if (!cardInfo || typeof cardInfo !== 'object') {
+    return ['must be an object with pan, expiry and cvv'];
+  }
+
+  const now = (options && options.now) || new Date();
+  const scheme = isEmpty(cardInfo.pan) ? null : detectScheme(cardInfo.pan);
+  const prefix = key => message => `${key} ${message}`;
+
+  return [].concat(
+    isEmpty(cardInfo.pan) ? ['pan is required'] : checkPan(cardInfo.pan).map(prefix('pan')),
+    isEmpty(cardInfo.expiry) ? ['expiry is required'] : checkExpiry(cardInfo.expiry, now).map(prefix('expiry')),
+    isEmpty(cardInfo.cvv) ? ['cvv is required'] : checkCvv(cardInfo.cvv, scheme).map(prefix('cvv'))
+  );
+}
+
+/**
+ * Build a `cardInfo` from what a form gives
+ *
+ * @param {object} input {pan, cvv, and expiry as MM/YY, MM/YYYY or MMYY, or expiryMonth and expiryYear}
+ * @returns {object} {pan: digits only, expiry: 'MM/YY', cvv}
+ * @throws {ValidationError} With code local_validation and the messages in fields.card_info
+ */
+function buildCardInfo(input) {
+  input = input || {};
+
+  let expiry = input.expiry;
+  if (isEmpty(expiry) && !isEmpty(input.expiryMonth) && !isEmpty(input.expiryYear)) {
+    expiry = `${input.expiryMonth}/${input.expiryYear}`;
+  }
+  const match = String(expiry || '').trim().match(/^(\d{1,2})\s*[/\-.]?\s*(\d{2}|\d{4})$/);
+
+  const cardInfo = {
+    pan: String(isEmpty(input.pan) ? '' : input.pan).replace(/[\s-]/g, ''),
+    expiry: match ? `${match[1].padStart(2, '0')}/${match[2].slice(-2)}` : String(expiry || ''),
+    cvv: String(isEmpty(input.cvv) ? '' : input.cvv).trim()
+  };
+
+  const messages = validateCardInfo(cardInfo);
+  if (messages.length > 0) {
+    throw new ValidationError(`Invalid card: ${messages.join('; ')}`, {
+      code: 'local_validation',
+      fields: {card_info: messages}
+    });
+  }
+
+  return cardInfo;
+}
+
+/**
+ * Numbers of 16 digits or more keep the BIN and the last 4 digits, shorter ones only the last 4,
+ * so at least 6 digits are always hidden.
+ *
+ * @param {string|number} pan
+ * @param {object|null} options {groups: split in groups of 4 for display}
+ * @returns {string} 220070******1234, or 2200 70** **** 1234 with groups
+ */
+function maskPan(pan, options = null) {
+  const digits = String(pan).replace(/\D/g, '');
+  if (digits.length < 12) {
+    return '[REDACTED]';
+  }
+
+  const shown = digits.length >= 16 ? 6 : 0;
+  const masked = `${digits.slice(0, shown)}${'*'.repeat(digits.length - shown - 4)}${digits.slice(-4)}`;
+
+  return options && options.groups ? masked.replace(/(.{4})(?=.)/g, '$1 ') : masked;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+module.exports = {
+  detectScheme,
+  isValidLuhn,
+  checkPan,
+  checkExpiry,
+  checkCvv,
+  validateCardInfo,
+  buildCardInfo,
+  maskPan
+};
@@ -0,0 +1,519 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const Client = require('./Client');
+const Money = require('./Money');
+const {TalkBankError, ValidationError} = require('./errors');
+
+/*
+ * Commands by domain. `args` are positional in the order of the Client method, `?` marks an optional one,
+ * the part after `:` says how to parse it:
+ *   money  amount in major units of the profile currency, 1500.50
+ *   int    integer
+ *   json   JSON text or @file.json
+ *   list   comma separated values
+ * An optional argument can also be given by name: --order-slug abc.
+ * `money: true` commands move money and ask for confirmation.
+ */
+const COMMANDS = {
+  accounts: {
+    balance: {method: 'accountBalance', description: 'Account balance'},
+    transactions: {
+      method: 'getAccountHistory',
+      args: ['dateFrom?', 'dateTo?', 'bank?', 'limit?:int', 'page?:int'],
+      description: 'Account transactions'
+    },
+    'cards-transactions': {
+      method: 'accountCardsTransactions',
+      args: ['fromDate', 'toDate', 'page?:int', 'limit?:int'],
+      description: 'Transactions of every card of the account'
+    }
+  },
+  cards: {
+    list: {method: 'cardList', args: ['clientId'], description: 'Cards of a client'},
+    show: {method: 'cardDetails', args: ['clientId', 'barcode'], description: 'Card details'},
+    balance: {method: 'cardBalance', args: ['clientId', 'barcode'], description: 'Card balance'},
+    transactions: {
+      method: 'cardTransactions',
+      args: ['clientId', 'barcode', 'dateFrom?', 'dateTo?', 'limit?:int', 'page?:int'],
+      description: 'Card transactions'
+    },
+    limits: {method: 'cardLimits', args: ['clientId', 'barcode'], description: 'Card limits'},
+    'lock-status': {method: 'cardLockStatus', args: ['clientId', 'barcode'], description: 'Whether the card is locked'},
+    lock: {method: 'cardLock', args: ['clientId', 'barcode', 'reason?'], description: 'Lock a card'},
+    unlock: {method: 'cardUnlock', args: ['clientId', 'barcode'], description: 'Unlock a card'},
+    'activate-virtual': {method: 'cardActivateVirtual', args: ['clientId'], description: 'Issue a virtual card'},
+    activate: {method: 'cardActivate', args: ['clientId', 'barcode'], description: 'Activate a card'},
+    activation: {method: 'cardActivation', args: ['clientId', 'barcode'], description: 'Activation status'},
+    'order-status': {method: 'cardOrderStatus', args: ['clientId', 'barcode', 'orderId'], description: 'Refill or withdrawal status'},
+    refill: {
+      method: 'cardRefill',
+      args: ['clientId', 'barcode', 'amount:money', 'orderId?'],
+      money: true,
+      description: 'Move money from the account to a card'
+    },
+    withdraw: {
+      method: 'cardWithdrawal',
+      args: ['clientId', 'barcode', 'amount:money', 'orderId?'],
+      money: true,
+      description: 'Move money from a card to the account'
+    }
+  },
+  holds: {
+    create: {
+      method: 'hold',
+      args: ['amount:money', 'orderSlug?', 'cardInfo?:json', 'cardRefId?', 'redirectUrl?'],
+      money: true,
+      description: 'Hold money on a card'
+    },
+    confirm: {method: 'holdConfirm', args: ['orderSlug', 'amount?:money'], money: true, description: 'Capture a hold, fully or partially'},
+    reverse: {method: 'holdReverse', args: ['orderSlug', 'amount?:money'], money: true, description: 'Release a hold, fully or partially'}
+  },
+  payments: {
+    status: {method: 'paymentStatus', args: ['orderSlug'], description: 'Payment status'},
+    wait: {
+      method: 'waitForPayment',
+      args: ['orderSlug', 'timeout?:int'],
+      call: (client, args) => client.waitForPayment(args[0], {timeout: args[1] !== undefined ? args[1] : 300000}),
+      result: status => ({order_slug: status.orderSlug, status: status.status, raw_status: status.rawStatus}),
+      description: 'Wait until the payment succeeds, fails or is reversed'
+    },
+    'to-card': {
+      method: 'paymentToUnregisteredCard',
+      args: ['cardNumber', 'amount:money', 'orderSlug?'],
+      money: true,
+      description: 'Pay out to a card number'
+    },
+    'to-registered-card': {
+      method: 'paymentToRegisteredCard',
+      args: ['clientId', 'cardToken', 'amount:money', 'orderSlug?'],
+      money: true,
+      description: 'Pay out to a registered card'
+    },
+    'from-registered-card': {
+      method: 'paymentFromRegisteredCard',
+      args: ['clientId', 'amount:money', 'cardToken', 'orderSlug?'],
+      money: true,
+      description: 'Charge a registered card'
+    },
+    'to-account': {
+      method: 'paymentToAccount',
+      args: ['amount:money', 'account', 'bik', 'name', 'inn?', 'description?', 'orderSlug?'],
+      money: true,
+      description: 'Pay out to a bank account'
+    },
+    form: {
+      method: 'paymentFromUnregisteredCardWithForm',
+      args: ['clientId', 'amount:money', 'orderSlug?', 'redirectUrl?'],
+      description: 'Payment form for the customer to charge a card'
+    }
+  },
+  clients: {
+    create: {method: 'clientStore', args: ['clientId', 'person:json'], description: 'Register a client'},
+    edit: {method: 'clientEdit', args: ['clientId', 'person:json'], description: 'Change client data'},
+    show: {method: 'clientShow', args: ['clientId'], description: 'Client status'}
+  },
+  deliveries: {
+    create: {method: 'cardDeliveryStore', args: ['clientId', 'data:json'], description: 'Order a card delivery'},
+    show: {method: 'cardDeliveryShow', args: ['clientId', 'deliveryId'], description: 'Delivery status'}
+  },
+  subscriptions: {
+    list: {method: 'eventSubscriptionList', description: 'Event subscriptions'},
+    add: {method: 'eventSubscriptionStore', args: ['url', 'events?:list'], description: 'Subscribe a URL to events'},
+    remove: {method: 'eventSubscriptionRemove', args: ['subscriptionId'], description: 'Remove a subscription'},
+    plan: {
+      method: 'syncSubscriptions',
+      args: ['desired:json'],
+      call: (client, args) => client.syncSubscriptions(args[0], {dryRun: true}),
+      result: report => report.plan,
+      description: 'Show what sync would create and remove'
+    },
+    sync: {
+      method: 'syncSubscriptions',
+      args: ['desired:json'],
+      call: (client, args) => client.syncSubscriptions(args[0]).then(report => {
+        if (!report.ok) {
+          const failures = report.failed.map(failure => `${failure.action} ${failure.url}: ${failure.error.message}`);
+          throw new Error(`Subscriptions partly synced, ${failures.join('; ')}`);
+        }
+        return report;
+      }),
+      result: report => ({created: report.created, removed: report.removed, kept: report.plan.keep}),
+      description: 'Create and remove subscriptions to match a [{url, events}] list'
+    }
+  }
+};
+
+const GLOBAL_FLAGS = ['profile', 'config', 'format', 'yes', 'help'];
+
+// Flags taking no value
+const SWITCHES = ['yes', 'help'];
+
+// Client options a profile can set
+const CLIENT_OPTIONS = ['retry', 'timeout', 'validate', 'amountUnit', 'currency'];
+
+class UsageError extends Error {}
+
+/**
+ * Run the CLI
+ *
+ * @param {Array<string>} argv Arguments without node and the script
+ * @param {object|null} io {stdout, stderr, stdin, env, confirm: async question => boolean, createClient}
+ * @returns {Promise<int>} Exit code
+ */
+async function run(argv, io = null) {
+  io = Object.assign({
+    stdout: process.stdout,
+    stderr: process.stderr,
+    stdin: process.stdin,
+    env: process.env,
+    createClient: profile => new Client(profile.partnerId, profile.token, profile.baseUrl || null, profile.options)
+  }, io || {});
+  io.confirm = io.confirm || (question => confirm(question, io.stdin, io.stderr));
+
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+    if (parsed.flags.help || parsed.positional.length < 2) {
+      io.stdout.write(usage(parsed.positional[0]));
+      return parsed.flags.help ? 0 : 2;
+    }
+
+    const [domain, name] = parsed.positional;
+    const command = COMMANDS[domain] && COMMANDS[domain][name];
+    if (!command) {
+      throw new UsageError(`Unknown command "${domain} ${name}"`);
+    }
+
+    const known = GLOBAL_FLAGS.concat((command.args || []).map(spec => parseSpec(spec).name));
+    const unknown = Object.keys(parsed.flags).find(flag => known.indexOf(flag) === -1);
+    if (unknown) {
+      throw new UsageError(`Unknown option --${kebabCase(unknown)} for "${domain} ${name}"`);
+    }
+
+    const profile = loadProfile(parsed.flags.profile || null, io.env, parsed.flags.config || null);
+    const currency = (profile.options.currency || 'RUB').toUpperCase();
+    const args = parseCommandArgs(command, parsed.positional.slice(2), parsed.flags, currency);
+    const format = parsed.flags.format || io.env.TALKBANK_FORMAT || 'json';
+    if (format !== 'json' && format !== 'table') {
+      throw new UsageError(`Unknown format "${format}", use json or table`);
+    }
+
+    if (command.money && !parsed.flags.yes) {
+      const question = `${domain} ${name} ${describeArgs(command, args)} on profile "${profile.name}". Proceed? [y/N] `;
+      if (!await io.confirm(question)) {
+        io.stderr.write('Aborted\n');
+        return 1;
+      }
+    }
+
+    const client = io.createClient(profile);
+    const result = command.call ? await command.call(client, args) : await client[command.method](...args);
+    const output = command.result ? command.result(result) : result.data;
+    io.stdout.write(format === 'table' ? formatTable(output) : `${JSON.stringify(output, null, 2)}\n`);
+
+    return 0;
+  } catch (error) {
+    io.stderr.write(formatError(error));
+    return error instanceof UsageError ? 2 : 1;
+  }
+}
+
+/**
+ * @param {Array<string>} argv
+ * @returns {object} {positional: [], flags: {name: value}}
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-y') {
+      flags.yes = true;
+    } else if (arg === '-h') {
+      flags.help = true;
+    } else if (arg.startsWith('--')) {
+      const eq = arg.indexOf('=');
+      const key = camelCase(arg.slice(2, eq === -1 ? undefined : eq));
+      if (eq !== -1) {
+        flags[key] = arg.slice(eq + 1);
+      } else if (SWITCHES.indexOf(key) !== -1) {
+        flags[key] = true;
+      } else if (i + 1 < argv.length) {
+        flags[key] = argv[++i];
+      } else {
+        throw new UsageError(`--${arg.slice(2)} needs a value`);
+      }
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return {positional, flags};
+}
+
+/**
+ * Resolve credentials: a named profile of the config file, or TALKBANK_* env variables.
+ *
+ * The config file is TALKBANK_CONFIG or ~/.talkbank.json:
+ *   {"default": "test", "profiles": {"test": {"partnerId", "token", "environment" or "baseUrl", "retry", "timeout", ...}}}
+ *
+ * A profile named with --profile is used as it is. Otherwise TALKBANK_PARTNER_ID, TALKBANK_TOKEN,
+ * TALKBANK_BASE_URL and TALKBANK_ENVIRONMENT override the TALKBANK_PROFILE or default one, and the
+ * profile is called "env" when its credentials came from there.
+ *
+ * @param {string|null} name Profile named with --profile, TALKBANK_PROFILE or the "default" of the file when empty
+ * @param {object} env
+ * @param {string|null} configPath
+ * @returns {object} {name, partnerId, token, baseUrl, options}
+ */
+function loadProfile(name = null, env = process.env, configPath = null) {
+  configPath = configPath || env.TALKBANK_CONFIG || path.join(os.homedir(), '.talkbank.json');
+
+  let config = {};
+  if (fs.existsSync(configPath)) {
+    try {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      throw new UsageError(`Can not read ${configPath}: ${error.message}`);
+    }
+  }
+
+  const profiles = config.profiles || {};
+  // Env credentials meant for one environment must not leak into a profile picked by hand
+  const overrides = name ? {} : env;
+  name = name || env.TALKBANK_PROFILE || config.default || 'default';
+  if (!profiles[name] && !(overrides.TALKBANK_PARTNER_ID && overrides.TALKBANK_TOKEN)) {
+    throw new UsageError(`No profile "${name}" in ${configPath}${overrides === env ? ' and no TALKBANK_PARTNER_ID/TALKBANK_TOKEN set' : ''}`);
+  }
+
+  const source = profiles[name] || {};
+  const profile = {
+    name: overrides.TALKBANK_PARTNER_ID || overrides.TALKBANK_TOKEN ? 'env' : name,
+    partnerId: overrides.TALKBANK_PARTNER_ID || source.partnerId,
+    token: overrides.TALKBANK_TOKEN || source.token,
+    // Client takes an environment name in place of a URL
+    baseUrl: overrides.TALKBANK_BASE_URL || overrides.TALKBANK_ENVIRONMENT || source.baseUrl || source.environment || null,
+    options: {}
+  };
+  CLIENT_OPTIONS.forEach(option => {
+    if (source[option] !== undefined) {
+      profile.options[option] = source[option];
+    }
+  });
+
+  if (!profile.partnerId || !profile.token) {
+    throw new UsageError(`Profile "${profile.name}" needs partnerId and token`);
+  }
+
+  return profile;
+}
+
+/**
+ * @param {object} command
+ * @param {Array<string>} values Positional values
+ * @param {object} flags Named values
+ * @param {string} currency
+ * @returns {Array} Arguments for the Client method
+ */
+function parseCommandArgs(command, values, flags, currency) {
+  const specs = (command.args || []).map(parseSpec);
+  if (values.length > specs.length) {
+    throw new UsageError(`Too many arguments, expected ${specs.map(spec => spec.label).join(' ')}`);
+  }
+
+  const args = specs.map((spec, index) => {
+    const value = index < values.length ? values[index] : flags[spec.name];
+    if (value === undefined) {
+      if (!spec.optional) {
+        throw new UsageError(`Missing <${kebabCase(spec.name)}>, expected ${specs.map(item => item.label).join(' ')}`);
+      }
+      return undefined;
+    }
+
+    return parseValue(spec, value, currency);
+  });
+
+  // Trailing undefined values let the method use its defaults, the ones in between become null
+  while (args.length > 0 && args[args.length - 1] === undefined) {
+    args.pop();
+  }
+
+  return args.map(arg => arg === undefined ? null : arg);
+}
+
+function parseSpec(spec) {
+  const [head, type] = spec.split(':');
+  const optional = head.endsWith('?');
+  const name = optional ? head.slice(0, -1) : head;
+
+  return {name, type: type || 'string', optional, label: optional ? `[${kebabCase(name)}]` : `<${kebabCase(name)}>`};
+}
+
+function parseValue(spec, value, currency) {
+  switch (spec.type) {
+    case 'money': {
+      let money;
+      try {
+        money = Money.parse(value, currency);
+      } catch (error) {
+        throw new UsageError(`${kebabCase(spec.name)}: ${error.message}`);
+      }
+      if (!money.isPositive()) {
+        throw new UsageError(`${kebabCase(spec.name)} must be more than zero, got "${value}"`);
+      }
+      return money;
+    }
+    case 'int':
+      if (!/^-?\d+$/.test(value)) {
+        throw new UsageError(`${kebabCase(spec.name)} must be an integer, got "${value}"`);
+      }
+      return parseInt(value, 10);
+    case 'json':
+      try {
+        return JSON.parse(value.startsWith('@') ? fs.readFileSync(value.slice(1), 'utf8') : value);
+      } catch (error) {
+        throw new UsageError(`${kebabCase(spec.name)} must be JSON or @file.json: ${error.message}`);
+      }
+    case 'list':
+      return value.split(',').map(item => item.trim()).filter(item => item !== '');
+    default:
+      return value;
+  }
+}
+
+function describeArgs(command, args) {
+  return (command.args || []).map(parseSpec)
+    .map((spec, index) => {
+      const value = args[index];
+      if (value === undefined || value === null) {
+        return null;
+      }
+      return `${kebabCase(spec.name)}=${value instanceof Money ? value.format() : typeof value === 'object' ? JSON.stringify(value) : value}`;
+    })
+    .filter(Boolean)
+    .join(' ');
+}
+
+function confirm(question, stdin, stderr) {
+  if (!stdin.isTTY) {
+    stderr.write('Refusing to move money without a terminal, pass --yes to confirm\n');
+    return Promise.resolve(false);
+  }
+
+  const rl = readline.createInterface({input: stdin, output: stderr});
+  return new Promise(resolve => rl.question(question, answer => {
+    rl.close();
+    resolve(/^y(es)?$/i.test(answer.trim()));
+  }));
+}
+
+/**
+ * Lists become a table with a column per key, the first list found in an object is used,
+ * anything else becomes a key/value table.
+ *
+ * @param {*} data
+ * @returns {string}
+ */
+function formatTable(data) {
+  if (data === null || typeof data !== 'object') {
+    return `${cell(data)}\n`;
+  }
+
+  const listKey = Array.isArray(data) ? null : Object.keys(data).find(key => Array.isArray(data[key]));
+  const rows = Array.isArray(data) ? data : listKey ? data[listKey] : null;
+  if (!rows) {
+    return renderTable(['key', 'value'], Object.keys(data).map(key => [key, cell(data[key])]));
+  }
+
+  const columns = [];
+  rows.forEach(row => Object.keys(row && typeof row === 'object' ? row : {value: row}).forEach(key => {
+    if (columns.indexOf(key) === -1) {
+      columns.push(key);
+    }
+  }));
+
+  const rest = listKey ? Object.keys(data).filter(key => key !== listKey) : [];
+  const meta = rest.length > 0 ? `${rest.map(key => `${key}: ${cell(data[key])}`).join(', ')}\n` : '';
+
+  return renderTable(columns, rows.map(row => columns.map(column => cell(row && typeof row === 'object' ? row[column] : row)))) + meta;
+}
+
+function renderTable(columns, rows) {
+  const widths = columns.map((column, index) => Math.max(column.length, ...rows.map(row => row[index].length)));
+  const line = cells => cells.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+
+  return [line(columns), line(widths.map(width => '-'.repeat(width)))].concat(rows.map(line)).join('\n') + '\n';
+}
+
+function cell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Money) {
+    return value.toString();
+  }
+
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function formatError(error) {
+  if (!(error instanceof TalkBankError)) {
+    return `Error: ${error.message}\n`;
+  }
+
+  const details = ['status', 'code', 'requestId'].filter(key => error[key]).map(key => `${key}: ${error[key]}`);
+  let text = `${error.name}: ${error.message}${details.length > 0 ? ` (${details.join(', ')})` : ''}\n`;
+  if (error instanceof ValidationError) {
+    Object.keys(error.fields).forEach(field => {
+      text += `  ${field}: ${[].concat(error.fields[field]).join(', ')}\n`;
+    });
+  }
+
+  return text;
+}
+
+function usage(domain = null) {
+  const domains = domain && COMMANDS[domain] ? [domain] : Object.keys(COMMANDS);
+  let text = 'Usage: talkbank <domain> <command> [args] [--profile name] [--format json|table] [--yes]\n';
+
+  const synopsis = (command, commandName) => `${commandName} ${(command.args || []).map(parseSpec).map(spec => spec.label).join(' ')}`.trim();
+  const width = Math.max(...domains.map(name => Math.max(...Object.keys(COMMANDS[name])
+    .map(commandName => synopsis(COMMANDS[name][commandName], commandName).length))));
+
+  domains.forEach(name => {
+    text += `\n${name}\n`;
+    Object.keys(COMMANDS[name]).forEach(commandName => {
+      const command = COMMANDS[name][commandName];
+      text += `  ${synopsis(command, commandName).padEnd(width)}  ${command.description}${command.money ? ' (asks to confirm)' : ''}\n`;
+    });
+  });
+
+  return text + '\nAmounts are in major units of the profile currency: 1500.50. JSON arguments take JSON text or @file.json.\n'
+    + 'Credentials come from the profile in ~/.talkbank.json (or TALKBANK_CONFIG),\n'
+    + 'TALKBANK_PARTNER_ID, TALKBANK_TOKEN, TALKBANK_BASE_URL and TALKBANK_ENVIRONMENT override it unless --profile is given.\n';
+}
+
+function camelCase(name) {
+  return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+function kebabCase(name) {
+  return name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+module.exports = {
+  COMMANDS,
+  run,
+  loadProfile,
+  formatTable
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
@@ -0,0 +1,60 @@
+// API roots of the bank environments. Only the sandbox host is documented, the production
+// API root comes with the partner agreement and is passed as a URL.
+const ENVIRONMENTS = {
+  sandbox: 'https://baas_test.talkbank.io/api/v1'
+};
+
+/**
+ * @param {string|null} environment sandbox or an API root URL, sandbox when empty
+ * @returns {string}
+ */
+function environmentUrl(environment = null) {
+  if (!environment) {
+    return ENVIRONMENTS.sandbox;
+  }
+  if (/^https?:\/\//.test(environment)) {
+    return environment;
+  }
+  if (!ENVIRONMENTS[environment]) {
+    throw new TypeError(`Unknown environment ${environment}, use ${Object.keys(ENVIRONMENTS).join(', ')} or the API root URL the bank gave you`);
+  }
+
+  return ENVIRONMENTS[environment];
+}
+
+/**
+ * Credentials of a named partner from env variables, `acme-prod` reads
+ *   TALKBANK_ACME_PROD_PARTNER_ID
+ *   TALKBANK_ACME_PROD_TOKEN           comma separated, newest first, while a token is being rotated
+ *   TALKBANK_ACME_PROD_PREVIOUS_TOKEN  the token being replaced, optional
+ *   TALKBANK_ACME_PROD_ENVIRONMENT     sandbox or an API root URL, optional
+ *
+ * @param {string} name
+ * @param {object} env
+ * @returns {object|null} {partnerId, tokens, environment}, null when the variables are not set
+ */
+function credentialsFromEnv(name, env = process.env) {
+  const prefix = `TALKBANK_${String(name).toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_`;
+  const partnerId = env[`${prefix}PARTNER_ID`];
+  const token = env[`${prefix}TOKEN`];
+  if (!partnerId || !token) {
+    return null;
+  }
+
+  const tokens = token.split(',').map(value => value.trim()).filter(Boolean);
+  if (env[`${prefix}PREVIOUS_TOKEN`]) {
+    tokens.push(env[`${prefix}PREVIOUS_TOKEN`]);
+  }
+
+  return {
+    partnerId: partnerId,
+    tokens: tokens,
+    environment: env[`${prefix}ENVIRONMENT`] || null
+  };
+}
+
+module.exports = {
+  ENVIRONMENTS,
+  environmentUrl,
+  credentialsFromEnv
+};
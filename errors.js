@@ -0,0 +1,156 @@
+/**
+ * Base class for every failed call made through Client.createRequest()
+ */
+class TalkBankError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} details {status, code, requestId, method, httpMethod, path, orderSlug, response, cause}
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = details.status || null;
+    this.code = details.code || null;
+    this.requestId = details.requestId || null;
+    this.method = details.method || null;
+    this.httpMethod = details.httpMethod || null;
+    this.path = details.path || null;
+    this.orderSlug = details.orderSlug || null;
+    this.response = details.response || null;
+    this.cause = details.cause || null;
+  }
+}
+
+// Bad signature, unknown partner or expired token
+class AuthenticationError extends TalkBankError {}
+
+class ValidationError extends TalkBankError {
+  /**
+   * @param {string} message
+   * @param {object} details Same as TalkBankError plus {fields: {name: [messages]}}
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.fields = details.fields || {};
+  }
+}
+
+class NotFoundError extends TalkBankError {}
+
+class InsufficientFundsError extends TalkBankError {}
+
+class RateLimitError extends TalkBankError {
+  /**
+   * @param {string} message
+   * @param {object} details Same as TalkBankError plus {retryAfter: seconds}
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter !== undefined ? details.retryAfter : null;
+  }
+}
+
+// 5xx answer from the bank
+class ServerError extends TalkBankError {}
+
+// No answer at all: timeout, refused or dropped connection
+class TransportError extends TalkBankError {}
+
+// The bank answered with a body the client can not read, e.g. an amount that is not a number
+class ResponseError extends TalkBankError {}
+
+// The payment did not reach a terminal status in time, see Client.waitForPayment()
+class PaymentTimeoutError extends TalkBankError {
+  /**
+   * @param {string} message
+   * @param {object} details Same as TalkBankError plus {lastStatus: last status seen, null if none}
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.lastStatus = details.lastStatus || null;
+  }
+}
+
+/**
+ * Turn an axios rejection into one of the typed errors above
+ *
+ * @param {Error} error
+ * @param {object} context {method, httpMethod, path, orderSlug}
+ * @returns {TalkBankError}
+ */
+function fromAxiosError(error, context = {}) {
+  if (error instanceof TalkBankError) {
+    return error;
+  }
+
+  const details = Object.assign({}, context, {cause: error});
+  const response = error.response;
+  if (!response) {
+    details.code = error.code || null;
+    return new TransportError(`${context.httpMethod} ${context.path} failed: ${error.message}`, details);
+  }
+
+  const body = response.data && typeof response.data === 'object' ? response.data : {};
+  const bankError = body.error && typeof body.error === 'object' ? body.error : body;
+  const headers = response.headers || {};
+
+  details.status = response.status;
+  details.code = bankError.code || bankError.error_code || null;
+  details.requestId = headers['x-request-id'] || null;
+  details.response = response;
+
+  const message = bankError.message || (typeof body.error === 'string' ? body.error : null)
+    || `${context.httpMethod} ${context.path} failed with status ${response.status}`;
+  const code = String(details.code || '').toLowerCase();
+
+  if (response.status === 402 || code.indexOf('insufficient') !== -1) {
+    return new InsufficientFundsError(message, details);
+  }
+  if (response.status === 401 || response.status === 403) {
+    return new AuthenticationError(message, details);
+  }
+  if (response.status === 404) {
+    return new NotFoundError(message, details);
+  }
+  if (response.status === 400 || response.status === 422) {
+    details.fields = bankError.errors || bankError.fields || {};
+    return new ValidationError(message, details);
+  }
+  if (response.status === 429) {
+    details.retryAfter = parseRetryAfter(headers['retry-after']);
+    return new RateLimitError(message, details);
+  }
+  if (response.status >= 500) {
+    return new ServerError(message, details);
+  }
+
+  return new TalkBankError(message, details);
+}
+
+/**
+ * @param {string|undefined} value Retry-After header, seconds or an HTTP date
+ * @returns {number|null} Seconds to wait, 0 for a date gone by, null without a readable value
+ */
+function parseRetryAfter(value) {
+  const text = String(value || '').trim();
+  if (/^\d+$/.test(text)) {
+    return parseInt(text, 10);
+  }
+
+  const time = Date.parse(text);
+  return isNaN(time) ? null : Math.max(0, time - Date.now()) / 1000;
+}
+
+module.exports = {
+  TalkBankError,
+  AuthenticationError,
+  ValidationError,
+  NotFoundError,
+  InsufficientFundsError,
+  RateLimitError,
+  ServerError,
+  TransportError,
+  ResponseError,
+  PaymentTimeoutError,
+  fromAxiosError
+};
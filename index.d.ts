@@ -0,0 +1,1207 @@
+/// <reference types="node" />
+
+import {IncomingMessage, ServerResponse} from 'http';
+
+// Responses
+
+export interface Response<T = any> {
+  status: number;
+  statusText?: string;
+  headers: {[name: string]: string};
+  data: T;
+}
+
+export interface BalanceData {
+  balance: number;
+  [key: string]: any;
+}
+
+export interface CardBalanceData {
+  balance: number;
+  currency?: string;
+  [key: string]: any;
+}
+
+export interface TransactionData {
+  id?: string;
+  client_id?: string;
+  barcode?: string;
+  order_id?: string;
+  order_slug?: string;
+  amount: number;
+  description?: string;
+  date: string;
+  [key: string]: any;
+}
+
+export interface TransactionPageData {
+  page?: number;
+  limit?: number;
+  total?: number;
+  pages?: number;
+  transactions: TransactionData[];
+  [key: string]: any;
+}
+
+export interface CardData {
+  barcode: string;
+  client_id?: string;
+  pan?: string;
+  status?: string;
+  virtual?: boolean;
+  locked?: boolean;
+  balance?: number;
+  [key: string]: any;
+}
+
+export interface CardListData {
+  cards: CardData[];
+  [key: string]: any;
+}
+
+export interface CardLockData {
+  locked: boolean;
+  reason?: string | null;
+  [key: string]: any;
+}
+
+export interface CardStatusData {
+  status: string;
+  [key: string]: any;
+}
+
+export interface CardOrderData {
+  order_id: string;
+  status: string;
+  balance?: number;
+  [key: string]: any;
+}
+
+export interface CardLimitsData {
+  limits: {[period: string]: number};
+  [key: string]: any;
+}
+
+export interface CardPdfData {
+  pdf: string;
+  [key: string]: any;
+}
+
+export interface SubscriptionData {
+  id: string;
+  url: string;
+  events: string[];
+  [key: string]: any;
+}
+
+export interface SubscriptionListData {
+  subscriptions: SubscriptionData[];
+  [key: string]: any;
+}
+
+export interface DeliveryData {
+  id: string;
+  client_id?: string;
+  barcode?: string;
+  status: string;
+  [key: string]: any;
+}
+
+export interface ClientData {
+  client_id: string;
+  status: string;
+  person: Person;
+  [key: string]: any;
+}
+
+export interface PaymentData {
+  order_slug: string;
+  status: string;
+  amount?: number;
+  confirmed?: number;
+  reversed?: number;
+  [key: string]: any;
+}
+
+export interface PaymentFormData {
+  order_slug?: string;
+  form_url?: string;
+  [key: string]: any;
+}
+
+export interface TokenData {
+  token: string;
+  [key: string]: any;
+}
+
+export interface CardTokenData {
+  card_token: string;
+  [key: string]: any;
+}
+
+export interface SelfemploymentData {
+  client_id: string;
+  status: string;
+  [key: string]: any;
+}
+
+// Money
+
+export class Money {
+  static AMOUNT_FIELDS: string[];
+  static parse(value: string | number, currency?: string): Money;
+  static fromMinor(minor: number, currency?: string): Money;
+  /** `unit` is 'major' by default. Throws TypeError for more decimals than the currency has, 10.005 is not rounded */
+  static fromWire(amount: number | string, unit?: 'minor' | 'major', currency?: string): Money;
+  static exponent(currency: string): number;
+  static isMoney(value: any): value is Money;
+  static toRequest<T>(data: T, unit?: 'minor' | 'major', currency?: string): T;
+  static fromResponse<T>(data: T, unit?: 'minor' | 'major', currency?: string): T;
+
+  constructor(minor: number, currency?: string);
+  readonly minor: number;
+  readonly currency: string;
+  toWire(unit?: 'minor' | 'major'): number;
+  toMajor(): number;
+  add(other: Money): Money;
+  subtract(other: Money): Money;
+  multiply(factor: number): Money;
+  allocate(ratios: number[]): Money[];
+  compare(other: Money): -1 | 0 | 1;
+  equals(other: any): boolean;
+  greaterThan(other: Money): boolean;
+  lessThan(other: Money): boolean;
+  isZero(): boolean;
+  isPositive(): boolean;
+  isNegative(): boolean;
+  format(locale?: string): string;
+  toString(): string;
+  toJSON(): {minor: number; currency: string};
+}
+
+/** Plain numbers are sent as they are, Money is converted to the client's amountUnit */
+export type Amount = number | Money;
+
+// Arguments
+
+export interface CardInfo {
+  pan: string;
+  /** MM/YY */
+  expiry: string;
+  cvv: string;
+  [key: string]: any;
+}
+
+export type CardScheme = 'mir' | 'visa' | 'mastercard' | 'amex';
+
+export interface CardInput {
+  /** Spaces and hyphens are allowed */
+  pan: string | number;
+  /** MM/YY, MM/YYYY or MMYY */
+  expiry?: string;
+  expiryMonth?: string | number;
+  expiryYear?: string | number;
+  cvv: string | number;
+}
+
+export namespace cards {
+  /** null for a scheme other than Mir, Visa, Mastercard and American Express */
+  function detectScheme(pan: string | number): CardScheme | null;
+  function isValidLuhn(pan: string | number): boolean;
+  function checkPan(pan: string | number): string[];
+  function checkExpiry(expiry: string, now?: Date): string[];
+  /** 4 digits for amex, 3 for the other known schemes, 3 or 4 when the scheme is not known */
+  function checkCvv(cvv: string | number, scheme?: CardScheme | null): string[];
+  /** Messages prefixed with the key: "pan fails the Luhn check", empty when the card is fine */
+  function validateCardInfo(cardInfo: CardInfo, options?: {now?: Date} | null): string[];
+  /** Normalized cardInfo, throws ValidationError with code local_validation */
+  function buildCardInfo(input: CardInput): CardInfo;
+  /** 220070******1234, or 2200 70** **** 1234 with groups. Numbers under 16 digits keep the last 4 only */
+  function maskPan(pan: string | number, options?: {groups?: boolean} | null): string;
+}
+
+export interface PersonDocument {
+  /** passport (of Russia) by default, other types are not checked in detail */
+  type?: string;
+  series?: string;
+  number?: string;
+  issue_date?: string;
+  issued_by?: string;
+  department_code?: string;
+  [key: string]: any;
+}
+
+export interface PersonAddress {
+  country?: string;
+  postal_code?: string;
+  region?: string;
+  city?: string;
+  street?: string;
+  house?: string;
+  flat?: string;
+  [key: string]: any;
+}
+
+export interface Person {
+  first_name?: string;
+  last_name?: string;
+  middle_name?: string;
+  birth_date?: string;
+  phone?: string;
+  email?: string;
+  inn?: string;
+  snils?: string;
+  document?: PersonDocument;
+  address?: PersonAddress | string;
+  [key: string]: any;
+}
+
+export interface PersonDiff {
+  /** Data for clientEdit(), null when nothing changed */
+  person: Person | null;
+  changes: {field: string; from: any; to: any}[];
+  /** Lines for a KYC audit, document numbers, INN and SNILS masked unless revealed */
+  log: string[];
+}
+
+/** {field: [messages]}, nested fields as document.series, empty when the person is fine */
+export function validatePerson(person: Person, options?: {complete?: boolean} | null): {[field: string]: string[]};
+export function diffPerson(current: any, next: Person, options?: {reveal?: boolean} | null): PersonDiff;
+export function isValidSnils(snils: string | number): boolean;
+export function isE164Phone(phone: string): boolean;
+
+export interface TransferRequisites {
+  account?: string;
+  bik?: string;
+  name?: string;
+  inn?: string | null;
+  description?: string | null;
+}
+
+/** {field: [messages]}, empty when the requisites are fine, paymentToAccount() runs it with `validate: true` */
+export function validateRequisites(requisites: TransferRequisites): {[field: string]: string[]};
+export function isValidBik(bik: string): boolean;
+/** Control key check of a 20 digit account against the BIK of its bank */
+export function isValidAccount(account: string, bik: string): boolean;
+/** 10 digits of an organization or 12 digits of a person, with valid check digits */
+export function isValidInn(inn: string | number): boolean;
+
+export interface DeliveryRequest {
+  [key: string]: any;
+}
+
+export interface IterateOptions {
+  dateFrom?: string | Date | null;
+  /** A date-only '2024-01-31' includes the whole day, up to 23:59:59.999 UTC */
+  dateTo?: string | Date | null;
+  /** Page size */
+  limit?: number;
+  maxItems?: number;
+  /** Longest date range asked in one go, 31 by default */
+  windowDays?: number;
+}
+
+// Transport and middleware
+
+export interface TransportRequest {
+  method: string;
+  url: string;
+  headers: {[name: string]: string};
+  data?: string;
+  timeout?: number;
+}
+
+export type Transport = (request: TransportRequest) => Promise<Response>;
+
+export interface MiddlewareRequest {
+  name: string | null;
+  method: string;
+  path: string;
+  query: {[name: string]: any} | null;
+  data: {[name: string]: any} | null;
+  headers: {[name: string]: string};
+  context: ErrorContext;
+}
+
+export type Middleware = (req: MiddlewareRequest, next: (req?: MiddlewareRequest) => Promise<Response>) => Promise<Response>;
+
+export namespace transports {
+  function axios(instance?: any): Transport;
+  function fetch(fetchFn?: (...args: any[]) => Promise<any>): Transport;
+  function http(options?: {agent?: any} | null): Transport;
+}
+
+export interface RetryOptions {
+  retries?: number;
+  minDelay?: number;
+  maxDelay?: number;
+  factor?: number;
+  jitter?: boolean;
+}
+
+export interface ClientOptions {
+  retry?: boolean | RetryOptions;
+  /** Shared between clients when given as an instance */
+  rateLimit?: boolean | RequestSchedulerOptions | RequestScheduler;
+  transport?: Transport | any;
+  timeout?: number;
+  middleware?: Middleware[];
+  validate?: boolean;
+  /** How amounts go on the wire, 'major' (roubles) by default */
+  amountUnit?: 'minor' | 'major';
+  currency?: string;
+  /** Return amounts in responses as Money */
+  money?: boolean;
+  /** Resolve with camelCase domain objects from `models` instead of responses, see Client.withModels() */
+  models?: boolean;
+  /** Write a redacted record of every request, see `audit` */
+  audit?: AuditOptions;
+}
+
+// Audit
+
+export interface AuditRecord {
+  time: string;
+  method: string | null;
+  httpMethod: string;
+  path: string;
+  orderSlug: string | null;
+  status: number | null;
+  ok: boolean;
+  latency: number | null;
+  error: {name: string; code: string | null; message: string} | null;
+  context: any;
+  request?: {query: any; data: any};
+  response?: any;
+}
+
+export type AuditSink = ((record: AuditRecord) => any) | {write(record: AuditRecord): any};
+
+export interface AuditOptions {
+  /** Required, nothing is logged to the console unless sinks.console() is passed */
+  sinks: AuditSink | AuditSink[];
+  /** Who made the call, e.g. read from AsyncLocalStorage */
+  context?: {[name: string]: any} | ((req: MiddlewareRequest) => any);
+  /** Log redacted request and response bodies, true by default */
+  bodies?: boolean;
+  /** More keys to drop from bodies */
+  keys?: string[];
+  onError?: (error: Error, record: AuditRecord) => void;
+}
+
+export namespace audit {
+  function middleware(options: AuditOptions): Middleware;
+  /** Copy of a payload with card numbers masked, CVV and PIN dropped and passport data replaced */
+  function redact<T>(value: T, options?: {keys?: string[]} | null): T;
+  /** 220070******1234, numbers under 16 digits keep the last 4 only */
+  function maskPan(pan: string | number): string;
+  namespace sinks {
+    function console(logger?: {info(message: string): void; warn(message: string): void}): AuditSink;
+    function file(path: string): ((record: AuditRecord) => Promise<void>) & {close(): Promise<void>};
+  }
+}
+
+export class RetryPolicy {
+  constructor(options?: RetryOptions | null);
+  retries: number;
+  execute<T>(send: () => Promise<T>, httpMethod: string, recover?: (() => Promise<any>) | null): Promise<T>;
+  isRetryable(error: Error): boolean;
+  /** Whether a status lookup shows an order the bank took: success, hold or pending */
+  isAccepted(lookup: any): boolean;
+  delay(attempt: number, error: Error): number;
+}
+
+// Domain models, returned instead of responses with the `models` option.
+// Typed loosely: the fields are the camelCase response fields, amounts are Money with the `money` option.
+
+export namespace models {
+  class Model {
+    constructor(data: any, response?: Response | null);
+    /** Body as the bank sent it */
+    readonly raw: any;
+    readonly response: Response | null;
+    [key: string]: any;
+  }
+  class Balance extends Model {
+    balance: number | Money;
+    currency?: string;
+  }
+  class Card extends Model {
+    barcode: string;
+    clientId?: string;
+    pan?: string;
+    status?: string;
+    locked?: boolean;
+    balance?: number | Money;
+  }
+  class Client extends Model {
+    clientId: string;
+    status: string;
+  }
+  class Transaction extends Model {
+    id?: string;
+    amount: number | Money;
+    date: Date;
+    orderSlug?: string;
+  }
+  class Page extends Model {
+    items: Transaction[];
+    page?: number;
+    limit?: number;
+    total?: number;
+    pages?: number;
+  }
+  class Payment extends Model {
+    orderSlug: string;
+    status: string;
+    /** Normalized status */
+    state: NormalizedPaymentStatus;
+    amount?: number | Money;
+  }
+  class Hold extends Payment {}
+  class Delivery extends Model {
+    id: string;
+    status: string;
+  }
+  class Subscription extends Model {
+    id: string;
+    url: string;
+    events: string[];
+  }
+  type ModelList<T> = T[] & {readonly raw: any; readonly response: Response | null};
+  function toModel(method: string | null, response: Response): Model | ModelList<Model>;
+}
+
+// Rate limiting
+
+export type RequestPriority = 'high' | 'normal' | 'low';
+
+export interface RateLimitOptions {
+  /** Requests per second */
+  rate?: number;
+  /** Requests allowed at once before the rate applies, rate by default */
+  burst?: number;
+  /** Requests in flight */
+  concurrency?: number;
+}
+
+export interface RequestGroupOptions extends RateLimitOptions {
+  /** Client method names */
+  methods?: string[];
+  /** Matched against the path relative to baseUrl */
+  match?: RegExp;
+}
+
+export interface RequestSchedulerOptions extends RateLimitOptions {
+  groups?: {[name: string]: RequestGroupOptions};
+  /** Lane by client method, card locks are 'high' by default */
+  priorities?: {[method: string]: RequestPriority};
+  /** Seconds to pause on a 429 without Retry-After, 1 by default */
+  retryAfter?: number;
+}
+
+export class RequestScheduler {
+  static PRIORITIES: RequestPriority[];
+  constructor(options?: RequestSchedulerOptions | null);
+  readonly pending: number;
+  schedule<T>(task: () => Promise<T>, request?: {name?: string | null; path?: string; priority?: RequestPriority | null}): Promise<T>;
+}
+
+// Payment status
+
+export type NormalizedPaymentStatus = 'pending' | 'hold' | 'success' | 'failed' | 'reversed';
+
+export interface PaymentStatus {
+  status: NormalizedPaymentStatus;
+  rawStatus: string | null;
+  orderSlug: string | null;
+  hash: string | null;
+  data: PaymentData;
+  response: Response<PaymentData>;
+}
+
+export interface WaitForPaymentOptions {
+  timeout?: number;
+  interval?: number;
+  maxInterval?: number;
+  factor?: number;
+  terminal?: NormalizedPaymentStatus[];
+  signal?: AbortSignal;
+  onStatus?: (status: PaymentStatus, previous: PaymentStatus | null) => void;
+}
+
+export function normalizePaymentStatus(status: string | null | undefined): NormalizedPaymentStatus;
+
+// Errors
+
+export interface ErrorContext {
+  method: string | null;
+  httpMethod: string;
+  path: string;
+  orderSlug: string | null;
+}
+
+export class TalkBankError extends Error {
+  status: number | null;
+  code: string | null;
+  requestId: string | null;
+  method: string | null;
+  httpMethod: string | null;
+  path: string | null;
+  orderSlug: string | null;
+  response: Response | null;
+  cause: Error | null;
+}
+export class AuthenticationError extends TalkBankError {}
+export class ValidationError extends TalkBankError {
+  fields: {[field: string]: string[]};
+}
+export class NotFoundError extends TalkBankError {}
+export class InsufficientFundsError extends TalkBankError {}
+export class RateLimitError extends TalkBankError {
+  retryAfter: number | null;
+}
+export class ServerError extends TalkBankError {}
+export class TransportError extends TalkBankError {}
+/** An answer the client can not read, code invalid_amount for an amount that is not a number */
+export class ResponseError extends TalkBankError {}
+export class PaymentTimeoutError extends TalkBankError {
+  lastStatus: PaymentStatus | null;
+}
+export function fromAxiosError(error: any, context?: Partial<ErrorContext>): TalkBankError;
+
+// Signing
+
+export interface SignableRequest {
+  method: string;
+  path?: string;
+  query?: string;
+  url?: string;
+  headers?: {[name: string]: string | string[] | undefined};
+  body?: string;
+}
+
+export class Signer {
+  static ALGORITHM: string;
+  static SignatureError: typeof SignatureError;
+
+  constructor(partnerId: string, token: string, options?: {headers?: string[]; tolerance?: number} | null);
+  partnerId: string;
+  sign(request: SignableRequest): {date: string; 'tb-content-sha256': string; Authorization: string};
+  authorization(request: SignableRequest): string;
+  signature(request: SignableRequest): string;
+  canonicalString(request: SignableRequest): string;
+  /** @throws SignatureError */
+  verify(request: SignableRequest): void;
+}
+
+export class SignatureError extends Error {}
+
+// Webhooks
+
+export type WebhookListener = (payload: any, event: string) => any;
+
+export class WebhookVerificationError extends Error {
+  statusCode: number;
+}
+
+export class WebhookHandler {
+  static EVENT_CARD_TRANSACTION: string;
+  static EVENT_PAYMENT_STATUS: string;
+  static EVENT_DELIVERY_STATUS: string;
+  static EVENT_CLIENT_STATUS: string;
+  static VerificationError: typeof WebhookVerificationError;
+
+  /** @param token One token, or several while a token is being rotated */
+  constructor(partnerId: string, token: string | string[], options?: {tolerance?: number} | null);
+  signer: Signer;
+  signers: Signer[];
+  on(event: string, handler: WebhookListener): this;
+  verify(method: string, url: string, headers: {[name: string]: any}, body: string): void;
+  handle(method: string, url: string, headers: {[name: string]: any}, body: string): Promise<any>;
+  dispatch(payload: any): Promise<void>;
+  middleware(): (req: IncomingMessage, res: ServerResponse, next?: (error?: any) => void) => void;
+}
+
+// Webhook inbox
+
+export interface InboxRecord {
+  id: string;
+  /** Deduplication key */
+  key: string;
+  /** Events with the same partition are processed in order: card:<barcode>, order:<order_slug> */
+  partition: string | null;
+  seq: number;
+  event: string | null;
+  payload: any;
+  status: 'pending' | 'done' | 'failed' | 'dead';
+  attempts: number;
+  lastError: string | null;
+  receivedAt: string;
+  nextAttemptAt: string | null;
+  processedAt: string | null;
+  replayedAt?: string;
+}
+
+export interface InboxQuery {
+  statuses?: InboxRecord['status'][];
+  from?: Date | string;
+  to?: Date | string;
+}
+
+export interface InboxStorage {
+  add(record: InboxRecord): Promise<boolean>;
+  update(record: InboxRecord): Promise<void>;
+  list(query?: {statuses?: InboxRecord['status'][]; from?: string; to?: string} | null): Promise<InboxRecord[]>;
+}
+
+export class MemoryInboxStorage implements InboxStorage {
+  add(record: InboxRecord): Promise<boolean>;
+  update(record: InboxRecord): Promise<void>;
+  list(query?: {statuses?: InboxRecord['status'][]; from?: string; to?: string} | null): Promise<InboxRecord[]>;
+}
+
+export class FileInboxStorage extends MemoryInboxStorage {
+  /** onCorrupt is called for a line that is not JSON, after it was moved to `{path}.corrupt` */
+  constructor(path: string, options?: {onCorrupt?: (error: Error, line: string) => void} | null);
+  path: string;
+  /** Rewrite the file with the latest version of every record */
+  compact(): Promise<void>;
+}
+
+export interface WebhookInboxOptions {
+  storage?: InboxStorage;
+  /** Handler runs before an event is dead, 5 by default */
+  attempts?: number;
+  /** ms before the first retry, doubled on every next one, 1000 by default */
+  delay?: number;
+  maxDelay?: number;
+  /** Cards and orders processed at once, 4 by default */
+  concurrency?: number;
+  onError?: (error: any, record: InboxRecord | null) => void;
+}
+
+export class WebhookInbox {
+  static MemoryStorage: typeof MemoryInboxStorage;
+  static FileStorage: typeof FileInboxStorage;
+  constructor(handler: WebhookHandler, options?: WebhookInboxOptions | null);
+  handler: WebhookHandler;
+  storage: InboxStorage;
+  receive(method: string, url: string, headers: {[name: string]: any}, body: string): Promise<{record: InboxRecord | null; duplicate: boolean}>;
+  store(payload: any, body?: string | null): Promise<{record: InboxRecord | null; duplicate: boolean}>;
+  /** Process the events left pending or failed, e.g. after a restart */
+  start(): this;
+  stop(): Promise<void>;
+  /** Process stored events again, resolves with how many */
+  replay(query?: InboxQuery & {event?: string} | null): Promise<number>;
+  list(query?: InboxQuery | null): Promise<InboxRecord[]>;
+  middleware(): (req: IncomingMessage, res: ServerResponse, next?: (error?: any) => void) => void;
+}
+
+// Fake server
+
+export interface FakeServerFailure {
+  method?: string;
+  path?: string | RegExp;
+  status?: number;
+  body?: any;
+  network?: boolean;
+  processed?: boolean;
+  times?: number;
+}
+
+export class FakeServer {
+  constructor(partnerId: string, token: string, options?: {port?: number; host?: string; balance?: number} | null);
+  url: string | null;
+  state: {[collection: string]: any};
+  requests: Array<{method: string; path: string; query: string; headers: {[name: string]: any}; body: string}>;
+  start(): Promise<this>;
+  stop(): Promise<void>;
+  reset(): void;
+  failNext(failure: FakeServerFailure): this;
+  fireEvent(event: string, payload?: object): Promise<Array<{url: string; status: number | null}>>;
+  addCardTransaction(clientId: string, barcode: string, transaction: Partial<TransactionData>): TransactionData;
+  setPaymentStatus(orderSlug: string, status: string): PaymentData;
+}
+
+// Holds
+
+export type HoldStatus = 'pending' | 'authorized' | 'partially_captured' | 'captured' | 'reversed';
+
+export interface HoldState {
+  orderSlug: string;
+  currency: string;
+  amount: Money;
+  captured: Money;
+  released: Money;
+  remaining: Money;
+  status: HoldStatus;
+  captures: Array<{amount: Money; at: string}>;
+  reversals: Array<{amount: Money; at: string}>;
+  createdAt: string;
+  updatedAt: string;
+  error?: Error;
+}
+
+/** A hold as the storage keeps it, amounts in integer minor units of `currency` */
+export interface HoldRecord {
+  orderSlug: string;
+  currency: string;
+  amount: number;
+  captured: number;
+  released: number;
+  status: HoldStatus;
+  captures: Array<{amount: number; at: string}>;
+  reversals: Array<{amount: number; at: string}>;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface HoldStorage {
+  get(orderSlug: string): Promise<HoldRecord | null>;
+  set(orderSlug: string, record: HoldRecord): Promise<void>;
+  list(): Promise<HoldRecord[]>;
+}
+
+export class HoldStateError extends Error {
+  orderSlug: string | null;
+}
+
+export class HoldManager {
+  static MemoryStorage: {new(): HoldStorage};
+  static StateError: typeof HoldStateError;
+
+  constructor(client: Client, options?: {storage?: HoldStorage; expiry?: number} | null);
+  create(amount: Amount, options?: {orderSlug?: string; cardInfo?: CardInfo; cardRefId?: string; redirectUrl?: string} | null): Promise<HoldState>;
+  createWithForm(clientId: string, redirectUrl: string, amount: Amount, options?: {orderSlug?: string; cardToken?: string} | null): Promise<HoldState>;
+  confirm(orderSlug: string, amount?: Amount | null): Promise<HoldState>;
+  reverse(orderSlug: string, amount?: Amount | null): Promise<HoldState>;
+  refresh(orderSlug: string): Promise<HoldState>;
+  state(orderSlug: string): Promise<HoldState | null>;
+  list(): Promise<HoldState[]>;
+  /** Pending holds are refreshed first, failures come back with an `error` */
+  reverseExpired(): Promise<Array<HoldState & {error?: Error}>>;
+  start(interval?: number): this;
+  stop(): void;
+}
+
+// Browser client
+
+export interface PublicClientOptions {
+  /** Defaults to the global fetch */
+  fetch?: (url: string, init?: any) => Promise<any>;
+  timeout?: number;
+  validate?: boolean;
+  amountUnit?: 'minor' | 'major';
+  currency?: string;
+  money?: boolean;
+}
+
+export class PublicClient {
+  /** @param baseUrl Bank host, a path is ignored */
+  constructor(baseUrl?: string | null, options?: PublicClientOptions | null);
+  origin: string;
+  options: PublicClientOptions;
+
+  unsignedPaymentFromUnregisteredCard(token: string, amount: Amount, cardInfo: CardInfo): Promise<Response<PaymentData>>;
+  unsignedPaymentToUnregisteredCard(token: string, cardNumber: string): Promise<Response<PaymentData>>;
+  unsignedPaymentAuthorization(token: string, cardInfo: CardInfo): Promise<Response<CardTokenData>>;
+  unsignedHold(token: string, cardInfo: CardInfo): Promise<Response<PaymentData>>;
+  unsignedPaymentStatusByHash(hash: string): Promise<Response<PaymentData>>;
+  waitForPaymentByHash(hash: string, options?: WaitForPaymentOptions | null): Promise<PaymentStatus>;
+}
+
+// Export
+
+export interface ExportColumn {
+  header: string;
+  value: (record: TransactionData) => any;
+}
+
+export interface ExportOptions extends IterateOptions {
+  /** 'cards' (accountCardsTransactions) by default */
+  source?: 'account' | 'cards' | 'card';
+  format?: 'csv' | 'jsonl' | 'ofx' | 'qif';
+  bank?: string;
+  /** Cards of the 'card' source */
+  cards?: Array<{clientId: string; barcode: string}>;
+  clientIds?: string[];
+  barcodes?: string[];
+  filter?: (record: TransactionData) => boolean;
+  /** IANA zone dates are written in, 'UTC' by default */
+  timeZone?: string;
+  /** Zone of bank dates without an offset, 'UTC' by default */
+  sourceTimeZone?: string;
+  currency?: string;
+  columns?: Array<string | ExportColumn>;
+  delimiter?: string;
+  bom?: boolean;
+  /** OFX ACCTID */
+  account?: string;
+  /** OFX BANKID */
+  bankId?: string;
+  /** OFX LEDGERBAL */
+  balance?: Amount;
+}
+
+export function exportTransactions(client: Client, output: NodeJS.WritableStream, options?: ExportOptions | null): Promise<{count: number}>;
+export function createTransactionStream(client: Client, options?: ExportOptions | null): NodeJS.ReadableStream;
+
+// Reconciliation
+
+export interface ExpectedOrder {
+  orderSlug?: string;
+  order_slug?: string;
+  amount: Amount;
+  currency?: string;
+  [key: string]: any;
+}
+
+export interface ReconciliationItem {
+  orderSlug: string;
+  expected: Money | null;
+  /** Signed sum as the bank has it */
+  actual: Money | null;
+  /** 'transactions', 'cards-transactions' or 'paymentStatus' */
+  source: string | null;
+  status: NormalizedPaymentStatus | null;
+  rawStatus: string | null;
+  /** History records of the order are in more than one currency, `actual` is the sum of the first one only */
+  mixedCurrencies?: boolean;
+  /** Why paymentStatus() failed, items of `errors` only */
+  error?: Error;
+  orders?: ExpectedOrder[];
+  transactions?: TransactionData[];
+}
+
+export interface ReconciliationReport {
+  matched: ReconciliationItem[];
+  amountMismatch: ReconciliationItem[];
+  missingAtBank: ReconciliationItem[];
+  pending: ReconciliationItem[];
+  /** paymentStatus() failed for these, e.g. a 5xx or a timeout */
+  errors: ReconciliationItem[];
+  unknownAtBank: ReconciliationItem[];
+  summary: {
+    expected: number;
+    bankTransactions: number;
+    withoutOrderSlug: number;
+    matched: number;
+    amountMismatch: number;
+    missingAtBank: number;
+    pending: number;
+    errors: number;
+    unknownAtBank: number;
+  };
+  dateFrom: string | Date | null;
+  dateTo: string | Date | null;
+  generatedAt: string;
+}
+
+export interface ReconcilerOptions {
+  sources?: Array<'transactions' | 'cards-transactions'>;
+  lookupStatus?: boolean;
+  concurrency?: number;
+}
+
+export class Reconciler {
+  constructor(client: Client, options?: ReconcilerOptions | null);
+  reconcile(orders: Iterable<ExpectedOrder> | AsyncIterable<ExpectedOrder>, options?: IterateOptions | null): Promise<ReconciliationReport>;
+}
+
+// Subscription sync
+
+export interface DesiredSubscription {
+  url: string;
+  events?: string[];
+}
+
+export interface SubscriptionPlan {
+  create: {url: string; events: string[]}[];
+  remove: {id: string; url: string; events: string[]; reason: 'not_desired' | 'events_changed' | 'duplicate'}[];
+  keep: {id: string; url: string; events: string[]}[];
+}
+
+export interface SyncSubscriptionsOptions {
+  /** Only plan the changes */
+  dryRun?: boolean;
+  /** Remove subscriptions to URLs not in the list, true by default */
+  prune?: boolean;
+}
+
+export interface SyncSubscriptionsReport {
+  dryRun: boolean;
+  plan: SubscriptionPlan;
+  created: SubscriptionData[];
+  removed: SubscriptionPlan['remove'];
+  failed: {action: 'create' | 'remove'; url: string; id: string | null; error: Error}[];
+  ok: boolean;
+}
+
+export function planSubscriptions(current: SubscriptionData[], desired: DesiredSubscription[], options?: {prune?: boolean} | null): SubscriptionPlan;
+
+// Card issuance
+
+export type CardIssuanceStep = 'create' | 'delivery' | 'activate' | 'activation' | 'pin' | 'limits' | 'details' | 'lock';
+
+export interface CardIssuanceProgress {
+  step: CardIssuanceStep;
+  status: 'started' | 'done' | 'failed' | 'skipped';
+  clientId: string;
+  barcode: string | null;
+  data: any;
+  error: Error | null;
+}
+
+export interface CardIssuerOptions {
+  /** ms to wait for cardActivation() to report the card active, 60000 by default */
+  activationTimeout?: number;
+  /** ms between cardActivation() calls, 2000 by default */
+  interval?: number;
+  /** Reason passed to cardLock() when a step fails, 'issuance_failed' by default */
+  lockReason?: string;
+  onProgress?: (progress: CardIssuanceProgress) => void;
+}
+
+export interface IssueCardOptions extends CardIssuerOptions {
+  pin?: string | number;
+  /** Physical cards only, true sets the card up right after the delivery is ordered, false by default */
+  activate?: boolean;
+}
+
+export interface IssuedCard {
+  clientId: string;
+  barcode: string | null;
+  virtual: boolean;
+  delivery: DeliveryData | null;
+  card: CardData | null;
+  limits: CardLimitsData | null;
+  steps: {step: CardIssuanceStep; status: string; at: string}[];
+}
+
+export class CardIssuanceError extends Error {
+  step: CardIssuanceStep;
+  clientId: string;
+  barcode: string | null;
+  steps: IssuedCard['steps'];
+  cause: Error | null;
+  /** Whether the half set up card was locked */
+  locked: boolean;
+  lockError: Error | null;
+}
+
+export class CardIssuer {
+  static IssuanceError: typeof CardIssuanceError;
+  constructor(client: Client, options?: CardIssuerOptions | null);
+  issueVirtual(clientId: string, options?: IssueCardOptions | null): Promise<IssuedCard>;
+  issuePhysical(clientId: string, delivery: DeliveryRequest, options?: IssueCardOptions | null): Promise<IssuedCard>;
+  /** Set up a delivered physical card */
+  setUp(clientId: string, barcode: string, options?: IssueCardOptions | null): Promise<IssuedCard>;
+  waitForActivation(clientId: string, barcode: string, activated?: {status?: string} | null): Promise<{status: string; [key: string]: any}>;
+}
+
+// Environments
+
+/** The production API root has no name, pass the URL from the partner agreement */
+export type Environment = 'sandbox';
+
+export const ENVIRONMENTS: {[name in Environment]: string};
+/** API root of an environment, a URL is returned as is, sandbox when empty */
+export function environmentUrl(environment?: Environment | string | null): string;
+export function credentialsFromEnv(name: string, env?: {[name: string]: string | undefined}): {partnerId: string; tokens: string[]; environment: string | null} | null;
+
+export interface PartnerCredentials {
+  partnerId?: string;
+  token?: string;
+  /** Newest first */
+  tokens?: string[];
+  environment?: Environment | string;
+  baseUrl?: string;
+}
+
+export interface PartnerConfig extends PartnerCredentials {
+  options?: ClientOptions;
+}
+
+export interface ClientPoolOptions {
+  partners?: {[name: string]: PartnerConfig};
+  secrets?: (name: string, partner: PartnerConfig) => Promise<PartnerCredentials | null> | PartnerCredentials | null;
+  env?: {[name: string]: string | undefined} | false;
+  tenants?: {[tenantId: string]: string} | ((tenantId: string) => string | null | undefined);
+  defaults?: ClientOptions;
+  refreshInterval?: number;
+}
+
+export class ClientPool {
+  constructor(options?: ClientPoolOptions | null);
+  get(name: string): Promise<Client>;
+  forTenant(tenantId: string): Promise<Client>;
+  refresh(name: string): Promise<Client>;
+  rotate(name: string, tokens: string | string[]): Promise<Client>;
+  remove(name: string): void;
+  names(): string[];
+  credentials(name: string): Promise<{partnerId: string; tokens: string[]; baseUrl: string}>;
+}
+
+// Client
+
+export class Client {
+  /**
+   * @param token One token, or several newest first while a token is being rotated
+   * @param baseUrl API root URL or an environment name, sandbox by default
+   */
+  constructor(partnerId: string, token: string | string[], baseUrl?: Environment | string | null, options?: ClientOptions | null);
+
+  partnerId: string;
+  baseUrl: string;
+  /** Signer of the token in use */
+  readonly signer: Signer;
+  readonly token: string;
+  readonly tokens: string[];
+  options: ClientOptions;
+  retryPolicy: RetryPolicy | null;
+  scheduler: RequestScheduler | null;
+  priority: RequestPriority | null;
+  models: boolean;
+
+  use(middleware: Middleware): this;
+  /** Replace the tokens, views of the client get them as well */
+  setToken(token: string | string[]): this;
+  /** The same client with requests queued in another lane of the rate limiter */
+  withPriority(priority: RequestPriority): this;
+  /** The same client resolving with domain objects or with plain responses */
+  withModels(enabled?: boolean): this;
+  createRequest(url: string, method?: string, data?: object | null, query?: object | null, options?: object | null): Promise<Response>;
+  /** @deprecated */
+  getSignature(config: {method: string; headers: object}, query: string, url: string): string;
+
+  // Account
+  accountBalance(): Promise<Response<BalanceData>>;
+  accountTransactions(): Promise<Response<TransactionPageData>>;
+  getAccountHistory(dateFrom?: string | null, dateTo?: string | null, bank?: string | null, limit?: number | null, page?: number | null): Promise<Response<TransactionPageData>>;
+  iterateAccountHistory(options?: IterateOptions & {bank?: string} | null): AsyncIterableIterator<TransactionData>;
+  accountCardsTransactions(fromDate: string | null, toDate: string | null, page?: number, limit?: number): Promise<Response<TransactionPageData>>;
+  iterateAccountCardsTransactions(options?: IterateOptions | null): AsyncIterableIterator<TransactionData>;
+
+  // Cards
+  cardTransactions(clientId: string, barcode: string, dateFrom?: string | null, dateTo?: string | null, limit?: number | null, page?: number | null): Promise<Response<TransactionPageData>>;
+  iterateCardTransactions(clientId: string, barcode: string, options?: IterateOptions | null): AsyncIterableIterator<TransactionData>;
+  cardList(clientId: string): Promise<Response<CardListData>>;
+  cardDetails(clientId: string, barcode: string): Promise<Response<CardData>>;
+  cardOrderStatus(clientId: string, barcode: string, orderId: string): Promise<Response<PaymentData>>;
+  cardBalance(clientId: string, barcode: string): Promise<Response<CardBalanceData>>;
+  cardLockStatus(clientId: string, barcode: string): Promise<Response<CardLockData>>;
+  cardLock(clientId: string, barcode: string, reason?: string | null): Promise<Response<CardLockData>>;
+  cardUnlock(clientId: string, barcode: string): Promise<Response<CardLockData>>;
+  cardActivateVirtual(clientId: string): Promise<Response<{barcode: string; [key: string]: any}>>;
+  cardActivate(clientId: string, barcode: string): Promise<Response<CardStatusData>>;
+  cardActivation(clientId: string, barcode: string): Promise<Response<CardStatusData>>;
+  cardCvv(clientId: string, barcode: string): Promise<Response<{status: string; [key: string]: any}>>;
+  cardCardholderData(clientId: string, barcode: string): Promise<Response<{person: Person; [key: string]: any}>>;
+  cardLimits(clientId: string, barcode: string): Promise<Response<CardLimitsData>>;
+  cardRefill(clientId: string, barcode: string, amount: Amount, orderId?: string | null): Promise<Response<CardOrderData>>;
+  cardWithdrawal(clientId: string, barcode: string, amount: Amount, orderId?: string | null): Promise<Response<CardOrderData>>;
+  setCardPin(clientId: string, barcode: string, pinCode: number | string): Promise<Response<{status: string; [key: string]: any}>>;
+  cardPdf(clientId: string, barcode: string): Promise<Response<CardPdfData>>;
+
+  // Card2card
+  createPaymentLink(clientId: string): Promise<Response>;
+  getPaymentLinkStatus(clientId: string, paymentId: string): Promise<Response>;
+
+  // Event subscriptions
+  eventSubscriptionList(): Promise<Response<SubscriptionListData>>;
+  eventSubscriptionStore(url: string, events?: string[] | null): Promise<Response<SubscriptionData>>;
+  eventSubscriptionRemove(subscriptionId: string): Promise<Response<{status: string; [key: string]: any}>>;
+  /** Create and remove subscriptions until the bank has the desired ones */
+  syncSubscriptions(desired: DesiredSubscription[], options?: SyncSubscriptionsOptions | null): Promise<SyncSubscriptionsReport>;
+
+  // Deliveries
+  cardDeliveryStore(clientId: string, data: DeliveryRequest): Promise<Response<DeliveryData>>;
+  cardDeliveryShow(clientId: string, deliveryId: string): Promise<Response<DeliveryData>>;
+  /** Create, activate and set up a virtual card, a card left half set up is locked */
+  issueVirtualCard(clientId: string, options?: IssueCardOptions | null): Promise<IssuedCard>;
+  issuePhysicalCard(clientId: string, delivery: DeliveryRequest, options?: IssueCardOptions | null): Promise<IssuedCard>;
+  setUpDeliveredCard(clientId: string, barcode: string, options?: IssueCardOptions | null): Promise<IssuedCard>;
+
+  // Clients
+  clientStore(clientId: string, person: Person): Promise<Response<ClientData>>;
+  clientEdit(clientId: string, person: Person): Promise<Response<ClientData>>;
+  clientShow(clientId: string): Promise<Response<ClientData>>;
+  /** clientEdit() with only the fields that differ from clientShow() */
+  clientUpdate(clientId: string, person: Person, options?: {reveal?: boolean} | null): Promise<PersonDiff & {changed: boolean; response: Response<ClientData> | null}>;
+
+  // Hold
+  hold(amount?: Amount | null, orderSlug?: string | null, cardInfo?: CardInfo | null, cardRefId?: string | null, redirectUrl?: string | null): Promise<Response<PaymentData>>;
+  holdWithForm(clientId: string, redirectUrl: string, amount: Amount, orderSlug?: string | null, cardToken?: string | null): Promise<Response<PaymentFormData>>;
+  holdConfirm(orderSlug: string, amount?: Amount | null): Promise<Response<PaymentData>>;
+  holdReverse(orderSlug: string, amount?: Amount | null): Promise<Response<PaymentData>>;
+
+  // Payment
+  paymentFromUnregisteredCard(clientId: string, amount: Amount, cardInfo: CardInfo, redirectUrl?: string | null, orderSlug?: string | null): Promise<Response<PaymentData>>;
+  paymentFromUnregisteredCardToken(clientId: string, redirectUrl: string, amount: Amount): Promise<Response<TokenData>>;
+  paymentToUnregisteredCardToken(clientId: string, amount: Amount, orderSlug?: string | null): Promise<Response<TokenData>>;
+  paymentFromUnregisteredCardWithForm(clientId: string, amount: Amount, orderSlug?: string | null, redirectUrl?: string | null): Promise<Response<PaymentFormData>>;
+  paymentFromRegisteredCard(clientId: string, amount: Amount, cardToken: string, orderSlug?: string | null): Promise<Response<PaymentData>>;
+  paymentAuthorization(clientId: string, cardInfo: CardInfo, redirectUrl?: string | null): Promise<Response<CardTokenData>>;
+  paymentAuthorizationToken(clientId: string, redirectUrl?: string | null): Promise<Response<TokenData>>;
+  paymentAuthorizationWithForm(clientId: string, redirectUrl?: string | null, orderSlug?: string | null): Promise<Response<PaymentFormData>>;
+  paymentToRegisteredCard(clientId: string, cardToken: string, amount: Amount, orderSlug?: string | null): Promise<Response<PaymentData>>;
+  paymentToAccount(amount: Amount, account: string, bik: string, name: string, inn?: string | null, description?: string | null, orderSlug?: string | null): Promise<Response<PaymentData>>;
+  paymentToUnregisteredCard(cardNumber: string, amount?: Amount | null, orderSlug?: string | null): Promise<Response<PaymentData>>;
+  paymentToUnregisteredCardWithForm(clientId: string, amount: Amount, orderSlug?: string | null, redirectUrl?: string | null): Promise<Response<PaymentFormData>>;
+  paymentStatus(orderSlug: string): Promise<Response<PaymentData>>;
+  waitForPayment(orderSlug: string, options?: WaitForPaymentOptions | null): Promise<PaymentStatus>;
+
+  // Self-employment
+  selfemploymentsRegistrationStatus(clientId: string): Promise<Response<SelfemploymentData>>;
+
+  // Client side
+  unsignedPaymentFromUnregisteredCard(token: string, amount: Amount, cardInfo: CardInfo): Promise<Response<PaymentData>>;
+  unsignedPaymentToUnregisteredCard(token: string, cardNumber: string): Promise<Response<PaymentData>>;
+  unsignedPaymentAuthorization(token: string, cardInfo: CardInfo): Promise<Response<CardTokenData>>;
+  unsignedHold(token: string, cardInfo: CardInfo): Promise<Response<PaymentData>>;
+  unsignedPaymentStatusByHash(hash: string): Promise<Response<PaymentData>>;
+  waitForPaymentByHash(hash: string, options?: WaitForPaymentOptions | null): Promise<PaymentStatus>;
+
+  // Deprecated synonyms
+  /** @deprecated Use accountBalance() */
+  getAccountBalance(): Promise<Response<BalanceData>>;
+  /** @deprecated Use cardTransactions() */
+  getCardHistory(clientId: string, ean: string, dateFrom?: string | null, dateTo?: string | null, limit?: number | null, page?: number | null): Promise<Response<TransactionPageData>>;
+  /** @deprecated Use cardList() */
+  getClientsCards(clientId: string): Promise<Response<CardListData>>;
+  /** @deprecated Use cardDetails() */
+  getCardInfo(clientId: string, ean: string): Promise<Response<CardData>>;
+  /** @deprecated Use cardBalance() */
+  getCardBalance(clientId: string, ean: string): Promise<Response<CardBalanceData>>;
+  /** @deprecated Use cardLock() */
+  blockCard(clientId: string, ean: string, reason?: string | null): Promise<Response<CardLockData>>;
+  /** @deprecated Use cardUnlock() */
+  unblockCard(clientId: string, ean: string): Promise<Response<CardLockData>>;
+  /** @deprecated Use cardActivateVirtual() */
+  createVirtualCard(clientId: string): Promise<Response<{barcode: string; [key: string]: any}>>;
+  /** @deprecated Use cardActivate() */
+  activateCard(clientId: string, ean: string): Promise<Response<CardStatusData>>;
+  /** @deprecated Use cardActivation() */
+  getActivationStatus(clientId: string, ean: string): Promise<Response<CardStatusData>>;
+  /** @deprecated Use cardCvv() */
+  getSecurityCode(clientId: string, ean: string): Promise<Response>;
+  /** @deprecated Use cardRefill() */
+  refillCard(clientId: string, ean: string): Promise<Response<CardOrderData>>;
+  /** @deprecated Use cardWithdrawal() */
+  refillAccount(clientId: string, ean: string): Promise<Response<CardOrderData>>;
+  /** @deprecated Use eventSubscriptionList() */
+  getSubscriptions(): Promise<Response<SubscriptionListData>>;
+  /** @deprecated Use eventSubscriptionStore() */
+  subscribeToEvent(clientId: string, limit?: number, skip?: number, alpha?: string): Promise<Response>;
+  /** @deprecated Use eventSubscriptionRemove() */
+  deleteSubscription(subscriptionId: string): Promise<Response>;
+  /** @deprecated Use cardDeliveryStore() */
+  createDelivery(clientId: string, data: DeliveryRequest): Promise<Response<DeliveryData>>;
+  /** @deprecated Use cardDeliveryShow() */
+  getDeliveryStatus(clientId: string, deliveryId: string): Promise<Response<DeliveryData>>;
+  /** @deprecated Use clientStore() */
+  addClient(person: {client_id: string; person: Person}): Promise<Response<ClientData>>;
+  /** @deprecated Use clientShow() */
+  getClientStatus(clientId: string): Promise<Response<ClientData>>;
+}
@@ -0,0 +1,63 @@
+const Client = require('./Client');
+const ClientPool = require('./ClientPool');
+const FakeServer = require('./FakeServer');
+const HoldManager = require('./HoldManager');
+const Money = require('./Money');
+const PublicClient = require('./PublicClient');
+const CardIssuer = require('./CardIssuer');
+const Reconciler = require('./Reconciler');
+const RequestScheduler = require('./RequestScheduler');
+const RetryPolicy = require('./RetryPolicy');
+const Signer = require('./Signer');
+const WebhookHandler = require('./WebhookHandler');
+const WebhookInbox = require('./WebhookInbox');
+const transports = require('./transports');
+const errors = require('./errors');
+const {normalizePaymentStatus} = require('./paymentStatus');
+const {exportTransactions, createTransactionStream} = require('./transactionExport');
+const models = require('./models');
+const audit = require('./audit');
+const {planSubscriptions} = require('./subscriptionSync');
+const {validatePerson, diffPerson, isValidSnils, isE164Phone} = require('./person');
+const {validateRequisites, isValidBik, isValidAccount, isValidInn} = require('./requisites');
+const cards = require('./cards');
+const {ENVIRONMENTS, environmentUrl, credentialsFromEnv} = require('./environments');
+
+module.exports = Object.assign({
+  Client,
+  CardIssuer,
+  CardIssuanceError: CardIssuer.IssuanceError,
+  ClientPool,
+  FakeServer,
+  HoldManager,
+  HoldStateError: HoldManager.StateError,
+  Money,
+  PublicClient,
+  Reconciler,
+  RequestScheduler,
+  RetryPolicy,
+  Signer,
+  SignatureError: Signer.SignatureError,
+  WebhookHandler,
+  WebhookVerificationError: WebhookHandler.VerificationError,
+  WebhookInbox,
+  transports,
+  models,
+  audit,
+  cards,
+  normalizePaymentStatus,
+  exportTransactions,
+  createTransactionStream,
+  planSubscriptions,
+  validatePerson,
+  diffPerson,
+  isValidSnils,
+  isE164Phone,
+  validateRequisites,
+  isValidBik,
+  isValidAccount,
+  isValidInn,
+  ENVIRONMENTS,
+  environmentUrl,
+  credentialsFromEnv
+}, errors);
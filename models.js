@@ -0,0 +1,182 @@
+const Money = require('./Money');
+const {normalizePaymentStatus} = require('./paymentStatus');
+
+// snake_case keys holding a date, parsed into Date
+const DATE_KEY = /(^date$|^date_|_date$|_at$)/;
+
+/**
+ * Response body with camelCase keys and Date dates.
+ *
+ * The body as the bank sent it stays in `raw`, the whole response in `response`, neither is enumerable,
+ * so JSON.stringify() and console.log() show the model only.
+ */
+class Model {
+
+  /**
+   * @param {object} data Response body or a record of it
+   * @param {object|null} response
+   */
+  constructor(data, response = null) {
+    Object.assign(this, camelize(data || {}));
+    Object.defineProperty(this, 'raw', {value: data, enumerable: false});
+    Object.defineProperty(this, 'response', {value: response, enumerable: false});
+  }
+}
+
+class Balance extends Model {}
+
+class Card extends Model {}
+
+class Client extends Model {}
+
+class Transaction extends Model {}
+
+class Delivery extends Model {}
+
+class Subscription extends Model {}
+
+class Payment extends Model {
+  constructor(data, response = null) {
+    super(data, response);
+    // success, failed, reversed, hold or pending, `status` keeps the bank's own value
+    this.state = normalizePaymentStatus(this.status);
+  }
+}
+
+class Hold extends Payment {}
+
+/**
+ * One page of a history: `items` plus page, limit, total and pages as the bank sent them
+ */
+class Page extends Model {
+  constructor(data, response = null) {
+    super(data, response);
+    this.items = ((data && data.transactions) || []).map(record => new Transaction(record, null));
+    delete this.transactions;
+  }
+}
+
+/**
+ * @param {function} Item Model class
+ * @param {string} key Where the list is in the body
+ * @returns {function} (data, response) => Array of Item, raw and response hang on the array
+ */
+function list(Item, key) {
+  return (data, response) => {
+    const items = ((data && data[key]) || []).map(record => new Item(record, null));
+    Object.defineProperty(items, 'raw', {value: data, enumerable: false});
+    Object.defineProperty(items, 'response', {value: response, enumerable: false});
+    return items;
+  };
+}
+
+const model = Item => (data, response) => new Item(data, response);
+const page = (data, response) => new Page(data, response);
+
+// Client method name to its model, the deprecated synonyms call these methods, other methods get a plain Model
+const METHODS = {
+  accountBalance: model(Balance),
+  cardBalance: model(Balance),
+  accountTransactions: page,
+  getAccountHistory: page,
+  accountCardsTransactions: page,
+  cardTransactions: page,
+  cardList: list(Card, 'cards'),
+  cardDetails: model(Card),
+  cardActivateVirtual: model(Card),
+  clientStore: model(Client),
+  clientEdit: model(Client),
+  clientShow: model(Client),
+  hold: model(Hold),
+  holdWithForm: model(Hold),
+  holdConfirm: model(Hold),
+  holdReverse: model(Hold),
+  unsignedHold: model(Hold),
+  paymentFromUnregisteredCard: model(Payment),
+  paymentFromUnregisteredCardWithForm: model(Payment),
+  paymentFromRegisteredCard: model(Payment),
+  paymentAuthorizationWithForm: model(Payment),
+  paymentToRegisteredCard: model(Payment),
+  paymentToAccount: model(Payment),
+  paymentToUnregisteredCard: model(Payment),
+  paymentToUnregisteredCardWithForm: model(Payment),
+  paymentStatus: model(Payment),
+  unsignedPaymentFromUnregisteredCard: model(Payment),
+  unsignedPaymentToUnregisteredCard: model(Payment),
+  unsignedPaymentStatusByHash: model(Payment),
+  cardDeliveryStore: model(Delivery),
+  cardDeliveryShow: model(Delivery),
+  eventSubscriptionStore: model(Subscription),
+  eventSubscriptionList: list(Subscription, 'subscriptions')
+};
+
+/**
+ * @param {string|null} method Client method name
+ * @param {object} response Response, or a model made from it, e.g. by a recovery lookup
+ * @returns {Model|Array<Model>}
+ */
+function toModel(method, response) {
+  if (response && response.response && (response instanceof Model || Array.isArray(response))) {
+    response = response.response;
+  }
+
+  const create = METHODS[method] || model(Model);
+  return create(response.data, response);
+}
+
+/**
+ * @param {AsyncIterable<object>} records
+ * @returns {AsyncIterableIterator<Transaction>}
+ */
+async function* transactions(records) {
+  for await (const record of records) {
+    yield new Transaction(record, null);
+  }
+}
+
+/**
+ * @param {*} value
+ * @param {string|null} key snake_case key the value was under
+ * @returns {*}
+ */
+function camelize(value, key = null) {
+  if (Array.isArray(value)) {
+    return value.map(item => camelize(item));
+  }
+  if (typeof value === 'string' && key && DATE_KEY.test(key)) {
+    const time = Date.parse(value);
+    return isNaN(time) ? value : new Date(time);
+  }
+  if (!value || typeof value !== 'object' || value instanceof Money || value instanceof Date) {
+    return value;
+  }
+
+  const result = {};
+  Object.keys(value).forEach(name => {
+    if (value[name] !== undefined) {
+      result[camelCase(name)] = camelize(value[name], name);
+    }
+  });
+
+  return result;
+}
+
+function camelCase(name) {
+  return name.replace(/_([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+}
+
+module.exports = {
+  Model,
+  Balance,
+  Card,
+  Client,
+  Transaction,
+  Page,
+  Hold,
+  Payment,
+  Delivery,
+  Subscription,
+  METHODS,
+  toModel,
+  transactions
+};
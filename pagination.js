@@ -0,0 +1,143 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD without a time
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Split [dateFrom, dateTo] into consecutive windows of at most `windowDays` days.
+ * Without dateFrom the range is passed through as a single window.
+ *
+ * A date-only dateTo such as '2024-01-31' includes that whole day: it ends at 23:59:59.999 UTC.
+ *
+ * @param {string|Date|null} dateFrom
+ * @param {string|Date|null} dateTo
+ * @param {int} windowDays
+ * @returns {Array<{from: string|null, to: string|null}>}
+ */
+function dateWindows(dateFrom, dateTo, windowDays) {
+  if (!dateFrom) {
+    return [{from: null, to: DATE_ONLY.test(dateTo) ? new Date(endOfDay(dateTo)).toISOString() : toIsoString(dateTo)}];
+  }
+
+  const start = new Date(dateFrom).getTime();
+  const end = dateTo ? endOfDay(dateTo) : Date.now();
+  if (isNaN(start) || isNaN(end)) {
+    throw new TypeError('dateFrom and dateTo must be valid dates');
+  }
+
+  const windows = [];
+  for (let from = start; from <= end; from += windowDays * DAY) {
+    // Windows are inclusive on both ends, stop a millisecond short of the next one
+    const to = Math.min(from + windowDays * DAY - 1, end);
+    windows.push({from: new Date(from).toISOString(), to: new Date(to).toISOString()});
+  }
+
+  return windows;
+}
+
+/**
+ * @param {object|Array} body
+ * @returns {Array}
+ */
+function extractRecords(body) {
+  if (Array.isArray(body)) {
+    return body;
+  }
+  if (!body || typeof body !== 'object') {
+    return [];
+  }
+
+  const key = ['transactions', 'data', 'items'].find(name => Array.isArray(body[name]));
+  return key ? body[key] : [];
+}
+
+/**
+ * A page shorter than `limit` is not the end: the bank may cap the page size below the limit asked for.
+ *
+ * @param {object|Array} body
+ * @param {Array} records
+ * @param {int} page
+ * @param {int} seen Records of the window so far, this page included
+ * @returns {boolean} Whether pages/total of the body say so, or the page is empty
+ */
+function isLastPage(body, records, page, seen) {
+  if (records.length === 0) {
+    return true;
+  }
+  if (!body || Array.isArray(body)) {
+    return false;
+  }
+
+  const pages = body.pages || body.last_page || body.total_pages;
+  if (pages) {
+    return page >= pages;
+  }
+
+  return typeof body.total === 'number' ? seen >= body.total : false;
+}
+
+/**
+ * Lazily walk every page of every date window.
+ * A window ends at the page count or total of the response, without them at the first empty page.
+ *
+ * @param {function} fetchPage (dateFrom, dateTo, page, limit) => Promise of axios response
+ * @param {object|null} options {dateFrom, dateTo, limit: 100, maxItems, windowDays: 31}
+ * @returns {AsyncIterableIterator<object>}
+ */
+async function* iteratePages(fetchPage, options = null) {
+  options = options || {};
+  const limit = options.limit || 100;
+  const maxItems = options.maxItems || Infinity;
+  const windows = dateWindows(options.dateFrom, options.dateTo, options.windowDays || 31);
+
+  let count = 0;
+  for (const window of windows) {
+    let seen = 0;
+    for (let page = 1; ; page++) {
+      const response = await fetchPage(window.from, window.to, page, limit);
+      const records = extractRecords(response.data);
+      seen += records.length;
+
+      for (const record of records) {
+        if (count >= maxItems) {
+          return;
+        }
+        count++;
+        yield record;
+      }
+
+      if (count >= maxItems) {
+        return;
+      }
+      if (isLastPage(response.data, records, page, seen)) {
+        break;
+      }
+    }
+  }
+}
+
+/**
+ * @param {string|Date} date
+ * @returns {number} Last millisecond of a date-only string, the moment itself otherwise
+ */
+function endOfDay(date) {
+  const time = new Date(date).getTime();
+
+  return DATE_ONLY.test(date) ? time + DAY - 1 : time;
+}
+
+/**
+ * @param {string|Date|null} date
+ * @returns {string|null}
+ */
+function toIsoString(date) {
+  if (!date) {
+    return null;
+  }
+  return date instanceof Date ? date.toISOString() : date;
+}
+
+module.exports = {
+  dateWindows,
+  iteratePages
+};
@@ -0,0 +1,142 @@
+const {PaymentTimeoutError, NotFoundError, ServerError, TransportError, RateLimitError} = require('./errors');
+
+// Raw bank statuses by the normalized status they mean, anything else is pending
+const STATUSES = {
+  success: ['success', 'succeeded', 'successful', 'completed', 'paid', 'confirmed', 'ok'],
+  failed: ['failed', 'fail', 'error', 'declined', 'rejected', 'canceled', 'cancelled', 'expired'],
+  reversed: ['reversed', 'refunded', 'returned'],
+  hold: ['hold', 'held', 'authorized']
+};
+
+const TERMINAL = ['success', 'failed', 'reversed'];
+
+/**
+ * @param {string|null} status Status as the bank reports it
+ * @returns {string} success, failed, reversed, hold or pending
+ */
+function normalizePaymentStatus(status) {
+  const raw = String(status || '').toLowerCase();
+
+  return Object.keys(STATUSES).find(normalized => STATUSES[normalized].indexOf(raw) !== -1) || 'pending';
+}
+
+/**
+ * Poll a status endpoint with backoff until the payment reaches a terminal status.
+ *
+ * Not found, 5xx, 429 and network errors count as "not there yet" and polling goes on.
+ *
+ * @param {function} fetchStatus () => Promise of the status response
+ * @param {object} context {orderSlug, hash}
+ * @param {object|null} options {
+ *   timeout: 300000, interval: 2000, maxInterval: 15000, factor: 1.5,
+ *   terminal: ['success', 'failed', 'reversed'], add 'hold' when waiting for a hold form,
+ *   signal: AbortSignal,
+ *   onStatus: (status, previous) => void, called on every change
+ * }
+ * @returns {Promise<object>} {status, rawStatus, orderSlug, hash, data, response}
+ */
+function waitForPaymentStatus(fetchStatus, context, options = null) {
+  options = options || {};
+
+  const timeout = options.timeout !== undefined ? options.timeout : 300000;
+  const maxInterval = options.maxInterval || 15000;
+  const factor = options.factor || 1.5;
+  const terminal = options.terminal || TERMINAL;
+  const signal = options.signal || null;
+  const deadline = Date.now() + timeout;
+
+  let interval = options.interval || 2000;
+  let current = null;
+  let timer = null;
+  let onAbort = null;
+
+  return new Promise((resolve, reject) => {
+    const finish = (callback, value) => {
+      clearTimeout(timer);
+      if (signal && onAbort) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      callback(value);
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        return reject(abortError(signal));
+      }
+      onAbort = () => finish(reject, abortError(signal));
+      signal.addEventListener('abort', onAbort);
+    }
+
+    const poll = () => {
+      fetchStatus()
+        .then(response => {
+          const data = response.data || {};
+          const status = {
+            status: normalizePaymentStatus(data.status),
+            rawStatus: data.status || null,
+            orderSlug: data.order_slug || context.orderSlug || null,
+            hash: context.hash || null,
+            data: data,
+            response: response
+          };
+
+          if (!current || current.status !== status.status || current.rawStatus !== status.rawStatus) {
+            const previous = current;
+            current = status;
+            if (options.onStatus) {
+              options.onStatus(status, previous);
+            }
+          }
+
+          return terminal.indexOf(status.status) !== -1 ? status : null;
+        }, error => {
+          const transient = error instanceof NotFoundError || error instanceof ServerError
+            || error instanceof TransportError || error instanceof RateLimitError;
+          if (!transient) {
+            throw error;
+          }
+          return null;
+        })
+        .then(result => {
+          if (signal && signal.aborted) {
+            return;
+          }
+          if (result) {
+            return finish(resolve, result);
+          }
+
+          const remaining = deadline - Date.now();
+          if (remaining <= 0) {
+            const subject = context.orderSlug ? `payment ${context.orderSlug}` : `payment by hash ${context.hash}`;
+            return finish(reject, new PaymentTimeoutError(`Timed out waiting for ${subject}`, {
+              code: 'payment_timeout',
+              orderSlug: context.orderSlug || null,
+              lastStatus: current
+            }));
+          }
+
+          timer = setTimeout(poll, Math.min(interval, remaining));
+          interval = Math.min(maxInterval, interval * factor);
+        })
+        .catch(error => finish(reject, error));
+    };
+
+    poll();
+  });
+}
+
+function abortError(signal) {
+  if (signal.reason instanceof Error) {
+    return signal.reason;
+  }
+
+  const error = new Error('Waiting for the payment was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+module.exports = {
+  TERMINAL,
+  normalizePaymentStatus,
+  waitForPaymentStatus
+};
@@ -0,0 +1,301 @@
+const {isValidInn} = require('./requisites');
+
+/**
+ * The `person` of clientStore() and clientEdit(): field checks and a diff against clientShow().
+ *
+ * Every check takes the value and returns a list of messages, empty when the value is fine.
+ */
+
+const NAME = /^[A-Za-zА-Яа-яЁё]+([ '\-.][A-Za-zА-Яа-яЁё]+)*$/;
+
+// Passport of a citizen of Russia, the default document type
+const PASSPORT_TYPES = ['passport', 'passport_rf', '21'];
+
+// Shown masked in the change log
+const SENSITIVE = ['inn', 'snils', 'document.series', 'document.number', 'document.department_code'];
+
+const PERSON_FIELDS = {
+  first_name: checkName,
+  last_name: checkName,
+  middle_name: checkName,
+  birth_date: checkBirthDate,
+  phone: value => isE164Phone(value) ? [] : ['must be an E.164 phone number, +79991234567'],
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value)) ? [] : ['must be an email address'],
+  inn: value => /^\d{12}$/.test(String(value)) && isValidInn(value) ? [] : ['must be a 12 digit INN with valid check digits'],
+  snils: value => isValidSnils(value) ? [] : ['must be an 11 digit SNILS with a valid check number'],
+  document: checkDocument,
+  address: checkAddress
+};
+
+const REQUIRED = ['first_name', 'last_name', 'birth_date', 'phone'];
+
+/**
+ * @param {object} person
+ * @param {object|null} options {complete: require first_name, last_name, birth_date and phone, as clientStore() does}
+ * @returns {object} {field: [messages]}, nested fields as document.series, empty when the person is fine
+ */
+function validatePerson(person, options = null) {
+  if (!person || typeof person !== 'object') {
+    return {person: ['must be an object']};
+  }
+
+  const fields = {};
+  if (options && options.complete) {
+    REQUIRED.filter(field => isEmpty(person[field])).forEach(field => fields[field] = ['is required']);
+  }
+
+  Object.keys(PERSON_FIELDS).forEach(field => {
+    if (fields[field] || isEmpty(person[field])) {
+      return;
+    }
+
+    const messages = PERSON_FIELDS[field](person[field], person);
+    messages.forEach(message => {
+      // Nested checks prefix their messages with the key: "series must be 4 digits"
+      const match = isObject(person[field]) && message.match(/^([a-z_]+) (.*)$/);
+      const name = match ? `${field}.${match[1]}` : field;
+      (fields[name] = fields[name] || []).push(match ? match[2] : message);
+    });
+  });
+
+  return fields;
+}
+
+/**
+ * Compare what the bank has with new data, for a clientEdit() that sends only what changed
+ *
+ * Fields missing from `next` are left as they are, null clears a field. A changed nested
+ * object (document, address) is sent whole, merged over the current one.
+ *
+ * @param {object} current clientShow() response, its body, a models.Client or a person
+ * @param {object} next New person data
+ * @param {object|null} options {reveal: show document numbers, INN and SNILS unmasked in the log}
+ * @returns {object} {person: data for clientEdit(), null when nothing changed, changes: [{field, from, to}], log: [lines]}
+ */
+function diffPerson(current, next, options = null) {
+  const before = personOf(current);
+  const reveal = !!(options && options.reveal);
+  const person = {};
+  const changes = [];
+
+  Object.keys(next || {}).forEach(field => {
+    const value = next[field];
+    if (value === undefined) {
+      return;
+    }
+
+    if (isObject(value) && (isObject(before[field]) || isEmpty(before[field]))) {
+      const was = before[field] || {};
+      const nested = Object.keys(value)
+        .filter(key => value[key] !== undefined && !same(was[key], value[key], key))
+        .map(key => ({field: `${field}.${key}`, from: valueOf(was[key]), to: value[key]}));
+      if (nested.length > 0) {
+        person[field] = Object.assign({}, was, value);
+        changes.push(...nested);
+      }
+    } else if (!same(before[field], value, field)) {
+      person[field] = value;
+      changes.push({field: field, from: valueOf(before[field]), to: value});
+    }
+  });
+
+  return {
+    person: changes.length > 0 ? person : null,
+    changes: changes,
+    log: changes.map(change => `${change.field}: ${describe(change.from, change.field, reveal)} -> ${describe(change.to, change.field, reveal)}`)
+  };
+}
+
+/**
+ * @param {string|number} snils 11 digits, separators allowed: 112-233-445 95
+ * @returns {boolean}
+ */
+function isValidSnils(snils) {
+  const digits = String(snils).replace(/[\s-]/g, '');
+  if (!/^\d{11}$/.test(digits)) {
+    return false;
+  }
+
+  const sum = digits.slice(0, 9).split('').reduce((total, digit, index) => total + Number(digit) * (9 - index), 0);
+  const expected = sum % 101 === 100 ? 0 : sum % 101;
+
+  return expected === Number(digits.slice(9));
+}
+
+/**
+ * @param {string} phone
+ * @returns {boolean}
+ */
+function isE164Phone(phone) {
+  return /^\+[1-9]\d{7,14}$/.test(String(phone));
+}
+
+function checkName(value) {
+  const name = String(value).trim();
+  if (name.length > 100) {
+    return ['must be at most 100 characters'];
+  }
+
+  return NAME.test(name) ? [] : ['must contain letters, spaces, hyphens and apostrophes only'];
+}
+
+function checkBirthDate(value) {
+  const date = parseDate(value);
+  if (!date) {
+    return ['must be a date, YYYY-MM-DD'];
+  }
+  if (date > new Date()) {
+    return ['must be in the past'];
+  }
+
+  return yearsBetween(date, new Date()) > 120 ? ['is more than 120 years ago'] : [];
+}
+
+/**
+ * @param {object} document {type, series, number, issue_date, issued_by, department_code}
+ * @param {object} person
+ * @returns {Array<string>}
+ */
+function checkDocument(document, person) {
+  if (!isObject(document)) {
+    return ['must be an object'];
+  }
+  if (document.type && PASSPORT_TYPES.indexOf(String(document.type).toLowerCase()) === -1) {
+    // Only the passport of Russia is checked in detail
+    return [];
+  }
+
+  const messages = [];
+  if (!isEmpty(document.series) && !/^\d{4}$/.test(String(document.series).replace(/\s/g, ''))) {
+    messages.push('series must be 4 digits');
+  }
+  if (!isEmpty(document.number) && !/^\d{6}$/.test(String(document.number))) {
+    messages.push('number must be 6 digits');
+  }
+  if (!isEmpty(document.department_code) && !/^\d{3}-?\d{3}$/.test(String(document.department_code))) {
+    messages.push('department_code must be 6 digits, 770-001');
+  }
+  if (!isEmpty(document.issue_date)) {
+    const issued = parseDate(document.issue_date);
+    const born = person && parseDate(person.birth_date);
+    if (!issued) {
+      messages.push('issue_date must be a date, YYYY-MM-DD');
+    } else if (issued > new Date()) {
+      messages.push('issue_date must be in the past');
+    } else if (born && yearsBetween(born, issued) < 14) {
+      messages.push('issue_date must be after the 14th birthday');
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * @param {object|string} address A line, or {country, postal_code, region, city, street, house, flat}
+ * @returns {Array<string>}
+ */
+function checkAddress(address) {
+  if (typeof address === 'string') {
+    return address.trim().length >= 5 ? [] : ['must be a full address'];
+  }
+  if (!isObject(address)) {
+    return ['must be an address line or an object'];
+  }
+
+  const messages = ['city', 'street', 'house'].filter(key => isEmpty(address[key])).map(key => `${key} is required`);
+  const russian = !address.country || ['ru', 'rus', 'russia', '643'].indexOf(String(address.country).toLowerCase()) !== -1;
+  if (!isEmpty(address.postal_code) && russian && !/^\d{6}$/.test(String(address.postal_code))) {
+    messages.push('postal_code must be 6 digits');
+  }
+
+  return messages;
+}
+
+/**
+ * @param {object} source
+ * @returns {object}
+ */
+function personOf(source) {
+  let data = source || {};
+  if (data.raw && typeof data.raw === 'object') {
+    data = data.raw;
+  } else if (data.data && data.headers) {
+    data = data.data;
+  }
+
+  return (data.person && typeof data.person === 'object' ? data.person : data) || {};
+}
+
+function same(a, b, field) {
+  if (isEmpty(a) && isEmpty(b)) {
+    return true;
+  }
+  if (isEmpty(a) || isEmpty(b)) {
+    return false;
+  }
+  if (isObject(a) || isObject(b)) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  if (field === 'phone') {
+    return String(a).replace(/\D/g, '') === String(b).replace(/\D/g, '');
+  }
+  if (/(^|_)date$/.test(field)) {
+    // The bank may answer with a time part
+    return String(a).slice(0, 10) === String(b).slice(0, 10);
+  }
+
+  return String(a).trim() === String(b).trim();
+}
+
+function describe(value, field, reveal) {
+  if (isEmpty(value)) {
+    return '(empty)';
+  }
+  if (isObject(value)) {
+    return JSON.stringify(value);
+  }
+  const text = String(value);
+  if (!reveal && SENSITIVE.indexOf(field) !== -1) {
+    return `${'*'.repeat(Math.max(0, text.length - 2))}${text.slice(-2)}`;
+  }
+
+  return text;
+}
+
+function parseDate(value) {
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.getUTCMonth() === Number(match[2]) - 1 && date.getUTCDate() === Number(match[3]) ? date : null;
+}
+
+function yearsBetween(from, to) {
+  let years = to.getUTCFullYear() - from.getUTCFullYear();
+  if (to.getUTCMonth() < from.getUTCMonth() || (to.getUTCMonth() === from.getUTCMonth() && to.getUTCDate() < from.getUTCDate())) {
+    years--;
+  }
+  return years;
+}
+
+function valueOf(value) {
+  return value === undefined ? null : value;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  PERSON_FIELDS,
+  validatePerson,
+  diffPerson,
+  isValidSnils,
+  isE164Phone
+};
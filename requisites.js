@@ -0,0 +1,141 @@
+/**
+ * Requisites of a bank transfer, see Client.paymentToAccount(): BIK, account, INN, payee name and description.
+ *
+ * Every check takes the value and returns a list of messages, empty when the value is fine.
+ */
+
+// Weights of the account control key, over the 3 BIK digits and the 20 account digits
+const ACCOUNT_WEIGHTS = [7, 1, 3, 7, 1, 3, 7, 1, 3, 7, 1, 3, 7, 1, 3, 7, 1, 3, 7, 1, 3, 7, 1];
+
+// Limits of the payment order fields
+const NAME_LENGTH = 160;
+const DESCRIPTION_LENGTH = 210;
+
+/**
+ * @param {object} requisites {account, bik, name, inn, description}
+ * @returns {object} {field: [messages]}, empty when the requisites are fine
+ */
+function validateRequisites(requisites) {
+  const fields = {};
+  const add = (field, messages) => {
+    if (messages.length > 0) {
+      fields[field] = messages;
+    }
+  };
+
+  requisites = requisites || {};
+  if (!isEmpty(requisites.bik)) {
+    add('bik', checkBik(requisites.bik));
+  }
+  if (!isEmpty(requisites.account)) {
+    add('account', checkAccount(requisites.account, fields.bik ? null : requisites.bik));
+  }
+  if (!isEmpty(requisites.inn)) {
+    add('inn', isValidInn(requisites.inn) ? [] : ['must be 10 or 12 digits with valid check digits']);
+  }
+  if (!isEmpty(requisites.name)) {
+    add('name', checkText(requisites.name, NAME_LENGTH));
+  }
+  if (!isEmpty(requisites.description)) {
+    add('description', checkText(requisites.description, DESCRIPTION_LENGTH));
+  }
+
+  return fields;
+}
+
+/**
+ * @param {string} bik
+ * @returns {Array<string>}
+ */
+function checkBik(bik) {
+  return isValidBik(bik) ? [] : ['must be 9 digits starting with 04'];
+}
+
+/**
+ * @param {string} account
+ * @param {string|null} bik Checks the control key when given
+ * @returns {Array<string>}
+ */
+function checkAccount(account, bik = null) {
+  if (!/^\d{20}$/.test(String(account))) {
+    return ['must be 20 digits'];
+  }
+
+  return !bik || isValidAccount(account, bik) ? [] : ['does not match the BIK, check both for a typo'];
+}
+
+/**
+ * @param {string} bik
+ * @returns {boolean}
+ */
+function isValidBik(bik) {
+  return /^04\d{7}$/.test(String(bik));
+}
+
+/**
+ * Control key check of an account against the BIK of its bank
+ *
+ * @param {string} account 20 digits
+ * @param {string} bik
+ * @returns {boolean}
+ */
+function isValidAccount(account, bik) {
+  account = String(account);
+  bik = String(bik);
+  if (!/^\d{20}$/.test(account) || !isValidBik(bik)) {
+    return false;
+  }
+
+  // Bank of Russia rule on the control key (letter of 8 September 1997 N 515): an account opened at a
+  // Bank of Russia division is keyed by 0 and the BIK's 5th and 6th digits, an account at a bank by the
+  // BIK's last 3 digits. A bank's correspondent account (30101) is opened at the Bank of Russia, so it
+  // takes the division key even though the BIK is the bank's own: 044525225 / 30101810400000000225.
+  const atBankOfRussia = /^00[0-2]$/.test(bik.slice(-3)) || account.startsWith('30101');
+  const prefix = atBankOfRussia ? `0${bik.slice(4, 6)}` : bik.slice(-3);
+  const digits = `${prefix}${account}`;
+  const sum = ACCOUNT_WEIGHTS.reduce((total, weight, index) => total + weight * Number(digits[index]), 0);
+
+  return sum % 10 === 0;
+}
+
+/**
+ * @param {string|number} inn 10 digits of an organization or 12 digits of a person
+ * @returns {boolean} Whether the check digits are right
+ */
+function isValidInn(inn) {
+  const digits = String(inn);
+  const check = weights => weights.reduce((sum, weight, index) => sum + weight * Number(digits[index]), 0) % 11 % 10;
+
+  if (/^\d{10}$/.test(digits)) {
+    return check([2, 4, 10, 3, 5, 9, 4, 6, 8]) === Number(digits[9]);
+  }
+  if (/^\d{12}$/.test(digits)) {
+    return check([7, 2, 4, 10, 3, 5, 9, 4, 6, 8]) === Number(digits[10])
+      && check([3, 7, 2, 4, 10, 3, 5, 9, 4, 6, 8]) === Number(digits[11]);
+  }
+
+  return false;
+}
+
+function checkText(value, length) {
+  const text = String(value);
+  if (text.trim() === '') {
+    return ['must not be blank'];
+  }
+  if (text.length > length) {
+    return [`must be at most ${length} characters, got ${text.length}`];
+  }
+
+  return /[\u0000-\u001f\u007f]/.test(text) ? ['must not contain line breaks or control characters'] : [];
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+module.exports = {
+  validateRequisites,
+  isValidBik,
+  isValidAccount,
+  isValidInn
+};
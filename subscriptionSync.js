@@ -0,0 +1,136 @@
+/**
+ * Declarative event subscriptions: the bank is brought to a list of {url, events} kept in version control.
+ *
+ * Subscriptions are matched by URL, events are compared as sets. The bank can not change a subscription,
+ * so one with other events is replaced: the new one is created first and the old one removed after it,
+ * webhooks keep coming meanwhile.
+ */
+
+/**
+ * @param {Array<object>} current Subscriptions the bank has, {id, url, events}
+ * @param {Array<object>} desired {url, events}
+ * @param {object|null} options {prune: remove subscriptions to URLs not in the list, true by default}
+ * @returns {object} {create: [{url, events}], remove: [{id, url, events, reason}], keep: [{id, url, events}]}
+ *   reason: not_desired, events_changed or duplicate
+ */
+function planSubscriptions(current, desired, options = null) {
+  const prune = !options || options.prune !== false;
+  const wanted = normalizeDesired(desired);
+  const plan = {create: [], remove: [], keep: []};
+
+  const byUrl = {};
+  (current || []).forEach(subscription => {
+    const item = {id: subscription.id, url: subscription.url, events: sortEvents(subscription.events)};
+    (byUrl[item.url] = byUrl[item.url] || []).push(item);
+  });
+
+  wanted.forEach(subscription => {
+    const existing = byUrl[subscription.url] || [];
+    delete byUrl[subscription.url];
+
+    const same = existing.find(item => sameEvents(item.events, subscription.events));
+    if (same) {
+      plan.keep.push(same);
+    } else {
+      plan.create.push(subscription);
+    }
+    existing.filter(item => item !== same).forEach(item => {
+      plan.remove.push(Object.assign({}, item, {reason: same ? 'duplicate' : 'events_changed'}));
+    });
+  });
+
+  Object.keys(byUrl).forEach(url => byUrl[url].forEach(item => {
+    if (prune) {
+      plan.remove.push(Object.assign({}, item, {reason: 'not_desired'}));
+    } else {
+      plan.keep.push(item);
+    }
+  }));
+
+  return plan;
+}
+
+/**
+ * Bring the bank's subscriptions to the desired list, or only plan it with dryRun
+ *
+ * A failed create keeps the subscription it was to replace. Failures do not stop the rest, they go to `failed`.
+ *
+ * @param {Client} client
+ * @param {Array<object>} desired {url, events}
+ * @param {object|null} options {dryRun: plan only, prune: true by default}
+ * @returns {Promise<object>} {dryRun, plan, created, removed, failed: [{action, url, id, error}], ok}
+ */
+async function syncSubscriptions(client, desired, options = null) {
+  options = options || {};
+
+  const response = await client.eventSubscriptionList();
+  const plan = planSubscriptions((response.data && response.data.subscriptions) || [], desired, options);
+  const report = {dryRun: !!options.dryRun, plan: plan, created: [], removed: [], failed: [], ok: true};
+  if (options.dryRun) {
+    return report;
+  }
+
+  const notCreated = [];
+  for (const subscription of plan.create) {
+    try {
+      const created = await client.eventSubscriptionStore(subscription.url, subscription.events);
+      report.created.push(created.data);
+    } catch (error) {
+      notCreated.push(subscription.url);
+      report.failed.push({action: 'create', url: subscription.url, id: null, error: error});
+    }
+  }
+
+  for (const subscription of plan.remove) {
+    if (subscription.reason === 'events_changed' && notCreated.indexOf(subscription.url) !== -1) {
+      continue;
+    }
+    try {
+      await client.eventSubscriptionRemove(subscription.id);
+      report.removed.push(subscription);
+    } catch (error) {
+      report.failed.push({action: 'remove', url: subscription.url, id: subscription.id, error: error});
+    }
+  }
+
+  report.ok = report.failed.length === 0;
+
+  return report;
+}
+
+/**
+ * @param {Array<object>} desired
+ * @returns {Array<object>}
+ * @throws {TypeError} For an entry without url or a URL listed twice
+ */
+function normalizeDesired(desired) {
+  if (!Array.isArray(desired)) {
+    throw new TypeError('desired subscriptions must be an array of {url, events}');
+  }
+
+  const seen = {};
+  return desired.map(subscription => {
+    if (!subscription || typeof subscription.url !== 'string' || !subscription.url) {
+      throw new TypeError('Every desired subscription needs a url');
+    }
+    if (seen[subscription.url]) {
+      throw new TypeError(`${subscription.url} is listed twice, put its events in one entry`);
+    }
+    seen[subscription.url] = true;
+
+    return {url: subscription.url, events: sortEvents(subscription.events)};
+  });
+}
+
+function sortEvents(events) {
+  return Array.from(new Set(events || [])).sort();
+}
+
+function sameEvents(a, b) {
+  return a.length === b.length && a.every((event, index) => event === b[index]);
+}
+
+module.exports = {
+  planSubscriptions,
+  syncSubscriptions
+};
@@ -0,0 +1,1728 @@
+const assert = require('assert');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const {
+  Client,
+  ClientPool,
+  audit,
+  createTransactionStream,
+  credentialsFromEnv,
+  environmentUrl,
+  exportTransactions,
+  FakeServer,
+  HoldManager,
+  HoldStateError,
+  Money,
+  PublicClient,
+  Reconciler,
+  RequestScheduler,
+  RetryPolicy,
+  Signer,
+  WebhookHandler,
+  WebhookInbox,
+  WebhookVerificationError,
+  cards,
+  diffPerson,
+  models,
+  normalizePaymentStatus,
+  planSubscriptions,
+  transports,
+  SignatureError,
+  validatePerson,
+  isValidAccount,
+  isValidBik,
+  isValidInn,
+  AuthenticationError,
+  InsufficientFundsError,
+  NotFoundError,
+  RateLimitError,
+  ResponseError,
+  PaymentTimeoutError,
+  ServerError,
+  TalkBankError,
+  TransportError,
+  ValidationError
+} = require('./index');
+const cli = require('./cli');
+const {dateWindows, iteratePages} = require('./pagination');
+
+const PARTNER_ID = 'partner';
+const TOKEN = 'secret-token';
+
+describe('Client against FakeServer', () => {
+  const server = new FakeServer(PARTNER_ID, TOKEN);
+  let client;
+
+  before(() => server.start());
+  after(() => server.stop());
+
+  beforeEach(() => {
+    server.reset();
+    client = new Client(PARTNER_ID, TOKEN, server.url);
+  });
+
+  function createCard(clientId = 'c1') {
+    return client.clientStore(clientId, {first_name: 'Ivan', last_name: 'Petrov'})
+      .then(() => client.cardActivateVirtual(clientId))
+      .then(response => response.data.barcode);
+  }
+
+  describe('signing', () => {
+    it('is accepted by the bank', () => {
+      return client.accountBalance().then(response => {
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.data.balance, 1000000);
+        assert.ok(/^TB1-HMAC-SHA256 /.test(server.requests[0].headers.authorization));
+      });
+    });
+
+    it('signs a request body', () => {
+      return createCard().then(barcode => client.cardRefill('c1', barcode, 150, 'order-1'))
+        .then(response => assert.strictEqual(response.data.balance, 150));
+    });
+
+    it('rejects a wrong token with AuthenticationError', () => {
+      const stranger = new Client(PARTNER_ID, 'wrong-token', server.url);
+
+      return stranger.accountBalance().then(
+        () => assert.fail('resolved'),
+        error => {
+          assert.ok(error instanceof AuthenticationError);
+          assert.strictEqual(error.status, 401);
+          assert.strictEqual(error.code, 'invalid_signature');
+        }
+      );
+    });
+
+    it('signs a request sent without Client', () => {
+      const query = 'page=1&limit=5';
+      const headers = new Signer(PARTNER_ID, TOKEN).sign({method: 'GET', path: '/api/v1/transactions', query: query, body: ''});
+
+      return axios.get(`${server.url}/transactions?${query}`, {headers}).then(response => {
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(response.data.transactions, []);
+      });
+    });
+
+    it('falls back to the next token during a rotation', () => {
+      const rotating = new Client(PARTNER_ID, ['new-token', TOKEN], server.url);
+
+      return rotating.accountBalance().then(() => {
+        assert.strictEqual(rotating.token, TOKEN);
+        assert.strictEqual(server.requests.length, 2);
+      });
+    });
+  });
+
+  describe('request URLs', () => {
+    it('sends clientEdit to the client\'s own path', () => {
+      return client.clientStore('c1', {first_name: 'Ivan', last_name: 'Petrov'})
+        .then(() => client.clientEdit('c1', {first_name: 'Petr', last_name: 'Petrov'}))
+        .then(() => {
+          const request = server.requests[server.requests.length - 1];
+          assert.deepStrictEqual([request.method, request.path], ['PUT', '/api/v1/clients/c1']);
+          assert.strictEqual(server.state.clients.c1.person.first_name, 'Petr');
+        });
+    });
+
+    it('keeps the path of a request with a query string', () => {
+      return client.getAccountHistory(null, null, null, 5, 2).then(() => {
+        const request = server.requests[0];
+        assert.strictEqual(request.path, '/api/v1/transactions');
+        assert.strictEqual(request.query, 'limit=5&page=2');
+      });
+    });
+  });
+
+  describe('cards', () => {
+    it('refuses to refill a locked card without debiting the account', () => {
+      return createCard()
+        .then(barcode => client.cardLock('c1', barcode, 'lost').then(() => client.cardRefill('c1', barcode, 150, 'o1')))
+        .then(() => assert.fail('resolved'), error => {
+          assert.strictEqual(error.code, 'card_locked');
+          assert.strictEqual(server.state.balance, 1000000);
+          assert.strictEqual(server.state.transactions.length, 0);
+        });
+    });
+
+    it('refuses a repeated order id without moving money again', () => {
+      return createCard()
+        .then(barcode => client.cardRefill('c1', barcode, 150, 'o1').then(() => client.cardRefill('c1', barcode, 150, 'o1')))
+        .then(() => assert.fail('resolved'), error => {
+          assert.strictEqual(error.code, 'duplicate_order');
+          assert.strictEqual(server.state.balance, 1000000 - 150);
+        });
+    });
+  });
+
+  describe('errors', () => {
+    function rejection(promise) {
+      return promise.then(() => assert.fail('resolved'), error => error);
+    }
+
+    it('rejects a refill over the balance with InsufficientFundsError', () => {
+      return createCard().then(barcode => rejection(client.cardRefill('c1', barcode, 2000000, 'order-1'))).then(error => {
+        assert.ok(error instanceof InsufficientFundsError);
+        assert.ok(error instanceof TalkBankError);
+        assert.strictEqual(error.status, 422);
+        assert.strictEqual(error.code, 'insufficient_funds');
+        assert.strictEqual(error.method, 'cardRefill');
+        assert.strictEqual(error.httpMethod, 'POST');
+        assert.strictEqual(error.orderSlug, 'order-1');
+        assert.ok(/^[0-9a-f]{16}$/.test(error.requestId));
+      });
+    });
+
+    it('rejects an unknown client with NotFoundError', () => {
+      return rejection(client.cardBalance('nobody', '123')).then(error => {
+        assert.ok(error instanceof NotFoundError);
+        assert.strictEqual(error.code, 'client_not_found');
+        assert.strictEqual(error.path, '/clients/nobody/cards/123/balance');
+      });
+    });
+
+    it('puts the field messages of a 422 on ValidationError', () => {
+      server.failNext({path: '/balance', status: 422, body: {code: 'validation_error', message: 'Bad', errors: {amount: ['required']}}});
+
+      return rejection(client.accountBalance()).then(error => {
+        assert.ok(error instanceof ValidationError);
+        assert.strictEqual(error.message, 'Bad');
+        assert.deepStrictEqual(error.fields, {amount: ['required']});
+      });
+    });
+
+    it('tells a rate limit, a 5xx and a dropped connection apart', () => {
+      server.failNext({path: '/balance', status: 429});
+      server.failNext({path: '/balance', status: 502});
+      server.failNext({path: '/balance', network: true});
+
+      return rejection(client.accountBalance())
+        .then(error => assert.ok(error instanceof RateLimitError && error.status === 429))
+        .then(() => rejection(client.accountBalance()))
+        .then(error => assert.ok(error instanceof ServerError && error.status === 502))
+        .then(() => rejection(client.accountBalance()))
+        .then(error => {
+          assert.ok(error instanceof TransportError);
+          assert.strictEqual(error.status, null);
+          assert.ok(error.cause);
+        });
+    });
+  });
+
+  describe('transports and middleware', () => {
+    ['http', 'fetch'].forEach(name => {
+      it(`talks to the bank over the ${name} transport`, () => {
+        client = new Client(PARTNER_ID, TOKEN, server.url, {transport: transports[name]()});
+
+        return createCard()
+          .then(barcode => client.cardRefill('c1', barcode, 150, 'order-1'))
+          .then(response => {
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.data.balance, 150);
+          })
+          .then(() => client.cardBalance('c1', 'missing'))
+          .then(() => assert.fail('resolved'), error => {
+            assert.ok(error instanceof NotFoundError);
+            assert.strictEqual(error.code, 'card_not_found');
+          });
+      });
+    });
+
+    it('rejects a dropped connection with the code of the transport', () => {
+      client = new Client(PARTNER_ID, TOKEN, server.url, {transport: transports.http()});
+      server.failNext({path: '/balance', network: true});
+
+      return client.accountBalance().then(() => assert.fail('resolved'), error => {
+        assert.ok(error instanceof TransportError);
+        assert.strictEqual(error.code, 'ECONNRESET');
+      });
+    });
+
+    it('runs middleware in order before signing and hands the response back', () => {
+      const calls = [];
+      client = new Client(PARTNER_ID, TOKEN, server.url, {middleware: [
+        (req, next) => {
+          calls.push('outer');
+          return next().then(response => {
+            calls.push('outer done');
+            return response;
+          });
+        },
+        (req, next) => {
+          calls.push('inner');
+          return next(Object.assign({}, req, {query: {limit: 5, page: 2}}));
+        }
+      ]});
+
+      return client.getAccountHistory().then(response => {
+        assert.deepStrictEqual(calls, ['outer', 'inner', 'outer done']);
+        assert.strictEqual(server.requests[0].query, 'limit=5&page=2');
+        assert.strictEqual(response.data.page, 2);
+      });
+    });
+
+    it('lets middleware answer without calling the bank', () => {
+      client.use(() => Promise.resolve({status: 200, data: {balance: 1}}));
+
+      return client.accountBalance().then(response => {
+        assert.strictEqual(response.data.balance, 1);
+        assert.strictEqual(server.requests.length, 0);
+      });
+    });
+  });
+
+  describe('validation', () => {
+    beforeEach(() => {
+      client = new Client(PARTNER_ID, TOKEN, server.url, {validate: true});
+    });
+
+    function rejection(promise) {
+      return promise.then(() => assert.fail('resolved'), error => {
+        assert.ok(error instanceof ValidationError);
+        assert.strictEqual(error.code, 'local_validation');
+        assert.strictEqual(server.requests.length, 0);
+        return error;
+      });
+    }
+
+    it('refuses bad arguments before sending', () => {
+      return rejection(client.cardRefill('c1', '123', 10.005)).then(error => {
+        assert.strictEqual(error.method, 'cardRefill');
+        assert.deepStrictEqual(error.fields, {amount: ['must be a positive amount with at most two decimals']});
+      })
+        .then(() => rejection(client.setCardPin('c1', '123', '12a4')))
+        .then(error => assert.deepStrictEqual(error.fields, {pin: ['must be 4 digits']}))
+        .then(() => rejection(client.cardBalance('c1', undefined)))
+        .then(error => assert.deepStrictEqual(Object.keys(error.fields), ['path']));
+    });
+
+    it('checks the requisites of a transfer and the person of a new client', () => {
+      return rejection(client.paymentToAccount(100, '30101810400000000226', '044525225', 'OOO Romashka', '7707083894'))
+        .then(error => assert.deepStrictEqual(Object.keys(error.fields).sort(), ['account', 'inn']))
+        .then(() => rejection(client.clientStore('c1', {first_name: 'Ivan', last_name: 'Petrov'})))
+        .then(error => assert.deepStrictEqual(error.fields.person, ['birth_date is required', 'phone is required']));
+    });
+
+    it('counts amounts in kopecks with amountUnit minor', () => {
+      client = new Client(PARTNER_ID, TOKEN, server.url, {validate: true, amountUnit: 'minor'});
+
+      return rejection(client.cardRefill('c1', '123', 12.5))
+        .then(error => assert.deepStrictEqual(error.fields, {amount: ['must be a positive integer']}));
+    });
+
+    it('sends a call that is fine', () => {
+      const checked = client;
+      client = new Client(PARTNER_ID, TOKEN, server.url);
+
+      return createCard().then(barcode => checked.cardRefill('c1', barcode, 10.5, 'order-1'))
+        .then(response => assert.strictEqual(response.data.balance, 10.5));
+    });
+  });
+
+  describe('retries', () => {
+    beforeEach(() => {
+      client = new Client(PARTNER_ID, TOKEN, server.url, {retry: {retries: 3, minDelay: 1, jitter: false}});
+    });
+
+    it('retries a GET on 5xx', () => {
+      server.failNext({method: 'GET', path: '/balance', status: 503, times: 2});
+
+      return client.accountBalance().then(response => {
+        assert.strictEqual(response.data.balance, 1000000);
+        assert.strictEqual(server.requests.length, 3);
+      });
+    });
+
+    it('gives up after the last retry', () => {
+      server.failNext({method: 'GET', path: '/balance', status: 500, times: 4});
+
+      return client.accountBalance().then(
+        () => assert.fail('resolved'),
+        error => {
+          assert.ok(error instanceof ServerError);
+          assert.strictEqual(server.requests.length, 4);
+        }
+      );
+    });
+
+    it('does not resend a payment the bank processed', () => {
+      return createCard().then(barcode => {
+        server.failNext({method: 'POST', path: /\/refill$/, processed: true});
+
+        return client.cardRefill('c1', barcode, 100).then(() => client.cardBalance('c1', barcode));
+      }).then(response => {
+        assert.strictEqual(response.data.balance, 100);
+        assert.strictEqual(server.requests.filter(request => /\/refill$/.test(request.path)).length, 1);
+      });
+    });
+
+    it('resends a payment the bank has not seen', () => {
+      return createCard().then(barcode => {
+        server.failNext({method: 'POST', path: /\/refill$/});
+
+        return client.cardRefill('c1', barcode, 100).then(() => client.cardBalance('c1', barcode));
+      }).then(response => {
+        assert.strictEqual(response.data.balance, 100);
+        assert.strictEqual(server.requests.filter(request => /\/refill$/.test(request.path)).length, 2);
+      });
+    });
+  });
+
+  describe('amounts', () => {
+    it('sends Money as roubles by default', () => {
+      client = new Client(PARTNER_ID, TOKEN, server.url, {money: true});
+
+      return createCard().then(barcode => client.cardRefill('c1', barcode, Money.parse('12.50'))).then(response => {
+        assert.strictEqual(JSON.parse(server.requests[2].body).amount, 12.5);
+        assert.ok(response.data.balance.equals(Money.parse('12.50')));
+      });
+    });
+  });
+
+  describe('payment status', () => {
+    beforeEach(() => client.clientStore('c1', {first_name: 'Ivan', last_name: 'Petrov'})
+      .then(() => client.paymentFromUnregisteredCardWithForm('c1', 100, 'o1')));
+
+    it('normalizes the statuses of the bank', () => {
+      assert.deepStrictEqual(['Succeeded', 'declined', 'refunded', 'authorized', 'new', null].map(normalizePaymentStatus),
+        ['success', 'failed', 'reversed', 'hold', 'pending', 'pending']);
+    });
+
+    it('polls until a terminal status and reports every change', () => {
+      const seen = [];
+      const onStatus = (status, previous) => {
+        seen.push([previous && previous.status, status.status]);
+        if (status.status === 'pending') {
+          server.setPaymentStatus('o1', 'completed');
+        }
+      };
+
+      return client.waitForPayment('o1', {interval: 1, onStatus}).then(result => {
+        assert.strictEqual(result.status, 'success');
+        assert.strictEqual(result.rawStatus, 'completed');
+        assert.strictEqual(result.orderSlug, 'o1');
+        assert.deepStrictEqual(seen, [[null, 'pending'], ['pending', 'success']]);
+      });
+    });
+
+    it('polls on through not found and 5xx answers but not other errors', () => {
+      server.failNext({path: '/payment/o1', status: 404});
+      server.failNext({path: '/payment/o1', status: 503});
+      server.setPaymentStatus('o1', 'failed');
+
+      return client.waitForPayment('o1', {interval: 1})
+        .then(result => {
+          assert.strictEqual(result.status, 'failed');
+          assert.strictEqual(server.requests.filter(request => request.path === '/api/v1/payment/o1').length, 3);
+          server.failNext({path: '/payment/o1', status: 403});
+          return client.waitForPayment('o1', {interval: 1});
+        })
+        .then(() => assert.fail('resolved'), error => assert.ok(error instanceof AuthenticationError));
+    });
+
+    it('times out with the last status seen', () => {
+      return client.waitForPayment('o1', {timeout: 20, interval: 1}).then(() => assert.fail('resolved'), error => {
+        assert.ok(error instanceof PaymentTimeoutError);
+        assert.strictEqual(error.orderSlug, 'o1');
+        assert.strictEqual(error.lastStatus.status, 'pending');
+      });
+    });
+
+    it('stops when aborted', () => {
+      const controller = new AbortController();
+      const waiting = client.waitForPayment('o1', {interval: 1, signal: controller.signal});
+      controller.abort();
+
+      return waiting.then(() => assert.fail('resolved'), error => assert.strictEqual(error.name, 'AbortError'));
+    });
+  });
+
+  describe('public client', () => {
+    const card = {pan: '4111111111111111', expiry: '12/30', cvv: '123'};
+    let token;
+
+    beforeEach(() => client.clientStore('c1', {first_name: 'Ivan', last_name: 'Petrov'})
+      .then(() => client.paymentFromUnregisteredCardToken('c1', 'https://shop.example/return', 100))
+      .then(response => token = response.data.token));
+
+    it('charges a card with the token of the backend, unsigned', () => {
+      const browser = new PublicClient(server.url);
+
+      return browser.unsignedPaymentFromUnregisteredCard(token, 100, card)
+        .then(response => {
+          assert.strictEqual(response.data.status, 'success');
+          const request = server.requests[server.requests.length - 1];
+          assert.strictEqual(request.path, '/client/v1/charge');
+          assert.strictEqual(request.headers.authorization, undefined);
+          return browser.waitForPaymentByHash(token, {interval: 1});
+        })
+        .then(result => {
+          assert.strictEqual(result.status, 'success');
+          assert.strictEqual(result.hash, token);
+        });
+    });
+
+    it('rejects an unknown token and bad card data with typed errors', () => {
+      const browser = new PublicClient(server.url, {validate: true});
+
+      return browser.unsignedPaymentFromUnregisteredCard('unknown', 100, card)
+        .then(() => assert.fail('resolved'), error => {
+          assert.ok(error instanceof AuthenticationError);
+          assert.strictEqual(error.method, 'unsignedPaymentFromUnregisteredCard');
+          return browser.unsignedPaymentFromUnregisteredCard(token, 100, Object.assign({}, card, {pan: '4111111111111112'}));
+        })
+        .then(() => assert.fail('resolved'), error => {
+          assert.ok(error instanceof ValidationError);
+          assert.strictEqual(error.code, 'local_validation');
+        });
+    });
+
+    it('sends and reads Money', () => {
+      const browser = new PublicClient(server.url, {money: true});
+
+      return browser.unsignedPaymentFromUnregisteredCard(token, Money.parse('1.50'), card).then(response => {
+        assert.strictEqual(JSON.parse(server.requests[server.requests.length - 1].body).amount, 1.5);
+        assert.ok(response.data.amount.equals(Money.parse('1.50')));
+      });
+    });
+  });
+
+  describe('rate limiting', () => {
+    it('pauses after a 429 for the time the bank asked', () => {
+      client = new Client(PARTNER_ID, TOKEN, server.url, {rateLimit: {retryAfter: 0.05}});
+      server.failNext({path: '/balance', status: 429});
+
+      return client.accountBalance().then(() => assert.fail('resolved'), error => {
+        assert.ok(error instanceof RateLimitError);
+        const started = Date.now();
+        return client.accountBalance().then(response => {
+          assert.strictEqual(response.data.balance, 1000000);
+          assert.ok(Date.now() - started >= 40, `waited ${Date.now() - started}ms`);
+        });
+      });
+    });
+
+    it('queues the calls of withPriority() in their lane', () => {
+      const scheduler = new RequestScheduler({concurrency: 1});
+      client = new Client(PARTNER_ID, TOKEN, server.url, {rateLimit: scheduler});
+
+      const calls = [
+        client.withPriority('low').accountBalance(),
+        client.withPriority('low').getAccountHistory(),
+        client.accountBalance()
+      ];
+      assert.strictEqual(scheduler.pending, 2);
+
+      return Promise.all(calls).then(() => {
+        assert.deepStrictEqual(server.requests.map(request => request.path), ['/api/v1/balance', '/api/v1/balance', '/api/v1/transactions']);
+      });
+    });
+  });
+
+  describe('models', () => {
+    beforeEach(() => {
+      client = new Client(PARTNER_ID, TOKEN, server.url, {models: true});
+    });
+
+    it('resolves with camelCase models and keeps the body in raw', () => {
+      return client.clientStore('c1', {first_name: 'Ivan', last_name: 'Petrov', birth_date: '1990-05-01'})
+        .then(() => client.clientShow('c1'))
+        .then(model => {
+          assert.ok(model instanceof models.Client);
+          assert.strictEqual(model.clientId, 'c1');
+          assert.strictEqual(model.person.firstName, 'Ivan');
+          assert.ok(model.person.birthDate instanceof Date);
+          assert.strictEqual(model.person.birthDate.toISOString(), '1990-05-01T00:00:00.000Z');
+          assert.strictEqual(model.raw.person.first_name, 'Ivan');
+          assert.strictEqual(model.response.status, 200);
+          assert.deepStrictEqual(Object.keys(JSON.parse(JSON.stringify(model))), ['clientId', 'status', 'person']);
+        });
+    });
+
+    it('makes a page of transactions with parsed dates', () => {
+      const modelled = client;
+      client = client.withModels(false);
+
+      return createCard().then(barcode => {
+        server.addCardTransaction('c1', barcode, {amount: 5, date: '2024-01-01T12:00:00.000Z'});
+        return modelled.cardTransactions('c1', barcode);
+      }).then(page => {
+        assert.ok(page instanceof models.Page);
+        assert.strictEqual(page.total, 1);
+        assert.ok(page.items[0] instanceof models.Transaction);
+        assert.strictEqual(page.items[0].date.getTime(), Date.parse('2024-01-01T12:00:00.000Z'));
+        assert.strictEqual(page.transactions, undefined);
+      });
+    });
+
+    it('makes a model of the lookup a retry recovered with', () => {
+      client = new Client(PARTNER_ID, TOKEN, server.url, {models: true, retry: {retries: 1, minDelay: 1, jitter: false}});
+      server.failNext({method: 'POST', path: '/account/transfer', processed: true});
+
+      return client.paymentToAccount(100, '40702810938000000001', '044525225', 'OOO Romashka', null, null, 'o1').then(payment => {
+        assert.ok(payment instanceof models.Payment);
+        assert.strictEqual(payment.orderSlug, 'o1');
+        assert.strictEqual(payment.state, 'success');
+        assert.strictEqual(payment.raw.order_slug, 'o1');
+        assert.deepStrictEqual(server.requests.map(request => request.method), ['POST', 'GET']);
+      });
+    });
+  });
+
+  describe('subscriptions', () => {
+    const desired = [
+      {url: 'https://shop.example/hooks', events: ['card.withdrawal', 'card.refill']},
+      {url: 'https://new.example/hooks', events: ['payment']}
+    ];
+
+    beforeEach(() => client.eventSubscriptionStore('https://shop.example/hooks', ['card.refill'])
+      .then(() => client.eventSubscriptionStore('https://old.example/hooks', ['payment']))
+      .then(() => server.requests.splice(0)));
+
+    const urls = () => Object.keys(server.state.subscriptions).map(id => server.state.subscriptions[id].url).sort();
+
+    it('only plans with dryRun', () => {
+      return client.syncSubscriptions(desired, {dryRun: true}).then(report => {
+        assert.strictEqual(report.dryRun, true);
+        assert.deepStrictEqual(report.plan.create.map(item => item.url), ['https://shop.example/hooks', 'https://new.example/hooks']);
+        assert.deepStrictEqual(report.plan.remove.map(item => [item.url, item.reason]), [
+          ['https://shop.example/hooks', 'events_changed'],
+          ['https://old.example/hooks', 'not_desired']
+        ]);
+        assert.deepStrictEqual(server.requests.map(request => request.method), ['GET']);
+        assert.deepStrictEqual(urls(), ['https://old.example/hooks', 'https://shop.example/hooks']);
+      });
+    });
+
+    it('creates the replacements before removing anything', () => {
+      return client.syncSubscriptions(desired).then(report => {
+        assert.strictEqual(report.ok, true);
+        assert.deepStrictEqual(server.requests.map(request => request.method), ['GET', 'POST', 'POST', 'DELETE', 'DELETE']);
+        assert.deepStrictEqual(urls(), ['https://new.example/hooks', 'https://shop.example/hooks']);
+        const shop = Object.keys(server.state.subscriptions).map(id => server.state.subscriptions[id])
+          .find(subscription => subscription.url === 'https://shop.example/hooks');
+        assert.deepStrictEqual(shop.events, ['card.refill', 'card.withdrawal']);
+      });
+    });
+
+    it('keeps a subscription whose replacement failed', () => {
+      server.failNext({method: 'POST', path: '/event-subscriptions'});
+
+      return client.syncSubscriptions(desired).then(report => {
+        assert.strictEqual(report.ok, false);
+        assert.deepStrictEqual(report.failed.map(item => [item.action, item.url]), [['create', 'https://shop.example/hooks']]);
+        assert.ok(report.failed[0].error instanceof ServerError);
+        assert.deepStrictEqual(urls(), ['https://new.example/hooks', 'https://shop.example/hooks']);
+      });
+    });
+
+    it('leaves other URLs alone without prune and drops duplicates', () => {
+      const current = [
+        {id: 's1', url: 'https://shop.example/hooks', events: ['b', 'a']},
+        {id: 's2', url: 'https://shop.example/hooks', events: ['a', 'b']},
+        {id: 's3', url: 'https://old.example/hooks', events: []}
+      ];
+      const plan = planSubscriptions(current, [{url: 'https://shop.example/hooks', events: ['a', 'b', 'a']}], {prune: false});
+
+      assert.deepStrictEqual(plan.create, []);
+      assert.deepStrictEqual(plan.keep.map(item => item.id), ['s1', 's3']);
+      assert.deepStrictEqual(plan.remove.map(item => [item.id, item.reason]), [['s2', 'duplicate']]);
+      assert.throws(() => planSubscriptions([], [{url: 'https://a.example'}, {url: 'https://a.example'}]), /listed twice/);
+    });
+  });
+
+  describe('client profile', () => {
+    const person = {
+      first_name: 'Ivan',
+      last_name: 'Petrov',
+      birth_date: '1990-05-01',
+      phone: '+79991234567',
+      inn: '500100732259',
+      document: {type: 'passport', series: '4510', number: '123456'}
+    };
+
+    beforeEach(() => client.clientStore('c1', person).then(() => server.requests.splice(0)));
+
+    it('sends only the changed fields and masks the log', () => {
+      const next = {phone: '+7 (999) 123-45-67', last_name: 'Sidorov', document: {number: '654321'}};
+
+      return client.clientUpdate('c1', next).then(result => {
+        assert.strictEqual(result.changed, true);
+        assert.deepStrictEqual(result.person, {
+          last_name: 'Sidorov',
+          document: {type: 'passport', series: '4510', number: '654321'}
+        });
+        assert.deepStrictEqual(result.log, ['last_name: Petrov -> Sidorov', 'document.number: ****56 -> ****21']);
+        assert.deepStrictEqual(server.requests.map(request => request.method), ['GET', 'PUT']);
+        assert.deepStrictEqual(JSON.parse(server.requests[1].body).person, result.person);
+      });
+    });
+
+    it('sends nothing when nothing changed', () => {
+      return client.clientUpdate('c1', {birth_date: '1990-05-01T00:00:00Z', inn: '500100732259'}).then(result => {
+        assert.strictEqual(result.changed, false);
+        assert.strictEqual(result.person, null);
+        assert.deepStrictEqual(server.requests.map(request => request.method), ['GET']);
+      });
+    });
+
+    it('shows INN and SNILS in full with reveal', () => {
+      const diff = diffPerson(person, {inn: '7707083893', snils: '112-233-445 95'}, {reveal: true});
+
+      assert.deepStrictEqual(diff.log, ['inn: 500100732259 -> 7707083893', 'snils: (empty) -> 112-233-445 95']);
+      assert.deepStrictEqual(diffPerson(person, {snils: '112-233-445 95'}).log, ['snils: (empty) -> ************95']);
+    });
+
+    it('checks a person field by field', () => {
+      assert.deepStrictEqual(validatePerson(person, {complete: true}), {});
+      assert.deepStrictEqual(validatePerson({first_name: 'Ivan1', birth_date: '2999-01-01', snils: '11223344596'}, {complete: true}), {
+        last_name: ['is required'],
+        phone: ['is required'],
+        first_name: ['must contain letters, spaces, hyphens and apostrophes only'],
+        birth_date: ['must be in the past'],
+        snils: ['must be an 11 digit SNILS with a valid check number']
+      });
+      assert.deepStrictEqual(validatePerson({
+        birth_date: '2000-01-01',
+        document: {series: '45', number: '123456', issue_date: '2010-01-01'}
+      }), {
+        'document.series': ['must be 4 digits'],
+        'document.issue_date': ['must be after the 14th birthday']
+      });
+    });
+  });
+
+  describe('holds', () => {
+    let holds;
+
+    beforeEach(() => {
+      holds = new HoldManager(client);
+    });
+
+    it('captures a Money hold in parts', () => {
+      return holds.create(Money.parse('10.00'), {orderSlug: 'o1', cardInfo: {pan: '4111111111111111'}})
+        .then(state => {
+          assert.strictEqual(state.status, 'authorized');
+          assert.ok(state.remaining.equals(Money.parse('10.00')));
+          return holds.confirm('o1', Money.parse('3.00'));
+        })
+        .then(() => holds.confirm('o1', 2.5))
+        .then(state => {
+          assert.strictEqual(state.status, 'partially_captured');
+          assert.strictEqual(state.remaining.toString(), '4.50 RUB');
+          return holds.reverse('o1');
+        })
+        .then(state => {
+          assert.strictEqual(state.status, 'captured');
+          assert.strictEqual(state.captured.toString(), '5.50 RUB');
+          assert.strictEqual(state.released.toString(), '4.50 RUB');
+          const payment = server.state.payments.o1;
+          assert.deepStrictEqual([payment.amount, payment.confirmed, payment.reversed], [10, 5.5, 4.5]);
+        });
+    });
+
+    it('keeps integer minor units in the storage', () => {
+      return holds.create(Money.parse('10.00'), {orderSlug: 'o1', cardInfo: {pan: '4111111111111111'}})
+        .then(() => holds.confirm('o1', Money.parse('3.00')))
+        .then(() => holds.storage.get('o1'))
+        .then(record => {
+          assert.strictEqual(record.currency, 'RUB');
+          assert.strictEqual(record.amount, 1000);
+          assert.strictEqual(record.captured, 300);
+          assert.deepStrictEqual(record.captures.map(capture => capture.amount), [300]);
+        });
+    });
+
+    it('tracks a hold by its own slug when the bank does not return one', () => {
+      client.use((req, next) => next(req).then(response => {
+        delete response.data.order_slug;
+        return response;
+      }));
+
+      return new HoldManager(client).create(10, {cardInfo: {pan: '4111111111111111'}}).then(state => {
+        assert.ok(state.orderSlug);
+        assert.strictEqual(server.state.payments[state.orderSlug].amount, 10);
+      });
+    });
+
+    it('refreshes and reverses an expired form hold', () => {
+      holds = new HoldManager(client, {expiry: -1000});
+
+      return client.clientStore('c1', {first_name: 'Ivan', last_name: 'Petrov'})
+        .then(() => holds.createWithForm('c1', 'https://shop.example/back', 10))
+        .then(state => {
+          assert.strictEqual(state.status, 'pending');
+          return holds.reverseExpired();
+        })
+        .then(states => {
+          assert.strictEqual(states.length, 1);
+          assert.strictEqual(states[0].status, 'reversed');
+          assert.strictEqual(server.state.payments[states[0].orderSlug].reversed, 10);
+        });
+    });
+
+    it('refuses more than remains', () => {
+      return holds.create(Money.parse('10.00'), {orderSlug: 'o1', cardInfo: {pan: '4111111111111111'}})
+        .then(() => holds.confirm('o1', Money.parse('10.01')))
+        .then(
+          () => assert.fail('resolved'),
+          error => {
+            assert.ok(error instanceof HoldStateError);
+            assert.strictEqual(error.message, 'Can not confirm 10.01 RUB of hold o1, 10.00 RUB remains');
+          }
+        );
+    });
+
+    it('refuses an amount in another currency', () => {
+      return holds.create(Money.parse('10.00'), {orderSlug: 'o1', cardInfo: {pan: '4111111111111111'}})
+        .then(() => holds.confirm('o1', Money.parse('3.00', 'USD')))
+        .then(
+          () => assert.fail('resolved'),
+          error => assert.strictEqual(error.code, 'currency_mismatch')
+        );
+    });
+  });
+
+  describe('reconciliation', () => {
+    it('counts an order in both histories once', () => {
+      return createCard().then(barcode => client.cardRefill('c1', barcode, 100, 'o1')).then(() => {
+        server.state.transactions.push({id: 'trx_account', order_slug: 'o1', amount: -100, date: new Date().toISOString()});
+
+        return new Reconciler(client).reconcile([{orderSlug: 'o1', amount: 100}]);
+      }).then(report => {
+        assert.strictEqual(report.summary.matched, 1);
+        assert.strictEqual(report.matched[0].source, 'transactions,cards-transactions');
+        assert.strictEqual(report.matched[0].actual.toString(), '-100.00 RUB');
+      });
+    });
+
+    it('counts a repeated record once', () => {
+      return createCard().then(barcode => client.cardRefill('c1', barcode, 100, 'o1')).then(() => {
+        server.state.cardTransactions.push(server.state.cardTransactions[0]);
+
+        return new Reconciler(client, {sources: ['cards-transactions']}).reconcile([{orderSlug: 'o1', amount: 100}]);
+      }).then(report => {
+        assert.strictEqual(report.summary.matched, 1);
+        assert.strictEqual(report.summary.bankTransactions, 1);
+      });
+    });
+
+    it('keeps the report when one status lookup fails', () => {
+      server.failNext({method: 'GET', path: '/payment/o2', status: 503});
+
+      return createCard().then(barcode => client.cardRefill('c1', barcode, 100, 'o1')).then(() => {
+        return new Reconciler(client).reconcile([{orderSlug: 'o1', amount: 100}, {orderSlug: 'o2', amount: 50}]);
+      }).then(report => {
+        assert.strictEqual(report.summary.matched, 1);
+        assert.strictEqual(report.summary.errors, 1);
+        assert.strictEqual(report.errors[0].orderSlug, 'o2');
+        assert.ok(report.errors[0].error instanceof ServerError);
+      });
+    });
+
+    it('flags an order with records in two currencies', () => {
+      return createCard().then(barcode => client.cardRefill('c1', barcode, 100, 'o1')).then(() => {
+        server.state.cardTransactions.push({id: 'trx_usd', order_slug: 'o1', amount: 1, currency: 'USD', date: new Date().toISOString()});
+
+        return new Reconciler(client, {sources: ['cards-transactions']}).reconcile([{orderSlug: 'o1', amount: 100}]);
+      }).then(report => {
+        assert.strictEqual(report.summary.amountMismatch, 1);
+        assert.strictEqual(report.amountMismatch[0].mixedCurrencies, true);
+      });
+    });
+  });
+
+  describe('audit', () => {
+    const PAN = '4111111111111111';
+    let records;
+
+    beforeEach(() => {
+      records = [];
+      client = new Client(PARTNER_ID, TOKEN, server.url, {audit: {sinks: record => records.push(record)}});
+    });
+
+    it('keeps card and passport data out of the sinks', () => {
+      const person = {first_name: 'Ivan', last_name: 'Petrov', document: {type: 'passport', series: '4510', number: '654321'}};
+
+      return client.clientStore('c1', person)
+        .then(() => client.cardActivateVirtual('c1'))
+        .then(response => client.setCardPin('c1', response.data.barcode, '2580'))
+        .then(() => client.hold(10, 'o1', {pan: PAN, expiry: '12/30', cvv: '321'}))
+        .then(() => {
+          const [store, , pin, hold] = records;
+          assert.strictEqual(store.request.data.person.document, '[REDACTED]');
+          assert.strictEqual(store.response.person.document, '[REDACTED]');
+          assert.ok(!('pin' in pin.request.data));
+          assert.deepStrictEqual(hold.request.data.card_info, {pan: '411111******1111', expiry: '12/30'});
+          assert.ok(JSON.stringify(records).indexOf(PAN) === -1);
+          assert.ok(JSON.stringify(records).indexOf('654321') === -1);
+        });
+    });
+
+    it('redacts the whole cardCvv response', () => {
+      return createCard()
+        .then(barcode => client.cardCvv('c1', barcode))
+        .then(() => assert.strictEqual(records[records.length - 1].response, '[REDACTED]'));
+    });
+
+    it('needs sinks', () => {
+      assert.throws(() => new Client(PARTNER_ID, TOKEN, server.url, {audit: true}), /audit needs sinks/);
+    });
+  });
+
+  describe('command line', () => {
+    let dir;
+    let output;
+    let io;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+      const config = path.join(dir, 'talkbank.json');
+      fs.writeFileSync(config, JSON.stringify({
+        default: 'test',
+        profiles: {
+          test: {partnerId: PARTNER_ID, token: TOKEN, baseUrl: server.url},
+          prod: {partnerId: 'prod-partner', token: 'prod-token', baseUrl: 'https://bank.example/api/v1'}
+        }
+      }));
+      output = {stdout: '', stderr: ''};
+      io = {
+        stdout: {write: text => output.stdout += text},
+        stderr: {write: text => output.stderr += text},
+        stdin: {isTTY: false},
+        env: {TALKBANK_CONFIG: config}
+      };
+    });
+    afterEach(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+    it('uses a profile named with --profile over the env credentials', () => {
+      const env = Object.assign({}, io.env, {TALKBANK_PARTNER_ID: 'sandbox-partner', TALKBANK_TOKEN: 'sandbox-token'});
+
+      assert.deepStrictEqual(pick(cli.loadProfile('prod', env)), ['prod', 'prod-partner', 'prod-token']);
+      assert.deepStrictEqual(pick(cli.loadProfile(null, env)), ['env', 'sandbox-partner', 'sandbox-token']);
+      assert.deepStrictEqual(pick(cli.loadProfile(null, io.env)), ['test', PARTNER_ID, TOKEN]);
+
+      function pick(profile) {
+        return [profile.name, profile.partnerId, profile.token];
+      }
+    });
+
+    it('refuses to move money without a terminal', () => {
+      return createCard().then(barcode => cli.run(['cards', 'refill', 'c1', barcode, '15.00'], io)).then(code => {
+        assert.strictEqual(code, 1);
+        assert.ok(/Refusing to move money without a terminal/.test(output.stderr));
+        assert.ok(!server.requests.some(request => /\/refill$/.test(request.path)));
+      });
+    });
+
+    it('moves money once confirmed', () => {
+      const questions = [];
+      io.confirm = question => {
+        questions.push(question);
+        return Promise.resolve(true);
+      };
+
+      return createCard().then(barcode => cli.run(['cards', 'refill', 'c1', barcode, '15.00', '--order-id', 'o1'], io).then(code => {
+        assert.strictEqual(code, 0, output.stderr);
+        assert.strictEqual(questions.length, 1);
+        assert.ok(/amount=15,00/.test(questions[0]) && /on profile "test"/.test(questions[0]));
+        assert.strictEqual(server.findCard('c1', barcode).balance, 15);
+      }));
+    });
+
+    it('rejects an amount that is not more than zero', () => {
+      io.confirm = () => assert.fail('asked');
+
+      return cli.run(['cards', 'refill', 'c1', '123', '-5', '--yes'], io).then(code => {
+        assert.strictEqual(code, 2);
+        assert.ok(/amount must be more than zero, got "-5"/.test(output.stderr));
+      });
+    });
+
+    it('rejects an unknown option', () => {
+      return cli.run(['cards', 'balance', 'c1', '123', '--colour', 'red'], io).then(code => {
+        assert.strictEqual(code, 2);
+        assert.ok(/Unknown option --colour for "cards balance"/.test(output.stderr));
+      });
+    });
+  });
+
+  describe('partners', () => {
+    it('reads credentials from env variables, the previous token last', () => {
+      assert.deepStrictEqual(credentialsFromEnv('acme-prod', {
+        TALKBANK_ACME_PROD_PARTNER_ID: 'acme',
+        TALKBANK_ACME_PROD_TOKEN: 'new, newer',
+        TALKBANK_ACME_PROD_PREVIOUS_TOKEN: 'old'
+      }), {partnerId: 'acme', tokens: ['new', 'newer', 'old'], environment: null});
+      assert.strictEqual(credentialsFromEnv('acme', {TALKBANK_ACME_PARTNER_ID: 'acme'}), null);
+    });
+
+    it('has no built-in production URL', () => {
+      assert.strictEqual(environmentUrl(null), 'https://baas_test.talkbank.io/api/v1');
+      assert.strictEqual(environmentUrl('https://bank.example/api/v1'), 'https://bank.example/api/v1');
+      assert.throws(() => environmentUrl('production'), /Unknown environment production/);
+    });
+
+    it('takes the secrets provider over env variables and the config', () => {
+      const pool = new ClientPool({
+        partners: {acme: {environment: server.url, partnerId: 'config', token: 'config-token'}},
+        env: {TALKBANK_ACME_PARTNER_ID: 'env', TALKBANK_ACME_TOKEN: 'env-token'},
+        secrets: () => Promise.resolve({partnerId: PARTNER_ID, tokens: [TOKEN]})
+      });
+
+      return pool.get('acme').then(acme => {
+        assert.deepStrictEqual([acme.partnerId, acme.tokens, acme.baseUrl], [PARTNER_ID, [TOKEN], server.url]);
+        return acme.accountBalance();
+      });
+    });
+
+    it('hands the refreshed tokens to the same client', () => {
+      let tokens = ['old-token'];
+      const pool = new ClientPool({
+        partners: {acme: {environment: server.url}},
+        env: false,
+        secrets: () => Promise.resolve({partnerId: PARTNER_ID, tokens: tokens})
+      });
+
+      return pool.get('acme').then(first => {
+        tokens = [TOKEN, 'old-token'];
+        return pool.refresh('acme').then(refreshed => {
+          assert.strictEqual(refreshed, first);
+          assert.deepStrictEqual(refreshed.tokens, [TOKEN, 'old-token']);
+          return refreshed.accountBalance();
+        });
+      });
+    });
+
+    it('keeps the tokens it had when a refresh fails', () => {
+      let partnerId = PARTNER_ID;
+      const pool = new ClientPool({
+        partners: {acme: {environment: server.url}},
+        env: false,
+        secrets: () => Promise.resolve({partnerId: partnerId, token: TOKEN})
+      });
+
+      return pool.get('acme')
+        .then(() => {
+          partnerId = 'someone-else';
+          return pool.refresh('acme');
+        })
+        .then(() => assert.fail('resolved'), error => assert.ok(/changed its partnerId/.test(error.message)))
+        .then(() => pool.get('acme'))
+        .then(acme => assert.deepStrictEqual([acme.partnerId, acme.tokens], [PARTNER_ID, [TOKEN]]));
+    });
+
+    it('rotates tokens without asking the secrets provider', () => {
+      let asked = 0;
+      const pool = new ClientPool({
+        partners: {acme: {environment: server.url}},
+        env: false,
+        secrets: () => {
+          asked++;
+          return Promise.resolve({partnerId: PARTNER_ID, token: 'old-token'});
+        }
+      });
+
+      return pool.rotate('acme', [TOKEN, 'old-token']).then(acme => {
+        assert.strictEqual(asked, 1);
+        assert.deepStrictEqual(acme.tokens, [TOKEN, 'old-token']);
+        return acme.accountBalance();
+      });
+    });
+
+    it('does not cache a failed lookup', () => {
+      let fail = true;
+      const pool = new ClientPool({
+        partners: {acme: {environment: server.url}},
+        env: false,
+        secrets: () => fail ? Promise.reject(new Error('vault is down')) : Promise.resolve({partnerId: PARTNER_ID, token: TOKEN})
+      });
+
+      return pool.get('acme')
+        .then(() => assert.fail('resolved'), error => assert.strictEqual(error.message, 'vault is down'))
+        .then(() => {
+          fail = false;
+          return pool.get('acme');
+        })
+        .then(acme => assert.strictEqual(acme.partnerId, PARTNER_ID));
+    });
+  });
+
+  describe('card issuance', () => {
+    beforeEach(() => client.clientStore('c1', {first_name: 'Ivan', last_name: 'Petrov'}));
+
+    it('stops after the delivery of a physical card by default', () => {
+      return client.issuePhysicalCard('c1', {address: 'Moscow'}).then(result => {
+        assert.ok(result.barcode);
+        assert.strictEqual(result.card, null);
+        assert.deepStrictEqual(result.steps.map(step => step.step), ['delivery']);
+        assert.ok(!server.requests.some(request => /\/activate$/.test(request.path)));
+        assert.strictEqual(server.findCard('c1', result.barcode).status, 'inactive');
+      });
+    });
+
+    it('sets up a delivered card', () => {
+      return client.issuePhysicalCard('c1', {address: 'Moscow'})
+        .then(issued => client.setUpDeliveredCard('c1', issued.barcode, {pin: '1234'}))
+        .then(result => {
+          assert.strictEqual(result.virtual, false);
+          assert.strictEqual(server.findCard('c1', result.barcode).status, 'active');
+          assert.ok(result.card);
+        });
+    });
+  });
+
+  describe('transaction export', () => {
+    let barcode;
+
+    beforeEach(() => createCard().then(created => {
+      barcode = created;
+      server.addCardTransaction('c1', barcode, {id: 't1', amount: 1000, date: '2024-01-01T21:30:00.000Z', description: 'Top up'});
+      server.addCardTransaction('c1', barcode, {id: 't2', amount: -150.5, date: '2024-01-02T09:00:00.000Z', description: 'Coffee, "Bean"'});
+    }));
+
+    function read(readable) {
+      return new Promise((resolve, reject) => {
+        let text = '';
+        readable.on('data', chunk => text += chunk);
+        readable.on('end', () => resolve(text));
+        readable.on('error', reject);
+      });
+    }
+
+    it('writes CSV with quoted cells in the export time zone', () => {
+      const columns = ['date', 'id', 'amount', 'currency', 'description'];
+
+      return read(createTransactionStream(client, {columns, timeZone: 'Europe/Moscow'})).then(text => {
+        assert.deepStrictEqual(text.split('\r\n'), [
+          'date,id,amount,currency,description',
+          '2024-01-02T00:30:00+03:00,t1,1000.00,RUB,Top up',
+          '2024-01-02T12:00:00+03:00,t2,-150.50,RUB,"Coffee, ""Bean"""',
+          ''
+        ]);
+      });
+    });
+
+    it('keeps spreadsheet formulas in CSV cells from running', () => {
+      server.addCardTransaction('c1', barcode, {id: 't3', amount: -1, date: '2024-01-03T09:00:00.000Z', description: '=HYPERLINK("http://evil.example")'});
+      server.addCardTransaction('c1', barcode, {id: '@t4', amount: 1, date: '2024-01-04T09:00:00.000Z', description: '-2+3'});
+
+      return read(createTransactionStream(client, {columns: ['id', 'amount', 'description'], delimiter: ';'})).then(text => {
+        assert.deepStrictEqual(text.split('\r\n').slice(3), [
+          't3;-1.00;"\'=HYPERLINK(""http://evil.example"")"',
+          '\'@t4;1.00;\'-2+3',
+          ''
+        ]);
+      });
+    });
+
+    it('writes OFX and QIF statements', () => {
+      const options = {source: 'card', cards: [{clientId: 'c1', barcode}], account: '40702810938000000001', bankId: '044525225'};
+
+      return Promise.all([
+        read(createTransactionStream(client, Object.assign({format: 'ofx'}, options))),
+        read(createTransactionStream(client, Object.assign({format: 'qif'}, options)))
+      ]).then(([ofx, qif]) => {
+        assert.ok(ofx.startsWith('OFXHEADER:100\n'));
+        assert.ok(ofx.includes('<BANKID>044525225<ACCTID>40702810938000000001'));
+        assert.ok(ofx.includes('<TRNTYPE>CREDIT\n<DTPOSTED>20240101213000[+0]\n<TRNAMT>1000.00\n<FITID>t1'));
+        assert.ok(ofx.includes('<TRNTYPE>DEBIT\n<DTPOSTED>20240102090000[+0]\n<TRNAMT>-150.50\n<FITID>t2'));
+        assert.ok(ofx.endsWith('</OFX>\n'));
+        assert.strictEqual(qif, '!Type:Bank\nD01/01/2024\nT1000.00\nPTop up\nNt1\n^\nD01/02/2024\nT-150.50\nPCoffee, "Bean"\nNt2\n^\n');
+      });
+    });
+
+    it('streams JSON Lines into a writable and counts the records', () => {
+      const lines = [];
+      const output = new stream.Writable({
+        write(chunk, encoding, callback) {
+          lines.push(JSON.parse(chunk));
+          callback();
+        }
+      });
+
+      return exportTransactions(client, output, {format: 'jsonl', filter: record => record.amount < 0}).then(result => {
+        assert.deepStrictEqual(result, {count: 1});
+        assert.deepStrictEqual(lines.map(line => [line.id, line.amount]), [['t2', -150.5]]);
+      });
+    });
+
+    it('refuses an unknown format', () => {
+      assert.throws(() => createTransactionStream(client, {format: 'xls'}), /Unknown export format xls/);
+    });
+  });
+
+  describe('paging', () => {
+    let barcode;
+
+    beforeEach(() => createCard().then(created => {
+      barcode = created;
+      for (let i = 1; i <= 5; i++) {
+        server.addCardTransaction('c1', barcode, {amount: i, date: `2024-01-0${i}T12:00:00.000Z`});
+      }
+    }));
+
+    function collect(iterator) {
+      const records = [];
+      return (async () => {
+        for await (const record of iterator) {
+          records.push(record);
+        }
+        return records;
+      })();
+    }
+
+    it('walks every page lazily', () => {
+      const before = server.requests.length;
+
+      return collect(client.iterateCardTransactions('c1', barcode, {limit: 2})).then(records => {
+        assert.deepStrictEqual(records.map(record => record.amount), [1, 2, 3, 4, 5]);
+        assert.strictEqual(server.requests.length - before, 3);
+      });
+    });
+
+    it('stops at maxItems', () => {
+      return collect(client.iterateCardTransactions('c1', barcode, {limit: 2, maxItems: 3}))
+        .then(records => assert.deepStrictEqual(records.map(record => record.amount), [1, 2, 3]));
+    });
+
+    it('splits a long date range into windows', () => {
+      const options = {dateFrom: '2024-01-01T00:00:00Z', dateTo: '2024-01-05T23:59:59Z', windowDays: 2};
+
+      return collect(client.iterateCardTransactions('c1', barcode, options)).then(records => {
+        assert.deepStrictEqual(records.map(record => record.amount), [1, 2, 3, 4, 5]);
+        const pages = server.requests.filter(request => /\/transactions$/.test(request.path));
+        assert.strictEqual(pages.length, 3);
+      });
+    });
+  });
+});
+
+describe('Signer', () => {
+  const signer = new Signer(PARTNER_ID, TOKEN);
+  const request = {method: 'POST', path: '/api/v1/hold', query: 'b=2&a=1', body: '{"amount":10}'};
+
+  function signed(changes = {}) {
+    return Object.assign({}, request, {headers: signer.sign(request)}, changes);
+  }
+
+  it('verifies what it signed', () => {
+    const headers = signer.sign(request);
+
+    assert.ok(/^TB1-HMAC-SHA256 partner:[0-9a-f]{64}$/.test(headers.Authorization));
+    signer.verify(signed());
+    signer.verify(Object.assign(signed(), {path: undefined, query: undefined, url: '/api/v1/hold?b=2&a=1'}));
+  });
+
+  it('signs the query sorted by name', () => {
+    const headers = {date: 'Mon, 15 Jan 2024 00:00:00 GMT'};
+
+    assert.strictEqual(signer.canonicalString(Object.assign({}, request, {headers})),
+      signer.canonicalString(Object.assign({}, request, {headers, query: 'a=1&b=2'})));
+    assert.strictEqual(signer.canonicalString(Object.assign({}, request, {headers})).split('\n')[2], 'a=1&b=2');
+  });
+
+  it('rejects a changed body, another partner, a stale date and a wrong token', () => {
+    const stale = new Date(Date.now() - 600 * 1000).toUTCString();
+    const old = Object.assign({}, request, {headers: {date: stale}});
+
+    assert.throws(() => signer.verify(signed({body: '{"amount":1000}'})), /Body does not match/);
+    assert.throws(() => new Signer('other', TOKEN).verify(signed()), /Unknown partner/);
+    assert.throws(() => signer.verify(Object.assign({}, old, {headers: signer.sign(old)})), /Stale date/);
+    assert.throws(() => new Signer(PARTNER_ID, 'other-token').verify(signed()), error => error instanceof SignatureError
+      && error.message === 'Invalid signature');
+  });
+});
+
+describe('WebhookHandler', () => {
+  function callback(token, payload) {
+    const body = JSON.stringify(payload);
+    const signed = new Signer(PARTNER_ID, token).sign({method: 'POST', path: '/hooks', query: '', body: body});
+    const headers = {};
+    Object.keys(signed).forEach(name => headers[name.toLowerCase()] = signed[name]);
+
+    return {headers: headers, body: body};
+  }
+
+  it('dispatches a verified event to its handlers', () => {
+    const seen = [];
+    const handler = new WebhookHandler(PARTNER_ID, TOKEN)
+      .on('payment_status', payload => seen.push(payload.order_slug))
+      .on('*', (payload, event) => seen.push(event));
+    const {headers, body} = callback(TOKEN, {event: 'payment_status', order_slug: 'o1'});
+
+    return handler.handle('POST', '/hooks', headers, body)
+      .then(() => assert.deepStrictEqual(seen, ['o1', 'payment_status']));
+  });
+
+  it('accepts every token of a rotation', () => {
+    const handler = new WebhookHandler(PARTNER_ID, ['new-token', TOKEN]);
+    const {headers, body} = callback(TOKEN, {event: 'payment_status'});
+
+    return handler.handle('POST', '/hooks', headers, body);
+  });
+
+  it('rejects a callback signed with another token', () => {
+    const handler = new WebhookHandler(PARTNER_ID, TOKEN);
+    const {headers, body} = callback('wrong-token', {event: 'payment_status'});
+
+    return handler.handle('POST', '/hooks', headers, body).then(
+      () => assert.fail('resolved'),
+      error => {
+        assert.ok(error instanceof WebhookVerificationError);
+        assert.strictEqual(error.statusCode, 401);
+      }
+    );
+  });
+
+  it('needs at least one token', () => {
+    assert.throws(() => new WebhookHandler(PARTNER_ID, []), /token is required/);
+    assert.throws(() => new WebhookHandler(PARTNER_ID, null), /token is required/);
+  });
+});
+
+describe('audit.redact', () => {
+  it('drops secrets and masks card numbers at any depth', () => {
+    const redacted = audit.redact({
+      payments: [{card_info: {PAN: '4111 1111 1111 1111', CVV: '123', expiry: '12/30'}}],
+      card_number: 2200700000000004,
+      pin_code: '1234',
+      secret_word: 'owl'
+    }, {keys: ['secret_word']});
+
+    assert.deepStrictEqual(redacted, {
+      payments: [{card_info: {PAN: '411111******1111', expiry: '12/30'}}],
+      card_number: '220070******0004'
+    });
+  });
+
+  it('replaces passport data of a person only', () => {
+    const redacted = audit.redact({
+      client: {person: {first_name: 'Ivan', document: {number: '654321'}, passport_number: '654321'}},
+      document: {id: 'doc_1'}
+    });
+
+    assert.deepStrictEqual(redacted, {
+      client: {person: {first_name: 'Ivan', document: '[REDACTED]', passport_number: '[REDACTED]'}},
+      document: {id: 'doc_1'}
+    });
+  });
+});
+
+describe('FileInboxStorage', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inbox-'));
+    file = path.join(dir, 'inbox.jsonl');
+  });
+  afterEach(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+  function record(id) {
+    return {id: id, key: `key-${id}`, seq: null, status: 'pending', receivedAt: new Date().toISOString()};
+  }
+
+  it('drops a last line cut short by a crash', () => {
+    fs.writeFileSync(file, `${JSON.stringify(Object.assign(record('a'), {seq: 1}))}\n{"id":"b","ke`);
+    const storage = new WebhookInbox.FileStorage(file);
+
+    return storage.list()
+      .then(records => assert.deepStrictEqual(records.map(item => item.id), ['a']))
+      .then(() => storage.add(record('c')))
+      .then(() => new WebhookInbox.FileStorage(file).list())
+      .then(records => assert.deepStrictEqual(records.map(item => [item.id, item.seq]), [['a', 1], ['c', 2]]));
+  });
+
+  it('moves a corrupt line aside and loads the rest', () => {
+    const good = [record('a'), record('c')].map((item, index) => JSON.stringify(Object.assign(item, {seq: index + 1})));
+    fs.writeFileSync(file, `${good[0]}\n{"id":"b",\n${good[1]}\n`);
+    const reported = [];
+    const storage = new WebhookInbox.FileStorage(file, {onCorrupt: (error, line) => reported.push([error.message, line])});
+
+    return storage.list()
+      .then(records => {
+        assert.deepStrictEqual(records.map(item => item.id), ['a', 'c']);
+        assert.strictEqual(reported.length, 1);
+        assert.ok(/inbox\.jsonl:2 is not valid JSON/.test(reported[0][0]));
+        assert.strictEqual(reported[0][1], '{"id":"b",');
+        assert.strictEqual(fs.readFileSync(`${file}.corrupt`, 'utf8'), '{"id":"b",\n');
+        return storage.add(record('d'));
+      })
+      .then(() => new WebhookInbox.FileStorage(file, {onCorrupt: error => assert.fail(error)}).list())
+      .then(records => assert.deepStrictEqual(records.map(item => [item.id, item.seq]), [['a', 1], ['c', 2], ['d', 3]]));
+  });
+
+  it('reads the file again after a failed read', () => {
+    fs.mkdirSync(file);
+    const storage = new WebhookInbox.FileStorage(file);
+
+    return storage.list().then(() => assert.fail('resolved'), error => assert.strictEqual(error.code, 'EISDIR'))
+      .then(() => {
+        fs.rmdirSync(file);
+        fs.writeFileSync(file, `${JSON.stringify(Object.assign(record('b'), {seq: 2}))}\n`);
+        return storage.list();
+      })
+      .then(records => assert.deepStrictEqual(records.map(item => item.id), ['b']));
+  });
+
+  it('keeps a record it could not write out of memory', () => {
+    const storage = new WebhookInbox.FileStorage(file);
+
+    return storage.list()
+      .then(() => {
+        fs.mkdirSync(file);
+        return storage.add(record('a'));
+      })
+      .then(() => assert.fail('resolved'), error => assert.strictEqual(error.code, 'EISDIR'))
+      .then(() => {
+        fs.rmdirSync(file);
+        return storage.add(record('a'));
+      })
+      .then(added => {
+        assert.strictEqual(added, true);
+        return new WebhookInbox.FileStorage(file).list();
+      })
+      .then(records => assert.deepStrictEqual(records.map(item => [item.id, item.seq]), [['a', 1]]));
+  });
+});
+
+describe('cards', () => {
+  const now = new Date('2024-01-15T00:00:00Z');
+
+  it('takes the CVV length from the scheme', () => {
+    assert.deepStrictEqual(cards.validateCardInfo({pan: '378282246310005', expiry: '12/30', cvv: '1234'}, {now}), []);
+    assert.deepStrictEqual(cards.validateCardInfo({pan: '378282246310005', expiry: '12/30', cvv: '123'}, {now}),
+      ['cvv must be 4 digits for amex']);
+    assert.deepStrictEqual(cards.validateCardInfo({pan: '4111111111111111', expiry: '12/30', cvv: '1234'}, {now}),
+      ['cvv must be 3 digits for visa']);
+  });
+
+  it('masks short card numbers down to the last 4 digits', () => {
+    assert.strictEqual(cards.maskPan('2200700000000004'), '220070******0004');
+    assert.strictEqual(cards.maskPan('378282246310005'), '***********0005');
+    assert.strictEqual(cards.maskPan('123456789012'), '********9012');
+    assert.strictEqual(cards.maskPan('12345678901'), '[REDACTED]');
+  });
+
+  it('accepts 3 or 4 CVV digits of an unknown scheme', () => {
+    assert.deepStrictEqual(cards.checkCvv('123'), []);
+    assert.deepStrictEqual(cards.checkCvv('1234', null), []);
+    assert.deepStrictEqual(cards.checkCvv('12'), ['must be 3 or 4 digits']);
+  });
+});
+
+describe('requisites', () => {
+  it('checks the control key of bank and Bank of Russia accounts', () => {
+    [
+      // Correspondent accounts of banks, keyed by 0 and the BIK's 5th and 6th digits
+      ['044525225', '30101810400000000225', true],
+      ['044525974', '30101810145250000974', true],
+      ['044525187', '30101810700000000187', true],
+      // Treasury account at a Bank of Russia division
+      ['044525000', '40101810045250010041', true],
+      // Settlement account at a bank, keyed by the BIK's last 3 digits
+      ['044525225', '40702810938000000001', true],
+      ['044525225', '40702810938000000002', false],
+      ['044525225', '30101810400000000226', false],
+      ['044030653', '30101810500000000653', true],
+      ['044030653', '30101810400000000225', false],
+      ['044525225', '4070281093800000000', false]
+    ].forEach(([bik, account, valid]) => assert.strictEqual(isValidAccount(account, bik), valid, `${bik} / ${account}`));
+  });
+
+  it('checks BIKs and the check digits of INNs', () => {
+    assert.strictEqual(isValidBik('044525225'), true);
+    assert.strictEqual(isValidBik('144525225'), false);
+    assert.strictEqual(isValidBik('04452522'), false);
+    assert.strictEqual(isValidInn('7707083893'), true);
+    assert.strictEqual(isValidInn('7707083894'), false);
+    assert.strictEqual(isValidInn('500100732259'), true);
+    assert.strictEqual(isValidInn('500100732258'), false);
+  });
+
+  it('leaves the INN and SNILS checks of a person as they were', () => {
+    assert.deepStrictEqual(validatePerson({inn: '500100732259', snils: '112-233-445 95'}), {});
+    assert.deepStrictEqual(validatePerson({inn: '500100732258', snils: '112-233-445 96'}), {
+      inn: ['must be a 12 digit INN with valid check digits'],
+      snils: ['must be an 11 digit SNILS with a valid check number']
+    });
+    // An organization's INN is valid in requisites but not for a person
+    assert.deepStrictEqual(validatePerson({inn: '7707083893'}), {inn: ['must be a 12 digit INN with valid check digits']});
+  });
+});
+
+describe('dateWindows', () => {
+  it('splits a range into inclusive windows', () => {
+    assert.deepStrictEqual(dateWindows('2024-01-01T00:00:00Z', '2024-01-03T00:00:00Z', 2), [
+      {from: '2024-01-01T00:00:00.000Z', to: '2024-01-02T23:59:59.999Z'},
+      {from: '2024-01-03T00:00:00.000Z', to: '2024-01-03T00:00:00.000Z'}
+    ]);
+  });
+
+  it('keeps the whole last day of a date-only dateTo', () => {
+    assert.deepStrictEqual(dateWindows('2024-01-01', '2024-01-31', 31), [
+      {from: '2024-01-01T00:00:00.000Z', to: '2024-01-31T23:59:59.999Z'}
+    ]);
+    assert.deepStrictEqual(dateWindows(null, '2024-01-31', 31), [{from: null, to: '2024-01-31T23:59:59.999Z'}]);
+  });
+});
+
+describe('iteratePages', () => {
+  const records = [1, 2, 3, 4, 5];
+
+  // The bank answers with at most 2 records, whatever the limit asked for
+  function capped(body) {
+    const pages = [];
+    const fetchPage = (from, to, page) => {
+      pages.push(page);
+      return Promise.resolve({data: body(records.slice((page - 1) * 2, page * 2))});
+    };
+    fetchPage.pages = pages;
+    return fetchPage;
+  }
+
+  async function collect(fetchPage) {
+    const found = [];
+    for await (const record of iteratePages(fetchPage, {limit: 10})) {
+      found.push(record);
+    }
+    return found;
+  }
+
+  it('reads on after a page shorter than the limit until an empty one', () => {
+    const fetchPage = capped(transactions => ({transactions}));
+
+    return collect(fetchPage).then(found => {
+      assert.deepStrictEqual(found, records);
+      assert.deepStrictEqual(fetchPage.pages, [1, 2, 3, 4]);
+    });
+  });
+
+  it('stops at the total or the page count of the response', () => {
+    const byTotal = capped(transactions => ({total: 5, transactions}));
+    const byPages = capped(transactions => ({pages: 3, transactions}));
+
+    return Promise.all([collect(byTotal), collect(byPages)]).then(([first, second]) => {
+      assert.deepStrictEqual(first, records);
+      assert.deepStrictEqual(second, records);
+      assert.deepStrictEqual(byTotal.pages, [1, 2, 3]);
+      assert.deepStrictEqual(byPages.pages, [1, 2, 3]);
+    });
+  });
+});
+
+describe('RequestScheduler', () => {
+  function deferred() {
+    let resolve;
+    const promise = new Promise(done => resolve = done);
+    return {promise, resolve};
+  }
+
+  it('serves higher lanes first once a slot is free', () => {
+    const scheduler = new RequestScheduler({concurrency: 1});
+    const order = [];
+    const first = deferred();
+    const task = name => () => {
+      order.push(name);
+      return name === 'first' ? first.promise : Promise.resolve();
+    };
+
+    const done = Promise.all([
+      scheduler.schedule(task('first')),
+      scheduler.schedule(task('low'), {priority: 'low'}),
+      scheduler.schedule(task('normal')),
+      scheduler.schedule(task('lock'), {name: 'cardLock'})
+    ]);
+    assert.deepStrictEqual(order, ['first']);
+    first.resolve();
+
+    return done.then(() => assert.deepStrictEqual(order, ['first', 'lock', 'normal', 'low']));
+  });
+
+  it('spaces requests out to the rate after the burst', () => {
+    const scheduler = new RequestScheduler({rate: 20, burst: 1});
+    const times = [];
+    const task = () => times.push(Date.now());
+
+    return Promise.all([1, 2, 3].map(() => scheduler.schedule(task))).then(() => {
+      assert.ok(times[1] - times[0] >= 40, `${times[1] - times[0]}ms`);
+      assert.ok(times[2] - times[0] >= 90, `${times[2] - times[0]}ms`);
+    });
+  });
+
+  it('lets other requests past a group at its limit', () => {
+    const scheduler = new RequestScheduler({groups: {cards: {match: /^\/clients\//, concurrency: 1}}});
+    const order = [];
+    const first = deferred();
+
+    const done = Promise.all([
+      scheduler.schedule(() => order.push('card 1') && first.promise, {path: '/clients/c1/cards/1/balance'}),
+      scheduler.schedule(() => order.push('card 2'), {path: '/clients/c1/cards/2/balance'}),
+      scheduler.schedule(() => order.push('balance'), {path: '/balance'})
+    ]);
+    assert.deepStrictEqual(order, ['card 1', 'balance']);
+    first.resolve();
+
+    return done.then(() => assert.deepStrictEqual(order, ['card 1', 'balance', 'card 2']));
+  });
+
+  it('pauses only the group that got a 429', () => {
+    const scheduler = new RequestScheduler({groups: {cards: {match: /^\/clients\//}}});
+    const limited = new RateLimitError('Too many requests', {status: 429, retryAfter: 0.05});
+    const order = [];
+
+    return scheduler.schedule(() => Promise.reject(limited), {path: '/clients/c1'})
+      .then(() => assert.fail('resolved'), error => assert.strictEqual(error, limited))
+      .then(() => {
+        const started = Date.now();
+        return Promise.all([
+          scheduler.schedule(() => order.push('card') && Date.now() - started, {path: '/clients/c1'}),
+          scheduler.schedule(() => order.push('balance'), {path: '/balance'})
+        ]);
+      })
+      .then(([waited]) => {
+        assert.deepStrictEqual(order, ['balance', 'card']);
+        assert.ok(waited >= 40, `${waited}ms`);
+      });
+  });
+
+  it('refuses an unknown priority', () => {
+    return new RequestScheduler().schedule(() => null, {priority: 'urgent'})
+      .then(() => assert.fail('resolved'), error => assert.ok(/Unknown priority urgent/.test(error.message)));
+  });
+});
+
+describe('RetryPolicy', () => {
+  const policy = new RetryPolicy({retries: 2, minDelay: 1, jitter: false});
+  const timeout = new ServerError('POST /hold failed with status 504', {status: 504});
+
+  function failOnce(result) {
+    let calls = 0;
+    const send = () => ++calls === 1 ? Promise.reject(timeout) : Promise.resolve(result);
+    send.calls = () => calls;
+    return send;
+  }
+
+  it('resolves with the lookup of an order the bank accepted', () => {
+    const send = failOnce({data: {status: 'created'}});
+    const lookup = {data: {order_slug: 'o1', status: 'hold'}};
+
+    return policy.execute(send, 'POST', () => Promise.resolve(lookup)).then(result => {
+      assert.strictEqual(result, lookup);
+      assert.strictEqual(send.calls(), 1);
+    });
+  });
+
+  it('rethrows the original error for an order the bank declined', () => {
+    const send = failOnce({data: {status: 'created'}});
+
+    return policy.execute(send, 'POST', () => Promise.resolve({data: {order_slug: 'o1', status: 'declined'}})).then(
+      () => assert.fail('resolved'),
+      error => {
+        assert.strictEqual(error, timeout);
+        assert.strictEqual(send.calls(), 1);
+      }
+    );
+  });
+
+  it('rethrows the original error when the lookup has no status', () => {
+    return policy.execute(failOnce({}), 'POST', () => Promise.resolve({data: {}})).then(
+      () => assert.fail('resolved'),
+      error => assert.strictEqual(error, timeout)
+    );
+  });
+
+  it('resends an order the bank has not seen', () => {
+    const send = failOnce({data: {status: 'created'}});
+    const notFound = () => Promise.reject(new NotFoundError('Payment o1 not found', {status: 404}));
+
+    return policy.execute(send, 'POST', notFound).then(result => {
+      assert.deepStrictEqual(result, {data: {status: 'created'}});
+      assert.strictEqual(send.calls(), 2);
+    });
+  });
+
+  it('waits as long as a Retry-After date says', () => {
+    // Answers 429 once, the backoff alone would outlast the test
+    function limitedOnce(retryAfter) {
+      const times = [];
+      const transport = () => {
+        if (times.push(Date.now()) > 1) {
+          return Promise.resolve({status: 200, headers: {}, data: {balance: 1}});
+        }
+        const error = new Error('Request failed with status code 429');
+        error.response = {status: 429, headers: {'retry-after': retryAfter}, data: {}};
+        return Promise.reject(error);
+      };
+      const client = new Client(PARTNER_ID, TOKEN, 'http://bank.test/api/v1', {retry: {retries: 1, minDelay: 60000, jitter: false}, transport});
+      return {client, times};
+    }
+    const past = limitedOnce(new Date(Date.now() - 5000).toUTCString());
+    const soon = limitedOnce(new Date(Date.now() + 1000).toUTCString());
+
+    return past.client.accountBalance()
+      .then(() => soon.client.accountBalance())
+      .then(() => {
+        assert.strictEqual(past.times.length, 2);
+        assert.ok(soon.times[1] - soon.times[0] <= 1000, `${soon.times[1] - soon.times[0]}ms`);
+      });
+  });
+});
+
+describe('Money', () => {
+  it('reads wire amounts as roubles by default', () => {
+    assert.strictEqual(Money.fromWire(1500.5).minor, 150050);
+    assert.strictEqual(Money.fromWire('1500.50').minor, 150050);
+    assert.strictEqual(Money.fromWire('150050', 'minor').minor, 150050);
+    assert.strictEqual(Money.parse('10.00').toWire(), 10);
+    assert.strictEqual(Money.parse('10.00').toWire('minor'), 1000);
+  });
+
+  it('refuses a number with more decimals than the currency has, as it refuses the string', () => {
+    assert.throws(() => Money.fromWire(10.005), /10.005 has more than 2 decimal places for RUB/);
+    assert.throws(() => Money.fromWire('10.005'), /more than 2 decimal places/);
+    assert.strictEqual(Money.fromWire(0.29).minor, 29);
+    assert.throws(() => Money.fromWire(1.5, 'major', 'JPY'), /more than 0 decimal places/);
+  });
+
+  it('gives nested records the currency of their parent', () => {
+    const data = Money.fromResponse({currency: 'USD', amount: 1, items: [{amount: 2}, {amount: 3, currency: 'EUR'}]});
+
+    assert.deepStrictEqual([data.amount, data.items[0].amount, data.items[1].amount].map(String), ['1.00 USD', '2.00 USD', '3.00 EUR']);
+  });
+
+  function answering(data, options = null) {
+    return new Client(PARTNER_ID, TOKEN, 'http://bank.test/api/v1', Object.assign({
+      money: true,
+      transport: () => Promise.resolve({status: 200, headers: {'x-request-id': 'r1'}, data: data})
+    }, options));
+  }
+
+  it('reads string amounts of a response', () => {
+    return answering({balance: '1500.50', currency: 'RUB'}).accountBalance()
+      .then(response => assert.strictEqual(response.data.balance.minor, 150050));
+  });
+
+  it('rejects an amount it can not read with ResponseError', () => {
+    return answering({balance: 'n/a'}).accountBalance().then(
+      () => assert.fail('resolved'),
+      error => {
+        assert.ok(error instanceof ResponseError);
+        assert.strictEqual(error.code, 'invalid_amount');
+        assert.strictEqual(error.requestId, 'r1');
+        assert.strictEqual(error.method, 'accountBalance');
+      }
+    );
+  });
+
+  it('rejects fractional minor units with ResponseError', () => {
+    return answering({balance: 12.5}, {amountUnit: 'minor'}).accountBalance().then(
+      () => assert.fail('resolved'),
+      error => assert.ok(error instanceof ResponseError)
+    );
+  });
+});
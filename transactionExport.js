@@ -0,0 +1,386 @@
+const stream = require('stream');
+const util = require('util');
+const Money = require('./Money');
+const {ResponseError} = require('./errors');
+
+const pipeline = util.promisify(stream.pipeline);
+
+// Fields holding a date, rewritten into the export time zone
+const DATE_FIELDS = ['date', 'created_at', 'updated_at', 'processed_at'];
+
+const DEFAULT_COLUMNS = ['date', 'id', 'client_id', 'barcode', 'order_slug', 'amount', 'currency', 'description'];
+
+const FORMATS = {
+  csv: csv,
+  jsonl: jsonl,
+  ofx: ofx,
+  qif: qif
+};
+
+/**
+ * Export transactions into a writable stream, one page in memory at a time
+ *
+ * @param {Client} client
+ * @param {stream.Writable} output File, HTTP response, process.stdout...
+ * @param {object} options See createTransactionStream()
+ * @returns {Promise<{count: int}>}
+ */
+async function exportTransactions(client, output, options = null) {
+  const counter = {count: 0};
+  await pipeline(createTransactionStream(client, Object.assign({}, options, {counter: counter})), output);
+
+  return {count: counter.count};
+}
+
+/**
+ * @param {Client} client
+ * @param {object|null} options {
+ *   source: 'account' (getAccountHistory), 'cards' (accountCardsTransactions, default) or 'card' (cardTransactions),
+ *   format: 'csv' (default), 'jsonl', 'ofx' or 'qif',
+ *   dateFrom, dateTo, bank, limit: page size, windowDays,
+ *   cards: [{clientId, barcode}] for the 'card' source,
+ *   clientIds, barcodes: keep only these cards,
+ *   filter: record => boolean,
+ *   timeZone: IANA zone dates are written in, 'UTC' by default,
+ *   sourceTimeZone: zone of bank dates without an offset, 'UTC' by default,
+ *   currency: used when a record has none, the client's currency by default,
+ *   columns, delimiter, bom: CSV, see csv(),
+ *   account, bankId, balance: OFX, see ofx()
+ * }
+ * @returns {stream.Readable} Stream of text chunks
+ */
+function createTransactionStream(client, options = null) {
+  client = client.withModels(false);
+  options = Object.assign({
+    source: 'cards',
+    format: 'csv',
+    timeZone: 'UTC',
+    sourceTimeZone: 'UTC',
+    currency: client.currency || 'RUB',
+    amountUnit: client.amountUnit || 'major'
+  }, options || {});
+
+  const format = FORMATS[options.format];
+  if (!format) {
+    throw new TypeError(`Unknown export format ${options.format}, use one of ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  return stream.Readable.from(format(normalize(transactionRecords(client, options), options), options));
+}
+
+/**
+ * Raw records of the chosen source with the card filters applied
+ *
+ * @param {Client} client
+ * @param {object} options See createTransactionStream()
+ * @returns {AsyncIterableIterator<object>}
+ */
+async function* transactionRecords(client, options) {
+  const iterateOptions = {
+    dateFrom: options.dateFrom,
+    dateTo: options.dateTo,
+    limit: options.limit,
+    windowDays: options.windowDays,
+    bank: options.bank
+  };
+
+  let source;
+  if (options.source === 'account') {
+    source = client.iterateAccountHistory(iterateOptions);
+  } else if (options.source === 'cards') {
+    source = client.iterateAccountCardsTransactions(iterateOptions);
+  } else if (options.source === 'card') {
+    source = cardRecords(client, options.cards || [], iterateOptions);
+  } else {
+    throw new TypeError(`Unknown export source ${options.source}, use account, cards or card`);
+  }
+
+  const clientIds = options.clientIds ? options.clientIds.map(String) : null;
+  const barcodes = options.barcodes ? options.barcodes.map(String) : null;
+
+  for await (const record of source) {
+    if (clientIds && clientIds.indexOf(String(record.client_id)) === -1) {
+      continue;
+    }
+    if (barcodes && barcodes.indexOf(String(record.barcode)) === -1) {
+      continue;
+    }
+    if (options.filter && !options.filter(record)) {
+      continue;
+    }
+    yield record;
+  }
+}
+
+async function* cardRecords(client, cards, iterateOptions) {
+  if (cards.length === 0) {
+    throw new TypeError('The card source needs options.cards: [{clientId, barcode}]');
+  }
+
+  for (const card of cards) {
+    for await (const record of client.iterateCardTransactions(card.clientId, card.barcode, iterateOptions)) {
+      yield Object.assign({client_id: card.clientId, barcode: card.barcode}, record);
+    }
+  }
+}
+
+async function* normalize(records, options) {
+  for await (const record of records) {
+    const result = Object.assign({}, record);
+    DATE_FIELDS.forEach(field => {
+      if (result[field]) {
+        result[field] = formatDate(result[field], options.timeZone, options.sourceTimeZone);
+      }
+    });
+    if (options.counter) {
+      options.counter.count++;
+    }
+    yield result;
+  }
+}
+
+/**
+ * CSV, text starting with =, +, - or @ gets a leading ' so a spreadsheet does not run it as a formula
+ *
+ * @param {AsyncIterable<object>} records
+ * @param {object} options {
+ *   columns: field names or {header, value: record => value}, date, id, card, amount, description... by default,
+ *   delimiter: ',' by default, ';' suits Excel in Russian locale,
+ *   bom: start with a UTF-8 BOM for Excel
+ * }
+ * @returns {AsyncIterableIterator<string>}
+ */
+async function* csv(records, options) {
+  const delimiter = options.delimiter || ',';
+  const columns = (options.columns || DEFAULT_COLUMNS).map(column => typeof column === 'string'
+    ? {header: column, value: record => column === 'amount' ? decimal(amountOf(record, options)) : fieldValue(record, column, options)}
+    : column);
+  const line = values => values.map(value => csvCell(value, delimiter)).join(delimiter) + '\r\n';
+
+  yield (options.bom ? '\ufeff' : '') + line(columns.map(column => column.header));
+  for await (const record of records) {
+    yield line(columns.map(column => column.value(record)));
+  }
+}
+
+/**
+ * One JSON record per line, amounts untouched
+ *
+ * @returns {AsyncIterableIterator<string>}
+ */
+async function* jsonl(records) {
+  for await (const record of records) {
+    yield `${JSON.stringify(record)}\n`;
+  }
+}
+
+/**
+ * OFX 1.02 bank statement
+ *
+ * @param {AsyncIterable<object>} records
+ * @param {object} options {account: ACCTID, bankId: BANKID (BIK), balance: Money or wire amount for LEDGERBAL}
+ * @returns {AsyncIterableIterator<string>}
+ */
+async function* ofx(records, options) {
+  const now = new Date();
+  const currency = String(options.currency).toUpperCase();
+
+  yield [
+    'OFXHEADER:100', 'DATA:OFXSGML', 'VERSION:102', 'SECURITY:NONE', 'ENCODING:UTF-8', 'CHARSET:NONE',
+    'COMPRESSION:NONE', 'OLDFILEUID:NONE', 'NEWFILEUID:NONE', '',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+    `<DTSERVER>${ofxDate(now, options.timeZone)}<LANGUAGE>RUS</SONRS></SIGNONMSGSRSV1>`,
+    '<BANKMSGSRSV1><STMTTRNRS><TRNUID>0<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+    `<STMTRS><CURDEF>${currency}`,
+    `<BANKACCTFROM><BANKID>${ofxText(options.bankId || 'TALKBANK')}<ACCTID>${ofxText(options.account || 'ACCOUNT')}<ACCTTYPE>CHECKING</BANKACCTFROM>`,
+    `<BANKTRANLIST><DTSTART>${ofxDate(options.dateFrom || now, options.timeZone)}<DTEND>${ofxDate(options.dateTo || now, options.timeZone)}`,
+    ''
+  ].join('\n');
+
+  let index = 0;
+  for await (const record of records) {
+    const amount = amountOf(record, options);
+    yield [
+      '<STMTTRN>',
+      `<TRNTYPE>${amount.isNegative() ? 'DEBIT' : 'CREDIT'}`,
+      `<DTPOSTED>${ofxDate(record.date || now, options.timeZone)}`,
+      `<TRNAMT>${decimal(amount)}`,
+      `<FITID>${ofxText(record.id || record.order_slug || record.order_id || `${++index}`)}`,
+      record.description ? `<NAME>${ofxText(String(record.description).slice(0, 32))}` : null,
+      record.description ? `<MEMO>${ofxText(record.description)}` : null,
+      '</STMTTRN>',
+      ''
+    ].filter(line => line !== null).join('\n');
+  }
+
+  const balance = options.balance !== undefined && options.balance !== null
+    ? `<LEDGERBAL><BALAMT>${decimal(toMoney(options.balance, options, currency))}<DTASOF>${ofxDate(now, options.timeZone)}</LEDGERBAL>\n`
+    : '';
+  yield `</BANKTRANLIST>\n${balance}</STMTRS></STMTTRNRS></BANKMSGSRSV1>\n</OFX>\n`;
+}
+
+/**
+ * Quicken interchange format, dates as MM/DD/YYYY
+ *
+ * @returns {AsyncIterableIterator<string>}
+ */
+async function* qif(records, options) {
+  yield '!Type:Bank\n';
+  for await (const record of records) {
+    const date = String(record.date || '');
+    const lines = [
+      `D${date.slice(5, 7)}/${date.slice(8, 10)}/${date.slice(0, 4)}`,
+      `T${decimal(amountOf(record, options))}`,
+      record.description ? `P${oneLine(record.description)}` : null,
+      record.id || record.order_slug ? `N${oneLine(record.id || record.order_slug)}` : null,
+      '^'
+    ];
+    yield lines.filter(line => line !== null).join('\n') + '\n';
+  }
+}
+
+/**
+ * Rewrite a date into an ISO 8601 string in the given zone, 2019-01-31T15:00:00+03:00
+ *
+ * @param {string|Date} value
+ * @param {string} timeZone IANA zone
+ * @param {string} sourceTimeZone Zone of strings without an offset
+ * @returns {string} The value untouched when it is not a date
+ */
+function formatDate(value, timeZone = 'UTC', sourceTimeZone = 'UTC') {
+  const time = parseDate(value, sourceTimeZone);
+  if (isNaN(time)) {
+    return value;
+  }
+
+  const {parts, offset} = zoned(time, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const zone = offset === 0 && timeZone === 'UTC'
+    ? 'Z'
+    : `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${zone}`;
+}
+
+function parseDate(value, sourceTimeZone) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+
+  const text = String(value).trim().replace(' ', 'T');
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text) || !/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    return Date.parse(text);
+  }
+
+  // No offset: read the wall clock time as UTC, then shift by the source zone offset at that moment
+  const wall = Date.parse(/T/.test(text) ? `${text}Z` : `${text}T00:00:00Z`);
+  return wall - zoned(wall, sourceTimeZone).offset * 60000;
+}
+
+const formatters = new Map();
+
+/**
+ * @param {number} time
+ * @param {string} timeZone
+ * @returns {object} {parts: {year, month, day, hour, minute, second}, offset: minutes east of UTC}
+ */
+function zoned(time, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+
+  const parts = {};
+  formatters.get(timeZone).formatToParts(new Date(time)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  const local = Date.UTC(+parts.year, parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+
+  return {parts, offset: Math.round((local - Math.floor(time / 1000) * 1000) / 60000)};
+}
+
+function ofxDate(value, timeZone) {
+  const iso = formatDate(value, timeZone);
+  const match = String(iso).match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})(Z|([+-])(\d{2}):(\d{2}))$/);
+  if (!match) {
+    return ofxText(iso);
+  }
+
+  const hours = match[7] === 'Z' ? 0 : (match[8] === '-' ? -1 : 1) * (+match[9] + match[10] / 60);
+  return `${match[1]}${match[2]}${match[3]}${match[4]}${match[5]}${match[6]}[${hours >= 0 ? '+' : ''}${hours}]`;
+}
+
+function ofxText(value) {
+  return oneLine(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function oneLine(value) {
+  return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+function amountOf(record, options) {
+  return toMoney(record.amount || 0, options, record.currency || options.currency);
+}
+
+function toMoney(value, options, currency) {
+  if (value instanceof Money) {
+    return value;
+  }
+
+  try {
+    return Money.fromWire(value, options.amountUnit, currency);
+  } catch (error) {
+    throw new ResponseError(`Can not read the amount ${value} of a transaction: ${error.message}`, {code: 'invalid_amount', cause: error});
+  }
+}
+
+/**
+ * @param {Money} money
+ * @returns {string} 1234.50, -0.05
+ */
+function decimal(money) {
+  return money.toString().split(' ')[0];
+}
+
+function fieldValue(record, column, options) {
+  if (column === 'currency') {
+    return record.currency || options.currency;
+  }
+
+  const value = record[column];
+  return value instanceof Money ? decimal(value) : value;
+}
+
+function csvCell(value, delimiter) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // A spreadsheet runs a cell starting with one of these as a formula, numbers such as -150.50 are left as they are
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return text.indexOf(delimiter) !== -1 || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+module.exports = {
+  FORMATS,
+  exportTransactions,
+  createTransactionStream,
+  transactionRecords,
+  formatDate
+};
@@ -0,0 +1,165 @@
+const http = require('http');
+const https = require('https');
+
+/**
+ * A transport takes {method, url, headers, data, timeout} and resolves with
+ * {status, statusText, headers, data, request}. Non-2xx answers reject with an error
+ * carrying `response`, errors without an answer carry a `code` like ECONNRESET,
+ * which is the shape errors.fromAxiosError() understands.
+ */
+
+/**
+ * @param {object} instance axios or an instance from axios.create()
+ * @returns {function}
+ */
+function axiosTransport(instance = require('axios')) {
+  return request => instance.request({
+    method: request.method,
+    url: request.url,
+    headers: request.headers,
+    data: request.data,
+    timeout: request.timeout
+  });
+}
+
+/**
+ * @param {function} fetchFn Native fetch or a compatible implementation
+ * @returns {function}
+ */
+function fetchTransport(fetchFn = global.fetch) {
+  if (typeof fetchFn !== 'function') {
+    throw new TypeError('fetch is not available, pass an implementation to fetchTransport()');
+  }
+
+  return request => {
+    // fetch sets Host on its own and refuses to have it overridden
+    const headers = Object.assign({}, request.headers);
+    delete headers.host;
+
+    const controller = request.timeout && typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), request.timeout) : null;
+
+    return fetchFn(request.url, {
+      method: request.method,
+      headers: headers,
+      body: request.data,
+      signal: controller ? controller.signal : undefined
+    })
+      .then(res => res.text().then(text => {
+        const responseHeaders = {};
+        res.headers.forEach((value, name) => responseHeaders[name] = value);
+
+        return settle({
+          status: res.status,
+          statusText: res.statusText,
+          headers: responseHeaders,
+          data: parseBody(text),
+          request: request
+        });
+      }))
+      .catch(error => {
+        if (!error.response && !error.code) {
+          error.code = error.name === 'AbortError'
+            ? 'ECONNABORTED'
+            : (error.cause && error.cause.code) || null;
+        }
+        throw error;
+      })
+      .then(
+        response => {
+          clearTimeout(timer);
+          return response;
+        },
+        error => {
+          clearTimeout(timer);
+          throw error;
+        }
+      );
+  };
+}
+
+/**
+ * @param {object|null} options {agent: http(s).Agent, e.g. with keepAlive}
+ * @returns {function}
+ */
+function httpTransport(options = null) {
+  options = options || {};
+
+  return request => new Promise((resolve, reject) => {
+    const url = new URL(request.url);
+    const client = url.protocol === 'https:' ? https : http;
+    const headers = Object.assign({}, request.headers);
+    if (request.data) {
+      headers['Content-Length'] = Buffer.byteLength(request.data);
+    }
+
+    const req = client.request({
+      protocol: url.protocol,
+      hostname: url.hostname,
+      port: url.port,
+      path: `${url.pathname}${url.search}`,
+      method: request.method,
+      headers: headers,
+      agent: options.agent,
+      timeout: request.timeout
+    }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('error', reject);
+      res.on('end', () => {
+        try {
+          resolve(settle({
+            status: res.statusCode,
+            statusText: res.statusMessage,
+            headers: res.headers,
+            data: parseBody(Buffer.concat(chunks).toString()),
+            request: request
+          }));
+        } catch (error) {
+          reject(error);
+        }
+      });
+    });
+
+    req.on('timeout', () => {
+      const error = new Error(`timeout of ${request.timeout}ms exceeded`);
+      error.code = 'ECONNABORTED';
+      req.destroy(error);
+    });
+    req.on('error', reject);
+    req.end(request.data);
+  });
+}
+
+/**
+ * @param {object} response
+ * @returns {object}
+ * @throws {Error} For non-2xx answers
+ */
+function settle(response) {
+  if (response.status >= 200 && response.status < 300) {
+    return response;
+  }
+
+  const error = new Error(`Request failed with status code ${response.status}`);
+  error.response = response;
+  throw error;
+}
+
+/**
+ * @param {string} text
+ * @returns {object|string}
+ */
+function parseBody(text) {
+  try {
+    return text ? JSON.parse(text) : '';
+  } catch (e) {
+    return text;
+  }
+}
+
+module.exports = {
+  axios: axiosTransport,
+  fetch: fetchTransport,
+  http: httpTransport
+};
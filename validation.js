@@ -0,0 +1,139 @@
+const {ValidationError} = require('./errors');
+const {validatePerson} = require('./person');
+const {validateRequisites} = require('./requisites');
+const {validateCardInfo, checkPan} = require('./cards');
+
+// Fields each method can not do without, checked on the request body
+const REQUIRED = {
+  cardRefill: ['amount'],
+  cardWithdrawal: ['amount'],
+  setCardPin: ['pin'],
+  eventSubscriptionStore: ['url'],
+  clientStore: ['client_id', 'person'],
+  clientEdit: ['person'],
+  hold: ['amount'],
+  holdWithForm: ['redirect_url', 'amount'],
+  paymentFromUnregisteredCard: ['amount', 'card_info'],
+  paymentFromUnregisteredCardToken: ['redirect_url', 'amount'],
+  paymentToUnregisteredCardToken: ['amount'],
+  paymentFromUnregisteredCardWithForm: ['amount'],
+  paymentFromRegisteredCard: ['amount', 'card_token'],
+  paymentAuthorization: ['card_info'],
+  paymentToRegisteredCard: ['card_token', 'amount'],
+  paymentToAccount: ['amount', 'account', 'bik', 'name'],
+  paymentToUnregisteredCard: ['card_number', 'amount'],
+  paymentToUnregisteredCardWithForm: ['amount'],
+  unsignedPaymentFromUnregisteredCard: ['token', 'amount', 'card_info'],
+  unsignedPaymentToUnregisteredCard: ['token', 'card_number'],
+  unsignedPaymentAuthorization: ['token', 'card_info'],
+  unsignedHold: ['token', 'card_info']
+};
+
+// Checks by field name, each returns a list of messages
+const FIELDS = {
+  amount: (value, name, options) => checkAmount(value, options.amountUnit),
+  card_info: value => validateCardInfo(value),
+  card_number: value => checkPan(value),
+  pin: value => /^\d{4}$/.test(String(value)) ? [] : ['must be 4 digits'],
+  redirect_url: value => isUrl(value) ? [] : ['must be an absolute http(s) URL'],
+  url: value => isUrl(value) ? [] : ['must be an absolute http(s) URL'],
+  events: value => Array.isArray(value) && value.every(event => typeof event === 'string' && event !== '')
+    ? []
+    : ['must be a list of event names'],
+  person: (value, name) => checkPerson(value, name === 'clientStore')
+};
+
+/**
+ * Check a request before it is signed and sent
+ *
+ * @param {object} request {name, path, data}
+ * @param {object|null} options {amountUnit: 'major' (default) or 'minor'}
+ * @throws {ValidationError}
+ */
+function validateRequest(request, options = null) {
+  options = options || {};
+  const fields = {};
+  const data = request.data || {};
+
+  const emptySegment = request.path.split('/').slice(1).find(segment => ['', 'undefined', 'null'].indexOf(segment) !== -1);
+  if (emptySegment !== undefined) {
+    fields.path = [`${request.path} has an empty parameter`];
+  }
+
+  (REQUIRED[request.name] || []).forEach(field => {
+    if (data[field] === undefined || data[field] === null || data[field] === '') {
+      fields[field] = ['is required'];
+    }
+  });
+
+  if (request.name === 'hold' && !data.card_info && !data.card_ref_id) {
+    fields.card_info = ['card_info or card_ref_id is required'];
+  }
+
+  if (request.name === 'paymentToAccount') {
+    const requisites = validateRequisites(data);
+    Object.keys(requisites).forEach(field => fields[field] = fields[field] || requisites[field]);
+  }
+
+  Object.keys(data).forEach(field => {
+    if (fields[field] || !FIELDS[field] || data[field] === undefined || data[field] === null) {
+      return;
+    }
+
+    const messages = FIELDS[field](data[field], request.name, options);
+    if (messages.length > 0) {
+      fields[field] = messages;
+    }
+  });
+
+  const names = Object.keys(fields);
+  if (names.length > 0) {
+    const summary = names.map(name => `${name} ${fields[name].join(', ')}`).join('; ');
+    throw new ValidationError(`Invalid ${request.name || 'request'} call: ${summary}`, {
+      code: 'local_validation',
+      method: request.name,
+      path: request.path,
+      httpMethod: request.method,
+      fields: fields
+    });
+  }
+}
+
+/**
+ * @param {object} person
+ * @param {boolean} complete Whether every required field must be present, clientEdit sends a part of it
+ * @returns {Array<string>}
+ */
+function checkPerson(person, complete) {
+  const fields = validatePerson(person, {complete: complete});
+
+  return Object.keys(fields).map(field => field === 'person' ? fields[field].join(', ') : `${field} ${fields[field].join(', ')}`);
+}
+
+/**
+ * @param {number} amount
+ * @param {string} unit At most two decimals for 'major', integer kopecks for 'minor'
+ * @returns {Array<string>}
+ */
+function checkAmount(amount, unit) {
+  if (unit === 'minor') {
+    return Number.isInteger(amount) && amount > 0 ? [] : ['must be a positive integer'];
+  }
+
+  return typeof amount === 'number' && amount > 0 && Math.abs(Math.round(amount * 100) - amount * 100) < 1e-6
+    ? []
+    : ['must be a positive amount with at most two decimals'];
+}
+
+function isUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = {
+  validateRequest
+};